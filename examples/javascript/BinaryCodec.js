@@ -0,0 +1,482 @@
+/**
+ * Schema-Driven Bit-Packed Binary Codec
+ *
+ * Encodes plain objects against a schema instead of as JSON text:
+ * - Booleans and enums take as few bits as their range needs
+ * - Integers are varints (small values → 1 byte), signed via zigzag
+ * - Floats can be quantized: a value range plus a precision becomes a
+ *   fixed-width integer (e.g. ±1000 at 0.01 → 18 bits instead of 64)
+ * - Optional fields cost a single presence bit when absent
+ *
+ * Round-trip guarantee: decode(encode(v)) equals v exactly for every field
+ * except quantized floats, which come back as the nearest grid value
+ * (k × precision). Values already on the grid - including decimal literals
+ * like 0.25 or 12.34 at precision 0.01 - round-trip exactly.
+ *
+ * Length prefixes (strings, bytes, arrays) are checked against what is left
+ * of the packet before anything is allocated, so a forged length costs a
+ * RangeError instead of memory.
+ *
+ * Schema types (see Types below):
+ *   bool, uint, int, float32, float64, string, bytes, bits(n), quantized(min, max, precision),
+ *   enumOf(values), object(fields), partial(fields), array(items), optional(type),
+ *   union(cases, select)
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Writes values into a growing buffer, bit by bit (MSB first)
+ */
+class BitWriter {
+  constructor(initialSize = 64) {
+    this.bytes = new Uint8Array(initialSize);
+    this.bitPosition = 0;
+    this.scratch = new DataView(new ArrayBuffer(8));
+  }
+
+  /**
+   * Make room for more bits
+   * @param {number} bits - Bits about to be written
+   */
+  ensure(bits) {
+    const needed = Math.ceil((this.bitPosition + bits) / 8);
+    if (needed > this.bytes.length) {
+      const grown = new Uint8Array(Math.max(needed, this.bytes.length * 2));
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+  }
+
+  /**
+   * Write the low `count` bits of a non-negative integer
+   * @param {number} value - Unsigned integer below 2^count
+   * @param {number} count - Number of bits (0-53)
+   */
+  writeBits(value, count) {
+    this.ensure(count);
+    for (let i = count - 1; i >= 0; i--) {
+      const bit = Math.floor(value / Math.pow(2, i)) % 2;
+      if (bit) {
+        this.bytes[this.bitPosition >> 3] |= 0x80 >> (this.bitPosition & 7);
+      }
+      this.bitPosition++;
+    }
+  }
+
+  writeBool(value) {
+    this.writeBits(value ? 1 : 0, 1);
+  }
+
+  /**
+   * Unsigned LEB128-style varint: 7 data bits + 1 continuation bit per group
+   * @param {number} value - Non-negative integer up to 2^53
+   */
+  writeVarUint(value) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new RangeError(`Expected a non-negative integer, got ${value}`);
+    }
+    do {
+      const group = value % 128;
+      value = Math.floor(value / 128);
+      this.writeBits(group | (value > 0 ? 128 : 0), 8);
+    } while (value > 0);
+  }
+
+  /**
+   * Signed varint via zigzag mapping (0, -1, 1, -2, ... → 0, 1, 2, 3, ...)
+   * @param {number} value - Integer
+   */
+  writeVarInt(value) {
+    if (!Number.isInteger(value)) {
+      throw new RangeError(`Expected an integer, got ${value}`);
+    }
+    this.writeVarUint(value >= 0 ? value * 2 : -value * 2 - 1);
+  }
+
+  writeFloat32(value) {
+    this.scratch.setFloat32(0, value);
+    this.writeBits(this.scratch.getUint32(0), 32);
+  }
+
+  writeFloat64(value) {
+    this.scratch.setFloat64(0, value);
+    this.writeBits(this.scratch.getUint32(0), 32);
+    this.writeBits(this.scratch.getUint32(4), 32);
+  }
+
+  writeString(value) {
+    this.writeBytes(textEncoder.encode(value));
+  }
+
+  writeBytes(bytes) {
+    this.writeVarUint(bytes.length);
+    for (const byte of bytes) {
+      this.writeBits(byte, 8);
+    }
+  }
+
+  /**
+   * @returns {Buffer} Written bytes (last byte zero-padded)
+   */
+  finish() {
+    return Buffer.from(this.bytes.buffer, 0, Math.ceil(this.bitPosition / 8));
+  }
+}
+
+/**
+ * Reads values written by BitWriter
+ */
+class BitReader {
+  /**
+   * @param {Buffer|Uint8Array} bytes - Encoded data
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.bitPosition = 0;
+    this.scratch = new DataView(new ArrayBuffer(8));
+  }
+
+  /**
+   * @returns {number} Bits not yet read
+   */
+  remainingBits() {
+    return this.bytes.length * 8 - this.bitPosition;
+  }
+
+  /**
+   * Read a length prefix for items of at least minBits each
+   * @param {number} minBits - Smallest encoded size of one item
+   * @returns {number} Length that fits in the rest of the packet
+   */
+  readLength(minBits) {
+    const length = this.readVarUint();
+    if (length * Math.max(1, minBits) > this.remainingBits()) {
+      throw new RangeError(`Length ${length} exceeds the rest of the packet`);
+    }
+    return length;
+  }
+
+  readBits(count) {
+    if (count > this.remainingBits()) {
+      throw new RangeError('Read past end of packet');
+    }
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const bit = (this.bytes[this.bitPosition >> 3] >> (7 - (this.bitPosition & 7))) & 1;
+      value = value * 2 + bit;
+      this.bitPosition++;
+    }
+    return value;
+  }
+
+  readBool() {
+    return this.readBits(1) === 1;
+  }
+
+  readVarUint() {
+    let value = 0;
+    let multiplier = 1;
+    let group;
+    do {
+      group = this.readBits(8);
+      value += (group & 127) * multiplier;
+      multiplier *= 128;
+    } while (group & 128);
+    return value;
+  }
+
+  readVarInt() {
+    const zigzag = this.readVarUint();
+    return zigzag % 2 === 0 ? zigzag / 2 : -(zigzag + 1) / 2;
+  }
+
+  readFloat32() {
+    this.scratch.setUint32(0, this.readBits(32));
+    return this.scratch.getFloat32(0);
+  }
+
+  readFloat64() {
+    this.scratch.setUint32(0, this.readBits(32));
+    this.scratch.setUint32(4, this.readBits(32));
+    return this.scratch.getFloat64(0);
+  }
+
+  readString() {
+    return textDecoder.decode(this.readBytes());
+  }
+
+  readBytes() {
+    const length = this.readLength(8);
+    const bytes = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+      bytes[i] = this.readBits(8);
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Bits needed to store integers 0..maxValue
+ * @param {number} maxValue - Largest value
+ * @returns {number} Bit count
+ */
+function bitsFor(maxValue) {
+  return Math.max(1, Math.ceil(Math.log2(maxValue + 1)));
+}
+
+/**
+ * Smallest number of bits any value of a schema encodes to
+ * @param {Object} schema - Schema node from Types
+ * @returns {number} Minimum encoded size in bits
+ */
+function minBits(schema) {
+  switch (schema.type) {
+    case 'bool':
+    case 'optional':
+      return 1;
+    case 'uint':
+    case 'int':
+    case 'string':
+    case 'bytes':
+    case 'array':
+      return 8; // One varint byte
+    case 'float32':
+      return 32;
+    case 'float64':
+      return 64;
+    case 'object':
+      return Object.values(schema.fields).reduce((sum, field) => sum + minBits(field), 0);
+    case 'partial':
+      return Object.keys(schema.fields).length; // Presence bits
+    case 'union':
+      return schema.bits + Math.min(...schema.cases.map(minBits));
+    default:
+      return schema.bits; // bits, quantized, enum
+  }
+}
+
+// Schema constructors
+const Types = {
+  bool: { type: 'bool' },
+  uint: { type: 'uint' },
+  int: { type: 'int' },
+  float32: { type: 'float32' },
+  float64: { type: 'float64' },
+  string: { type: 'string' },
+  /** Length-prefixed raw bytes (decoded as a Buffer) */
+  bytes: { type: 'bytes' },
+
+  /** Fixed-width unsigned integer */
+  bits: (count) => ({ type: 'bits', bits: count }),
+
+  /**
+   * Float quantized to a grid. Precision must be 1/n (0.5, 0.01, ...) or an integer.
+   * Values outside [min, max] are clamped.
+   */
+  quantized: (min, max, precision) => {
+    const scale = 1 / precision;
+    const offset = Math.round(min * scale);
+    const steps = Math.round(max * scale) - offset;
+    return { type: 'quantized', min, max, precision, scale, offset, steps, bits: bitsFor(steps) };
+  },
+
+  /** One of a fixed list of values, stored as its index */
+  enumOf: (values) => ({ type: 'enum', values, bits: bitsFor(values.length - 1) }),
+
+  /** Every field present, written in declaration order */
+  object: (fields) => ({ type: 'object', fields }),
+
+  /** Every field optional, one presence bit each (for deltas and sparse state) */
+  partial: (fields) => ({ type: 'partial', fields }),
+
+  array: (items) => ({ type: 'array', items }),
+
+  /** Presence bit, then the value if present (undefined/null → absent) */
+  optional: (of) => ({ type: 'optional', of }),
+
+  /**
+   * One of several schemas, tagged with its index.
+   * select(value) returns the index of the case to encode with.
+   */
+  union: (cases, select) => ({ type: 'union', cases, select, bits: bitsFor(cases.length - 1) })
+};
+
+/**
+ * Write a value according to its schema
+ * @param {BitWriter} writer - Destination
+ * @param {Object} schema - Schema node from Types
+ * @param {*} value - Value to encode
+ */
+function encodeValue(writer, schema, value) {
+  switch (schema.type) {
+    case 'bool':
+      writer.writeBool(value);
+      break;
+    case 'uint':
+      writer.writeVarUint(value);
+      break;
+    case 'int':
+      writer.writeVarInt(value);
+      break;
+    case 'float32':
+      writer.writeFloat32(value);
+      break;
+    case 'float64':
+      writer.writeFloat64(value);
+      break;
+    case 'string':
+      writer.writeString(String(value));
+      break;
+    case 'bytes':
+      writer.writeBytes(value);
+      break;
+    case 'bits':
+      writer.writeBits(value, schema.bits);
+      break;
+    case 'quantized': {
+      const q = Math.round(value * schema.scale) - schema.offset;
+      writer.writeBits(Math.min(schema.steps, Math.max(0, q)), schema.bits);
+      break;
+    }
+    case 'enum': {
+      const index = schema.values.indexOf(value);
+      if (index < 0) {
+        throw new RangeError(`Value ${value} is not in enum [${schema.values.join(', ')}]`);
+      }
+      writer.writeBits(index, schema.bits);
+      break;
+    }
+    case 'object':
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        encodeValue(writer, fieldSchema, value[field]);
+      }
+      break;
+    case 'partial':
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        const present = value[field] !== undefined && value[field] !== null;
+        writer.writeBool(present);
+        if (present) encodeValue(writer, fieldSchema, value[field]);
+      }
+      break;
+    case 'array':
+      writer.writeVarUint(value.length);
+      for (const item of value) {
+        encodeValue(writer, schema.items, item);
+      }
+      break;
+    case 'optional': {
+      const present = value !== undefined && value !== null;
+      writer.writeBool(present);
+      if (present) encodeValue(writer, schema.of, value);
+      break;
+    }
+    case 'union': {
+      const index = schema.select(value);
+      writer.writeBits(index, schema.bits);
+      encodeValue(writer, schema.cases[index], value);
+      break;
+    }
+    default:
+      throw new TypeError(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+/**
+ * Read a value according to its schema
+ * @param {BitReader} reader - Source
+ * @param {Object} schema - Schema node from Types
+ * @returns {*} Decoded value (undefined for an absent optional)
+ */
+function decodeValue(reader, schema) {
+  switch (schema.type) {
+    case 'bool':
+      return reader.readBool();
+    case 'uint':
+      return reader.readVarUint();
+    case 'int':
+      return reader.readVarInt();
+    case 'float32':
+      return reader.readFloat32();
+    case 'float64':
+      return reader.readFloat64();
+    case 'string':
+      return reader.readString();
+    case 'bytes':
+      return reader.readBytes();
+    case 'bits':
+      return reader.readBits(schema.bits);
+    case 'quantized':
+      return (reader.readBits(schema.bits) + schema.offset) / schema.scale;
+    case 'enum':
+      return schema.values[reader.readBits(schema.bits)];
+    case 'object': {
+      const result = {};
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        const value = decodeValue(reader, fieldSchema);
+        if (value !== undefined) result[field] = value;
+      }
+      return result;
+    }
+    case 'partial': {
+      const result = {};
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        if (reader.readBool()) result[field] = decodeValue(reader, fieldSchema);
+      }
+      return result;
+    }
+    case 'array': {
+      const length = reader.readLength(minBits(schema.items));
+      const result = new Array(length);
+      for (let i = 0; i < length; i++) {
+        result[i] = decodeValue(reader, schema.items);
+      }
+      return result;
+    }
+    case 'optional':
+      return reader.readBool() ? decodeValue(reader, schema.of) : undefined;
+    case 'union':
+      return decodeValue(reader, schema.cases[reader.readBits(schema.bits)]);
+    default:
+      throw new TypeError(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateCodec() {
+  console.log('=== Binary Codec Demo ===\n');
+
+  const playerSchema = Types.object({
+    id: Types.uint,
+    name: Types.string,
+    x: Types.quantized(-1000, 1000, 0.01),
+    y: Types.quantized(-1000, 1000, 0.01),
+    alive: Types.bool,
+    team: Types.enumOf(['red', 'blue']),
+    score: Types.optional(Types.int)
+  });
+
+  const player = { id: 7, name: 'TestPlayer', x: 123.45, y: -0.5, alive: true, team: 'blue' };
+
+  const writer = new BitWriter();
+  encodeValue(writer, playerSchema, player);
+  const bytes = writer.finish();
+
+  const decoded = decodeValue(new BitReader(bytes), playerSchema);
+
+  console.log(`JSON:   ${Buffer.byteLength(JSON.stringify(player))} bytes`);
+  console.log(`Binary: ${bytes.length} bytes`);
+  console.log('Decoded:', decoded);
+  console.log('Exact round trip:', JSON.stringify(decoded) === JSON.stringify(player));
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateCodec();
+}
+
+module.exports = { BitWriter, BitReader, Types, encodeValue, decodeValue };
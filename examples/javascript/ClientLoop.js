@@ -0,0 +1,286 @@
+/**
+ * Fixed-Timestep Client Loop
+ *
+ * Drives ClientPrediction at the server's tick rate, independent of the
+ * render frame rate, using an accumulator:
+ *
+ *   accumulator += frame time
+ *   while (accumulator >= tickDuration) { simulate one tick }
+ *
+ * The client simulation runs AHEAD of the server by an adaptive input lead:
+ *
+ *   target tick = TimeSync.getServerTick() + lead
+ *   lead        = (RTT / 2 + jitter margin) / tickDuration
+ *
+ * so an input sampled for tick T arrives at the server just before the
+ * server simulates tick T. Too little lead and inputs arrive late (the server
+ * has to guess); too much and every action feels delayed.
+ *
+ * The target moves whenever a time sync corrects the clock offset or the
+ * lead changes. Instead of skipping or repeating ticks to follow it, the
+ * loop feeds frame time into the accumulator at TimeSync.getTimeScale()
+ * (e.g. 0.97-1.03), so the simulation gradually speeds up or slows down
+ * until it is back on target. Only an error beyond resyncThreshold makes the
+ * client tick jump.
+ *
+ * Events:
+ * - 'resync' ({ from, to }): client tick jumped because it was too far off target
+ */
+
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+
+class ClientLoop extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {ClientPrediction} config.prediction - Simulation to drive
+   * @param {TimeSync} config.timeSync - Clock synchronized to the server (also supplies the time scale)
+   * @param {Function} config.sampleInput - () → input for the next tick
+   * @param {number} [config.jitterMultiplier] - Jitter margin = jitter × this
+   * @param {number} [config.safetyMargin] - Extra lead on top of RTT/2 + jitter (ms)
+   * @param {number} [config.minLead] - Lower bound on the lead (ticks)
+   * @param {number} [config.maxLead] - Upper bound on the lead (ticks)
+   * @param {number} [config.resyncThreshold] - Tick error beyond which the client tick jumps instead of converging (ticks)
+   * @param {number} [config.maxStepsPerUpdate] - Cap on ticks simulated per update (spiral-of-death guard)
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'ClientLoop' });
+    this.prediction = config.prediction;
+    this.timeSync = config.timeSync;
+    this.sampleInput = config.sampleInput;
+
+    // Fixed timestep comes from the server tick rate
+    this.tickDuration = this.timeSync.tickDuration; // ms
+
+    // Input lead configuration
+    this.jitterMultiplier = config.jitterMultiplier || 2;
+    this.safetyMargin = config.safetyMargin || 5; // ms
+    this.minLead = config.minLead || 1; // ticks
+    this.maxLead = config.maxLead || 30; // ticks
+    this.resyncThreshold = config.resyncThreshold || 8; // ticks
+    this.maxStepsPerUpdate = config.maxStepsPerUpdate || 8;
+
+    // State
+    this.accumulator = 0; // ms not yet simulated
+    this.lastUpdateTime = null;
+    this.inputLead = this.minLead; // ticks
+    this.timeScale = 1; // Rate frame time is simulated at
+    this.running = false;
+    this.timer = null;
+
+    // Statistics
+    this.ticksSimulated = 0;
+    this.tickError = 0; // Target minus client position at the last update (ticks)
+    this.resyncs = 0;
+  }
+
+  /**
+   * Input lead the current network conditions call for
+   * @returns {number} Lead in ticks
+   */
+  calculateInputLead() {
+    const oneWay = this.timeSync.smoothedRtt / 2;
+    const jitterMargin = this.timeSync.jitter * this.jitterMultiplier;
+    const leadMs = oneWay + jitterMargin + this.safetyMargin;
+    const leadTicks = Math.ceil(leadMs / this.tickDuration);
+    return Math.min(this.maxLead, Math.max(this.minLead, leadTicks));
+  }
+
+  /**
+   * Tick the client should be simulating right now
+   * @returns {number} Target client tick (fractional)
+   */
+  getTargetTick() {
+    return this.timeSync.getExactServerTick() + this.inputLead;
+  }
+
+  /**
+   * How far the simulation is behind its target (negative: ahead)
+   * @returns {number} Error in ticks, counting the accumulated partial tick
+   */
+  getTickError() {
+    return this.getTargetTick() - (this.prediction.clientTick + this.accumulator / this.tickDuration);
+  }
+
+  /**
+   * Put the simulation exactly on its target tick
+   */
+  jumpToTarget() {
+    const target = this.getTargetTick();
+    this.prediction.clientTick = Math.floor(target);
+    this.accumulator = (target - this.prediction.clientTick) * this.tickDuration;
+  }
+
+  /**
+   * Advance the loop to the given time
+   * @param {number} [now] - Current time in milliseconds (default: the TimeSync's clock)
+   * @returns {number} Number of ticks simulated
+   */
+  update(now = this.timeSync.clock.now()) {
+    if (this.lastUpdateTime === null) {
+      this.lastUpdateTime = now;
+      this.inputLead = this.calculateInputLead();
+      this.jumpToTarget();
+      return 0;
+    }
+
+    // Frame time at the rate chosen last update
+    this.accumulator += (now - this.lastUpdateTime) * this.timeScale;
+    this.lastUpdateTime = now;
+
+    // Lead follows network conditions; re-evaluated once per update
+    this.inputLead = this.calculateInputLead();
+
+    this.tickError = this.getTickError();
+    if (Math.abs(this.tickError) > this.resyncThreshold) {
+      // Too far off to converge in reasonable time: jump
+      const from = this.prediction.clientTick;
+      this.jumpToTarget();
+      const event = { from, to: this.prediction.clientTick };
+      this.resyncs++;
+      this.logger.info('Client tick resync', event);
+      this.emit('resync', event);
+      this.tickError = 0;
+    }
+
+    // Run slightly fast or slow until the error is worked off
+    this.timeScale = this.timeSync.getTimeScale(this.tickError);
+
+    let steps = Math.floor(this.accumulator / this.tickDuration);
+    this.accumulator -= steps * this.tickDuration;
+
+    // Never simulate an unbounded number of ticks in one frame
+    if (steps > this.maxStepsPerUpdate) {
+      this.prediction.clientTick += steps - this.maxStepsPerUpdate;
+      steps = this.maxStepsPerUpdate;
+    }
+
+    for (let i = 0; i < steps; i++) {
+      this.prediction.applyInput(this.sampleInput());
+      this.ticksSimulated++;
+    }
+
+    return steps;
+  }
+
+  /**
+   * Fraction of a tick accumulated but not yet simulated (for render blending)
+   * @returns {number} 0-1
+   */
+  getAlpha() {
+    return this.accumulator / this.tickDuration;
+  }
+
+  /**
+   * Run the loop on a timer
+   * @param {number} [frameInterval] - Update interval in ms
+   */
+  start(frameInterval = this.tickDuration / 2) {
+    if (this.running) return;
+    this.running = true;
+    this.lastUpdateTime = null;
+    this.timer = setInterval(() => this.update(), frameInterval);
+  }
+
+  /**
+   * Stop the timer started by start()
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get loop statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      clientTick: this.prediction.clientTick,
+      inputLead: this.inputLead,
+      timeScale: this.timeScale,
+      tickError: this.tickError,
+      ticksSimulated: this.ticksSimulated,
+      resyncs: this.resyncs
+    };
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateLoop() {
+  const ClientPrediction = require('./ClientPrediction');
+  const TimeSync = require('./TimeSync');
+  const { VirtualClock } = require('./Clock');
+  const { silentLogger } = require('./Logger');
+
+  console.log('=== Fixed-Timestep Client Loop Demo ===\n');
+
+  // Synced TimeSync (60 Hz server) on a virtual clock
+  const clock = new VirtualClock();
+  const timeSync = new TimeSync({ tickRate: 60, clock, logger: silentLogger });
+  timeSync.smoothedRtt = 100;
+  timeSync.jitter = 5;
+
+  const prediction = new ClientPrediction({ clock, logger: silentLogger });
+
+  const loop = new ClientLoop({
+    prediction,
+    timeSync,
+    sampleInput: () => ({ moveX: 1, moveY: 0 }),
+    logger: silentLogger
+  });
+  loop.on('resync', ({ from, to }) => console.log(`  ⏩ Resync: client tick ${from} → ${to}`));
+
+  // Render at an uneven ~144 Hz, reporting every 250ms
+  function run(duration) {
+    const end = clock.now() + duration;
+    let nextReport = clock.now() + 250;
+    while (clock.now() < end) {
+      clock.advance(5 + (clock.now() % 3));
+      loop.update();
+      if (clock.now() >= nextReport) {
+        nextReport += 250;
+        console.log(`  ${String(clock.now()).padStart(4)}ms: error ${loop.tickError.toFixed(2).padStart(5)} ticks, ` +
+          `time scale ${loop.timeScale.toFixed(3)}`);
+      }
+    }
+    console.log(`Server tick ${timeSync.getServerTick()}, client tick ${prediction.clientTick} (lead ${loop.inputLead})`);
+  }
+
+  loop.update();
+  console.log('RTT 100ms:');
+  run(500);
+
+  // Lead grows by 3 ticks: the client runs up to 3% fast until it is ahead by the new lead
+  console.log('\nRTT rises to 200ms:');
+  timeSync.smoothedRtt = 200;
+  run(2000);
+
+  // A sync finds the server 2 ticks further along than estimated
+  console.log('\nSync correction, +2 server ticks:');
+  timeSync.serverTick += 2;
+  run(1500);
+
+  // Too far to glide: jump
+  console.log('\nSync correction, -20 server ticks:');
+  timeSync.serverTick -= 20;
+  run(250);
+
+  console.log('\nStats:', loop.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateLoop();
+}
+
+module.exports = ClientLoop;
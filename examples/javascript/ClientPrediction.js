@@ -5,31 +5,260 @@
  * 1. A predicted local state (optimistic)
  * 2. A server-authoritative state (received via snapshots)
  * 3. An input buffer for rollback/replay
+ * 4. A history of predicted states keyed by input sequence, so each snapshot
+ *    is compared against what the client predicted after the last input the
+ *    server reports as processed (snapshot.lastAckedInput)
+ * 
+ * Client ticks and server ticks are never compared directly: the server
+ * acknowledges inputs by their sequence number, which is the only counter
+ * both sides agree on.
  * 
  * This implementation shows how clients can predict movement immediately
  * while still maintaining synchronization with the server's authoritative state.
+ * 
+ * Corrections are always applied to the simulation state exactly. What the
+ * player SEES is smoothed separately: the jump caused by a correction is kept
+ * as a render offset that decays over time (see getVisualState).
+ * 
+ * The simulation itself is pluggable: pass a step function, state schema and
+ * clone/compare functions to drive real game objects instead of the demo
+ * point mass.
+ * 
+ * Deterministic mode (config.deterministic) keeps state in Q16.16 fixed point
+ * (see FixedPoint.js) and records a checksum for every predicted state. When
+ * a snapshot carries the server's checksum, agreement is verified bit for bit
+ * instead of by distance.
+ *
+ * Delta snapshots (see DeltaCompression.js) are rebuilt by config.decoder
+ * before they are compared; every input batch acknowledges the decoder's
+ * newest snapshot so the server can pick a baseline the client still has.
+ * Share one decoder with SnapshotInterpolation when both read the same
+ * snapshots.
+ *
+ * Input timestamps and the decay of the render offset use config.clock (see
+ * Clock.js), the connection's clock when one is given.
+ * 
+ * Events:
+ * - 'send' (data): an input message is ready for the server
+ * - 'misprediction' ({ ackedInput, serverTick, divergence, checksum? }): prediction was wrong
+ * - 'rollback' ({ ackedInput, serverTick, replayed }): state rewound and replayed
  */
 
-class ClientPrediction {
-  constructor() {
-    // Client's current predicted position
-    this.predictedState = { x: 0, y: 0, velocityX: 0, velocityY: 0 };
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+const { defaultClock } = require('./Clock');
+const { FixedPoint, checksum } = require('./FixedPoint');
+const { DeltaDecoder } = require('./DeltaCompression');
+
+/**
+ * Default state schema: a point mass moving on a plane.
+ * Each field declares its initial value and its weight in divergence checks.
+ */
+const PointMassSchema = {
+  x: { default: 0, weight: 1 },
+  y: { default: 0, weight: 1 },
+  velocityX: { default: 0, weight: 0 },
+  velocityY: { default: 0, weight: 0 }
+};
+
+/**
+ * Default simulation step: simple point-mass movement (units per tick)
+ * @param {Object} state - State to mutate in place
+ * @param {Object} input - Input to apply (e.g., { moveX: 1, moveY: 0 })
+ * @param {number} dt - Timestep in seconds (unused by the demo physics)
+ */
+function pointMassStep(state, input, dt) {
+  const speed = 5;
+  state.velocityX = input.moveX * speed;
+  state.velocityY = input.moveY * speed;
+  state.x += state.velocityX;
+  state.y += state.velocityY;
+}
+
+/**
+ * Deterministic point-mass step: same movement as pointMassStep, but all
+ * state is Q16.16 fixed point so replay is bit-identical on every machine
+ * @param {Object} state - Fixed-point state to mutate in place
+ * @param {Object} input - Input to apply (e.g., { moveX: 1, moveY: 0 })
+ * @param {number} dt - Timestep in seconds, Q16.16 (unused by the demo physics)
+ */
+function fixedPointMassStep(state, input, dt) {
+  const speed = FixedPoint.fromInt(5);
+  state.velocityX = FixedPoint.mul(FixedPoint.fromFloat(input.moveX), speed);
+  state.velocityY = FixedPoint.mul(FixedPoint.fromFloat(input.moveY), speed);
+  state.x = FixedPoint.add(state.x, state.velocityX);
+  state.y = FixedPoint.add(state.y, state.velocityY);
+}
+
+/**
+ * Build an initial state from a schema
+ * @param {Object} schema - Field name → { default, weight }
+ * @returns {Object} Fresh state
+ */
+function createState(schema) {
+  const state = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    state[field] = cloneState(spec.default);
+  }
+  return state;
+}
+
+/**
+ * Deep copy of plain state data (objects, arrays, primitives)
+ * @param {*} value - State to copy
+ * @returns {*} Independent copy
+ */
+function cloneState(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneState);
+  }
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = cloneState(value[key]);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Weighted Euclidean distance over the numeric fields of a schema
+ * @param {Object} schema - State schema
+ * @param {Object} a - First state
+ * @param {Object} b - Second state
+ * @returns {number} Distance
+ */
+function schemaDivergence(schema, a, b) {
+  let sum = 0;
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!spec.weight) continue;
+    const d = a[field] - b[field];
+    sum += spec.weight * d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Multiply every number in a (possibly nested) offset
+ * @param {Object} offset - Field → number | nested offset
+ * @param {number} factor - Scale
+ * @returns {Object} Scaled copy
+ */
+function scaleOffset(offset, factor) {
+  const scaled = {};
+  for (const [key, value] of Object.entries(offset)) {
+    scaled[key] = typeof value === 'number' ? value * factor : scaleOffset(value, factor);
+  }
+  return scaled;
+}
+
+/**
+ * Add a (possibly nested) offset into a state in place
+ * @param {Object} state - State to shift
+ * @param {Object} offset - Field → number | nested offset
+ */
+function addOffset(state, offset) {
+  for (const [key, value] of Object.entries(offset)) {
+    if (!(key in state)) continue;
+    if (typeof value === 'number') {
+      state[key] += value;
+    } else {
+      addOffset(state[key], value);
+    }
+  }
+}
+
+class ClientPrediction extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.schema] - State schema (field → { default, weight })
+   * @param {Function} [config.step] - (state, input, dt) → void, mutates state
+   * @param {Function} [config.cloneState] - (state) → copy
+   * @param {Function} [config.compareState] - (predicted, server) → divergence
+   * @param {Object} [config.initialState] - Starting state (defaults from schema)
+   * @param {number} [config.tickRate] - Simulation ticks per second
+   * @param {number} [config.reconciliationThreshold] - Divergence reported as a misprediction (state units, as a float)
+   * @param {number} [config.historySize] - Inputs' worth of predicted state kept for reconciliation
+   * @param {number} [config.inputRedundancy] - Unacknowledged inputs repeated per input message
+   * @param {number} [config.visualHalfLife] - Time for the render offset to halve (ms)
+   * @param {number} [config.snapDistance] - Corrections larger than this snap instead of smoothing (state units, as a float)
+   * @param {boolean} [config.deterministic] - Fixed-point simulation with per-input checksums
+   * @param {Connection} [config.connection] - Sends input batches to the server (see Connection.js)
+   * @param {DeltaDecoder} [config.decoder] - Rebuilds delta snapshots (see DeltaCompression.js)
+   * @param {Object} [config.clock] - Time source with now() in ms (see Clock.js)
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'ClientPrediction' });
+
+    // Connection to the server; without one, only 'send' listeners see inputs
+    this.connection = config.connection || null;
+    this.clock = config.clock || (this.connection ? this.connection.protocol.clock : defaultClock);
+
+    // Rebuilds delta snapshots; its newest tick is acknowledged with every input batch
+    this.decoder = config.decoder || new DeltaDecoder({ logger: this.logger });
+
+    // Deterministic mode: the step must only use FixedPoint math
+    this.deterministic = config.deterministic || false;
+
+    // Simulation plug-ins (default: demo point mass)
+    this.schema = config.schema || PointMassSchema;
+    this.step = config.step || (this.deterministic ? fixedPointMassStep : pointMassStep);
+    this.cloneState = config.cloneState || cloneState;
+    this.compareState = config.compareState ||
+      ((predicted, server) => schemaDivergence(this.schema, predicted, server));
+
+    // Fixed simulation timestep
+    this.tickRate = config.tickRate || 60;
+    this.dt = this.deterministic
+      ? FixedPoint.fromFloat(1 / this.tickRate) // seconds per tick, Q16.16
+      : 1 / this.tickRate; // seconds per tick
+
+    const initialState = config.initialState || createState(this.schema);
+
+    // Client's current predicted state
+    this.predictedState = this.cloneState(initialState);
     
     // Last confirmed server state
-    this.serverState = { x: 0, y: 0, velocityX: 0, velocityY: 0, tick: 0 };
+    this.serverState = this.cloneState(initialState);
+    this.serverTick = 0;
     
-    // Input buffer: stores all inputs sent to server
-    // Format: { tick, input, timestamp }
+    // Input buffer: stores all inputs not yet acknowledged by the server
+    // Format: { sequence, tick, input, timestamp }
     this.inputBuffer = [];
+
+    // Input sequence numbers start at 1; 0 means "no input processed yet"
+    this.nextInputSequence = 1;
+    this.lastAckedInput = 0;
+
+    // Unacknowledged inputs repeated in every outgoing input message
+    this.inputRedundancy = config.inputRedundancy || 5;
+
+    // Ring buffer of predicted states, indexed by sequence % historySize
+    // Format: { sequence, state, checksum } - the state AFTER applying that input
+    this.historySize = config.historySize || 128;
+    this.stateHistory = new Array(this.historySize).fill(null);
+    this.recordState(0, this.predictedState);
     
-    // Current client tick (increments each frame)
+    // Current client tick (increments each frame). When driven by a
+    // ClientLoop this is the server tick the next input is intended for.
     this.clientTick = 0;
     
-    // Network latency simulation (in ticks)
-    this.rtt = 5; // Round-trip time
-    
-    // Reconciliation threshold (when to trigger rollback)
-    this.reconciliationThreshold = 0.1;
+    // Distances are compared against raw state values: Q16.16 in deterministic mode
+    const toStateUnits = (value) => (this.deterministic ? FixedPoint.fromFloat(value) : value);
+
+    // Reconciliation threshold (when a correction counts as a misprediction)
+    this.reconciliationThreshold = toStateUnits(config.reconciliationThreshold ?? 0.1); // 0: every correction counts
+
+    // Visual smoothing: render offset = (shown before correction) - (corrected state),
+    // decaying exponentially from the moment it was captured
+    this.visualHalfLife = config.visualHalfLife || 100; // ms
+    this.snapDistance = toStateUnits(config.snapDistance ?? 50); // state units, 0 always snaps
+    this.visualOffset = null;
+    this.visualOffsetTime = 0;
   }
 
   /**
@@ -37,137 +266,279 @@ class ClientPrediction {
    * @param {Object} input - User input (e.g., { moveX: 1, moveY: 0 })
    */
   applyInput(input) {
+    const sequence = this.nextInputSequence++;
+
     // 1. Store input in buffer for potential replay
     this.inputBuffer.push({
+      sequence,
       tick: this.clientTick,
       input: { ...input },
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     // 2. Apply input to predicted state IMMEDIATELY
     this.updateState(this.predictedState, input);
+    this.recordState(sequence, this.predictedState);
 
-    // 3. Send input to server (with tick and timestamp)
+    // 3. Send input to server, together with the last few unacknowledged
+    // inputs so a lost packet is covered by the next one (no retransmit wait).
+    // Pass `inputs` to NetworkProtocol.createInputBatch to delta-encode them.
     this.sendToServer({
       type: 'input',
-      tick: this.clientTick,
-      input: input,
-      timestamp: Date.now()
+      inputs: this.inputBuffer.slice(-this.inputRedundancy),
+      snapshotAck: this.decoder.getAck()
     });
 
     this.clientTick++;
   }
 
   /**
-   * Update physics state based on input
+   * Advance a state by one tick using the configured step function
    * @param {Object} state - State to update
    * @param {Object} input - Input to apply
    */
   updateState(state, input) {
-    // Simple movement physics
-    const speed = 5;
-    state.velocityX = input.moveX * speed;
-    state.velocityY = input.moveY * speed;
-    state.x += state.velocityX;
-    state.y += state.velocityY;
+    this.step(state, input, this.dt);
+  }
+
+  /**
+   * Store a copy of the predicted state after an input in the history ring
+   * @param {number} sequence - Input sequence the state belongs to
+   * @param {Object} state - Predicted state after applying that input
+   */
+  recordState(sequence, state) {
+    this.stateHistory[sequence % this.historySize] = {
+      sequence,
+      state: this.cloneState(state),
+      checksum: this.deterministic ? checksum(state) : null
+    };
+  }
+
+  /**
+   * Look up the predicted state after an input
+   * @param {number} sequence - Input sequence to look up
+   * @returns {Object|null} Predicted state, or null if never predicted or overwritten
+   */
+  getPredictedState(sequence) {
+    const entry = this.stateHistory[sequence % this.historySize];
+    return entry && entry.sequence === sequence ? entry.state : null;
+  }
+
+  /**
+   * Look up the checksum of the predicted state after an input
+   * @param {number} sequence - Input sequence to look up
+   * @returns {number|null} Checksum, or null if unknown or not in deterministic mode
+   */
+  getChecksum(sequence) {
+    const entry = this.stateHistory[sequence % this.historySize];
+    return entry && entry.sequence === sequence ? entry.checksum : null;
   }
 
   /**
-   * Receive server snapshot (authoritative state)
-   * @param {Object} snapshot - Server's authoritative state
+   * Receive server snapshot (authoritative state), full or delta
+   * @param {Object} snapshot - { tick, state, isDelta?, lastAckedInput, checksum? } from the server
    */
   onServerSnapshot(snapshot) {
+    const state = this.decoder.decode(snapshot);
+    if (state) {
+      this.applySnapshot({ ...snapshot, state, isDelta: false });
+    }
+  }
+
+  /**
+   * Reconcile against a full server snapshot
+   * @param {Object} snapshot - { tick, state, lastAckedInput, checksum? } with the full state
+   */
+  applySnapshot(snapshot) {
+    const acked = snapshot.lastAckedInput || 0;
+
+    // Ignore snapshots that arrive out of order
+    if (snapshot.tick < this.serverTick || acked < this.lastAckedInput) {
+      return;
+    }
+
     // 1. Update last known server state
-    this.serverState = { ...snapshot };
+    this.serverState = this.cloneState(snapshot.state);
+    this.serverTick = snapshot.tick;
+    this.lastAckedInput = acked;
 
-    // 2. Calculate divergence between predicted and server state
-    const divergence = this.calculateDivergence(
-      this.predictedState,
-      this.serverState
-    );
+    // 2. Compare against what we predicted after the last input the server processed
+    const predicted = this.getPredictedState(acked);
 
-    console.log(`Divergence: ${divergence.toFixed(3)}`);
+    const structureChanged = predicted !== null && this.structureChanged(predicted, this.serverState);
 
-    // 3. If divergence exceeds threshold, perform rollback
-    if (divergence > this.reconciliationThreshold) {
-      console.warn('⚠️ Prediction error detected! Rolling back...');
+    if (!predicted) {
+      // Nothing to compare against (too old, or not yet predicted): trust the server
+      this.logger.debug('No prediction to compare, adopting server state', { ackedInput: acked });
       this.rollbackAndReplay(snapshot);
+    } else if (this.deterministic && snapshot.checksum !== undefined && !structureChanged) {
+      // 3a. Deterministic: the checksums must match bit for bit
+      const predictedChecksum = this.getChecksum(acked);
+
+      if (predictedChecksum === snapshot.checksum) {
+        this.logger.debug('Checksum verified', { ackedInput: acked, checksum: predictedChecksum });
+      } else {
+        const event = {
+          ackedInput: acked,
+          serverTick: snapshot.tick,
+          divergence: this.calculateDivergence(predicted, this.serverState),
+          checksum: { expected: snapshot.checksum, actual: predictedChecksum }
+        };
+        this.logger.info('Misprediction', event);
+        this.emit('misprediction', event);
+        this.rollbackAndReplay(snapshot);
+      }
     } else {
-      // 4. Small divergence: just smooth interpolate
-      this.smoothCorrection(divergence);
+      const divergence = this.calculateDivergence(predicted, this.serverState);
+
+      this.logger.debug('Snapshot compared', { ackedInput: acked, divergence });
+
+      // 3. Any divergence is corrected exactly; large ones are mispredictions
+      if (divergence > this.reconciliationThreshold) {
+        const event = { ackedInput: acked, serverTick: snapshot.tick, divergence };
+        this.logger.info('Misprediction', event);
+        this.emit('misprediction', event);
+        this.rollbackAndReplay(snapshot);
+      } else if (divergence > 0 || structureChanged) {
+        // 4. Small divergence or a change the step cannot predict (e.g. a spawn):
+        // same exact correction, the visual offset hides it
+        this.rollbackAndReplay(snapshot);
+      }
     }
 
     // 5. Clean up acknowledged inputs from buffer
     this.inputBuffer = this.inputBuffer.filter(
-      (buffered) => buffered.tick > snapshot.tick
+      (buffered) => buffered.sequence > acked
     );
   }
 
+  /**
+   * Whether the server state differs in a way divergence does not measure
+   * (e.g. entities spawned or despawned). Such a snapshot is adopted without
+   * counting as a misprediction; subclasses with structured state override this.
+   * @param {Object} predicted - Predicted state
+   * @param {Object} server - Server state
+   * @returns {boolean} True if the structure differs
+   */
+  structureChanged(predicted, server) {
+    return false;
+  }
+
   /**
    * Rollback to server state and replay unacknowledged inputs
-   * @param {Object} serverSnapshot - Authoritative server state
+   * @param {Object} serverSnapshot - { state, lastAckedInput } from the server
    */
   rollbackAndReplay(serverSnapshot) {
+    const acked = serverSnapshot.lastAckedInput || 0;
+    const now = this.clock.now();
+    const shownBefore = this.getVisualState(now);
+
     // 1. Rewind to server's authoritative state
-    this.predictedState = { ...serverSnapshot };
+    this.predictedState = this.cloneState(serverSnapshot.state);
+    this.recordState(acked, this.predictedState);
 
-    // 2. Replay all inputs that came AFTER the server tick
+    // 2. Replay all inputs the server had NOT processed yet
     const unacknowledgedInputs = this.inputBuffer.filter(
-      (buffered) => buffered.tick > serverSnapshot.tick
+      (buffered) => buffered.sequence > acked
     );
 
-    console.log(`🔄 Replaying ${unacknowledgedInputs.length} inputs...`);
-
-    // 3. Re-apply each unacknowledged input
+    // 3. Re-apply each unacknowledged input, rewriting the prediction history
     for (const buffered of unacknowledgedInputs) {
       this.updateState(this.predictedState, buffered.input);
+      this.recordState(buffered.sequence, this.predictedState);
     }
 
-    console.log('✅ Rollback complete. State reconciled.');
+    // 4. Keep showing what the player saw, then let the offset decay
+    this.visualOffset = this.measureVisualError(shownBefore, this.predictedState);
+    this.visualOffsetTime = now;
+
+    const event = {
+      ackedInput: acked,
+      serverTick: serverSnapshot.tick,
+      replayed: unacknowledgedInputs.length
+    };
+    this.logger.debug('Rollback complete', event);
+    this.emit('rollback', event);
   }
 
   /**
-   * Calculate Euclidean distance between predicted and server state
+   * Calculate divergence between predicted and server state
    * @param {Object} predicted - Predicted state
    * @param {Object} server - Server state
-   * @returns {number} Distance
+   * @returns {number} Distance (as defined by compareState)
    */
   calculateDivergence(predicted, server) {
-    const dx = predicted.x - server.x;
-    const dy = predicted.y - server.y;
-    return Math.sqrt(dx * dx + dy * dy);
+    return this.compareState(predicted, server);
+  }
+
+  /**
+   * Render offset between what was on screen and the corrected state.
+   * Only weighted (compared) fields are smoothed; a correction larger than
+   * snapDistance is a teleport and is not smoothed at all.
+   * @param {Object} shown - State that was being rendered
+   * @param {Object} corrected - Corrected simulation state
+   * @returns {Object|null} Field → offset, or null to snap
+   */
+  measureVisualError(shown, corrected) {
+    const offset = {};
+    let magnitude = 0;
+
+    for (const [field, spec] of Object.entries(this.schema)) {
+      if (!spec.weight) continue;
+      offset[field] = shown[field] - corrected[field];
+      magnitude += offset[field] * offset[field];
+    }
+
+    return Math.sqrt(magnitude) > this.snapDistance ? null : offset;
   }
 
   /**
-   * Smooth correction for small prediction errors
-   * @param {number} divergence - Amount of error
+   * Current (decayed) render offset
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Object|null} Offset scaled by the elapsed half-lives
    */
-  smoothCorrection(divergence) {
-    // Blend factor (0-1): higher = faster correction
-    const blendFactor = Math.min(divergence / this.reconciliationThreshold, 1) * 0.1;
+  getVisualOffset(now = this.clock.now()) {
+    if (!this.visualOffset) {
+      return null;
+    }
+
+    const elapsed = Math.max(0, now - this.visualOffsetTime);
+    const remaining = Math.pow(0.5, elapsed / this.visualHalfLife);
 
-    // Lerp predicted state toward server state
-    this.predictedState.x += (this.serverState.x - this.predictedState.x) * blendFactor;
-    this.predictedState.y += (this.serverState.y - this.predictedState.y) * blendFactor;
+    // Fully decayed: drop it so rendering is exactly the simulation again
+    if (remaining < 0.001) {
+      this.visualOffset = null;
+      return null;
+    }
 
-    console.log(`📊 Smooth correction applied (blend: ${(blendFactor * 100).toFixed(1)}%)`);
+    return scaleOffset(this.visualOffset, remaining);
   }
 
   /**
-   * Simulate sending data to server
+   * Send inputs over the connection (if connected) and emit 'send'
    * @param {Object} data - Data to send
    */
   sendToServer(data) {
-    // In real implementation, this would use WebSocket/UDP
-    console.log('📤 Sent to server:', data);
+    this.logger.debug('Input sent', { sequences: data.inputs.map((buffered) => buffered.sequence) });
+    if (this.connection && this.connection.isConnected()) {
+      this.connection.send(this.connection.protocol.createInputBatch(data.inputs, data.snapshotAck));
+    }
+    this.emit('send', data);
   }
 
   /**
-   * Get current visual state (what should be rendered)
-   * @returns {Object} Current predicted state
+   * Get current visual state (what should be rendered):
+   * the predicted state plus the decaying correction offset
+   * @param {number} [now] - Timestamp in milliseconds
+   * @returns {Object} State to render
    */
-  getVisualState() {
-    return { ...this.predictedState };
+  getVisualState(now = this.clock.now()) {
+    const state = this.cloneState(this.predictedState);
+    const offset = this.getVisualOffset(now);
+    if (offset) {
+      addOffset(state, offset);
+    }
+    return state;
   }
 }
 
@@ -175,44 +546,76 @@ class ClientPrediction {
 // USAGE EXAMPLE
 // ============================================
 
-const client = new ClientPrediction();
-
-console.log('=== Client-Side Prediction Demo ===\n');
-
-// Frame 1: Player presses right arrow
-console.log('Frame 1: Input RIGHT');
-client.applyInput({ moveX: 1, moveY: 0 });
-console.log('Predicted position:', client.getVisualState());
-console.log('');
-
-// Frame 2: Player continues moving right
-console.log('Frame 2: Input RIGHT');
-client.applyInput({ moveX: 1, moveY: 0 });
-console.log('Predicted position:', client.getVisualState());
-console.log('');
-
-// Frame 5: Server snapshot arrives (with slight correction)
-console.log('Frame 5: Server snapshot received');
-client.onServerSnapshot({
-  x: 9.5,  // Slightly different from client's prediction
-  y: 0,
-  velocityX: 5,
-  velocityY: 0,
-  tick: 1
-});
-console.log('Corrected position:', client.getVisualState());
-console.log('');
-
-// Frame 10: Large prediction error (e.g., server rejected input)
-console.log('Frame 10: Server snapshot with LARGE error');
-client.onServerSnapshot({
-  x: 5,  // Server rejected some movement
-  y: 0,
-  velocityX: 0,
-  velocityY: 0,
-  tick: 2
-});
-console.log('After rollback:', client.getVisualState());
+function demonstratePrediction() {
+  const { VirtualClock } = require('./Clock');
+
+  // A virtual clock keeps the render offsets below reproducible
+  const clock = new VirtualClock();
+  const client = new ClientPrediction({ clock });
+
+  console.log('=== Client-Side Prediction Demo ===\n');
+
+  // Drive demo output from events instead of library logging
+  client.on('send', (data) => {
+    console.log(`📤 Sent to server: inputs ${data.inputs.map((buffered) => buffered.sequence).join(', ')}`);
+  });
+  client.on('misprediction', ({ ackedInput, divergence }) => {
+    console.warn(`⚠️ Prediction error after input ${ackedInput} (divergence ${divergence.toFixed(3)})! Rolling back...`);
+  });
+  client.on('rollback', ({ replayed }) => {
+    console.log(`🔄 Replayed ${replayed} inputs. State reconciled.`);
+  });
+
+  // Frames 1-4: Player holds right arrow (inputs 1-4)
+  for (let frame = 1; frame <= 4; frame++) {
+    console.log(`Frame ${frame}: Input RIGHT`);
+    client.applyInput({ moveX: 1, moveY: 0 });
+  }
+  console.log('Predicted position:', client.getVisualState());
+  console.log('');
+
+  // Frame 5: Server has processed input 2 (we have already sent input 4).
+  // Server ticks run on their own counter: only lastAckedInput matters.
+  console.log('Frame 5: Server snapshot acknowledging input 2 received');
+  client.onServerSnapshot({
+    tick: 907,
+    lastAckedInput: 2,
+    state: {
+      x: 10.05,  // Slightly different from our prediction after input 2
+      y: 0,
+      velocityX: 5,
+      velocityY: 0
+    }
+  });
+  console.log('Corrected position:', client.getVisualState());
+  console.log('');
+
+  // Frame 6: Large prediction error (e.g., server rejected input 3)
+  console.log('Frame 6: Server snapshot acknowledging input 3 with LARGE error');
+  client.onServerSnapshot({
+    tick: 908,
+    lastAckedInput: 3,
+    state: {
+      x: 10,  // Server rejected the movement of input 3
+      y: 0,
+      velocityX: 0,
+      velocityY: 0
+    }
+  });
+  console.log('Simulation after rollback:', client.predictedState);
+
+  // The screen does not jump: the correction is blended out over time
+  const corrected = client.clock.now();
+  for (const elapsed of [0, 100, 200, 400]) {
+    const visual = client.getVisualState(corrected + elapsed);
+    console.log(`Rendered +${elapsed}ms: x=${visual.x.toFixed(2)}`);
+  }
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstratePrediction();
+}
 
 /*
 EXPECTED OUTPUT:
@@ -220,32 +623,43 @@ EXPECTED OUTPUT:
 === Client-Side Prediction Demo ===
 
 Frame 1: Input RIGHT
-📤 Sent to server: { type: 'input', tick: 0, input: { moveX: 1, moveY: 0 }, timestamp: ... }
-Predicted position: { x: 5, y: 0, velocityX: 5, velocityY: 0 }
-
+📤 Sent to server: inputs 1
 Frame 2: Input RIGHT
-📤 Sent to server: { type: 'input', tick: 1, input: { moveX: 1, moveY: 0 }, timestamp: ... }
-Predicted position: { x: 10, y: 0, velocityX: 5, velocityY: 0 }
-
-Frame 5: Server snapshot received
-Divergence: 0.500
-📊 Smooth correction applied (blend: 5.0%)
-Corrected position: { x: 9.975, y: 0, velocityX: 5, velocityY: 0 }
-
-Frame 10: Server snapshot with LARGE error
-Divergence: 4.975
-⚠️ Prediction error detected! Rolling back...
-🔄 Replaying 2 inputs...
-✅ Rollback complete. State reconciled.
-After rollback: { x: 15, y: 0, velocityX: 5, velocityY: 0 }
+📤 Sent to server: inputs 1, 2
+Frame 3: Input RIGHT
+📤 Sent to server: inputs 1, 2, 3
+Frame 4: Input RIGHT
+📤 Sent to server: inputs 1, 2, 3, 4
+Predicted position: { x: 20, y: 0, velocityX: 5, velocityY: 0 }
+
+Frame 5: Server snapshot acknowledging input 2 received
+🔄 Replayed 2 inputs. State reconciled.
+Corrected position: { x: 20, y: 0, velocityX: 5, velocityY: 0 }
+
+Frame 6: Server snapshot acknowledging input 3 with LARGE error
+[ClientPrediction] Misprediction ackedInput=3 serverTick=908 divergence=5.050
+⚠️ Prediction error after input 3 (divergence 5.050)! Rolling back...
+🔄 Replayed 1 inputs. State reconciled.
+Simulation after rollback: { x: 15, y: 0, velocityX: 5, velocityY: 0 }
+Rendered +0ms: x=20.00
+Rendered +100ms: x=17.50
+Rendered +200ms: x=16.25
+Rendered +400ms: x=15.31
 
 KEY CONCEPTS DEMONSTRATED:
 1. Client predicts movement IMMEDIATELY (responsive)
 2. Input buffer stores all unacknowledged inputs
-3. Server snapshots provide authoritative truth
-4. Small errors: smooth blend (invisible to player)
-5. Large errors: rollback + replay (maintains correctness)
+3. Server snapshots are compared with the prediction after the SAME input
+4. Every error: exact rollback + replay (maintains correctness)
+5. The visible jump decays as a separate render offset (invisible to player)
 6. This is ONE of the N+1 simulations (this client's view)
 */
 
+ClientPrediction.PointMassSchema = PointMassSchema;
+ClientPrediction.pointMassStep = pointMassStep;
+ClientPrediction.fixedPointMassStep = fixedPointMassStep;
+ClientPrediction.createState = createState;
+ClientPrediction.cloneState = cloneState;
+ClientPrediction.schemaDivergence = schemaDivergence;
+
 module.exports = ClientPrediction;
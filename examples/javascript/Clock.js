@@ -0,0 +1,122 @@
+/**
+ * Clock Sources
+ *
+ * Everything that timestamps packets, measures RTT or steps a simulation
+ * reads time from a clock object with one method:
+ *
+ *   clock.now() → milliseconds (fractional)
+ *
+ * - MonotonicClock (default): never jumps when the OS clock is adjusted
+ *   (NTP corrections, DST, the user changing the time), so RTTs and
+ *   timeouts cannot go negative or suddenly huge. Its values start near
+ *   Date.now() so timestamps stay readable, but they do not follow later
+ *   wall-clock adjustments - compare them only with the same clock.
+ * - VirtualClock: only moves when told to, for deterministic tests and
+ *   simulations (pair it with LinkConditioner's timers: false).
+ *
+ * TimeSync, NetworkProtocol, ClientPrediction and LinkConditioner take
+ * config.clock; Connection and CongestionController use their protocol's
+ * clock.
+ */
+
+class MonotonicClock {
+  constructor() {
+    if (typeof performance !== 'undefined' && typeof performance.now === 'function') {
+      // Browsers and Node: performance.now() is monotonic, timeOrigin anchors it
+      const origin = performance.timeOrigin;
+      this.read = () => origin + performance.now();
+    } else {
+      const originWall = Date.now();
+      const originHr = process.hrtime.bigint();
+      this.read = () => originWall + Number(process.hrtime.bigint() - originHr) / 1e6;
+    }
+  }
+
+  /**
+   * @returns {number} Current time (ms)
+   */
+  now() {
+    return this.read();
+  }
+}
+
+class VirtualClock {
+  /**
+   * @param {number} [start] - Initial time (ms)
+   */
+  constructor(start = 0) {
+    this.time = start;
+  }
+
+  /**
+   * @returns {number} Current time (ms)
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Move time forward
+   * @param {number} ms - Milliseconds to advance
+   * @returns {number} New time (ms)
+   */
+  advance(ms) {
+    if (ms < 0) {
+      throw new RangeError('A clock cannot go backwards');
+    }
+    this.time += ms;
+    return this.time;
+  }
+
+  /**
+   * Jump to a time (not earlier than the current one)
+   * @param {number} time - New time (ms)
+   */
+  set(time) {
+    this.advance(time - this.time);
+  }
+}
+
+// Shared default: one monotonic timeline for the whole process
+const defaultClock = new MonotonicClock();
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateClocks() {
+  console.log('=== Clock Sources Demo ===\n');
+
+  const start = defaultClock.now();
+  while (defaultClock.now() - start < 2) {
+    // Busy-wait 2ms
+  }
+  console.log(`Monotonic clock: ${(defaultClock.now() - start).toFixed(3)}ms elapsed (sub-ms resolution), ` +
+    `${Math.abs(defaultClock.now() - Date.now()).toFixed(1)}ms from the wall clock`);
+
+  // Anything with config.clock can run on virtual time instead, e.g.
+  // new NetworkProtocol({ clock }) or new TimeSync({ clock })
+  const clock = new VirtualClock(10000);
+  const sentAt = clock.now();
+  const rto = 250;
+  const due = () => clock.now() - sentAt >= rto;
+
+  console.log(`\nVirtual clock at ${clock.now()}ms: retransmission due? ${due()}`);
+  clock.advance(249);
+  console.log(`Advanced 249ms: retransmission due? ${due()}`);
+  clock.advance(1);
+  console.log(`Advanced 1ms: retransmission due? ${due()} - same answer on every run`);
+
+  try {
+    clock.set(0);
+  } catch (error) {
+    console.log(`\nclock.set(0): ${error.message}`);
+  }
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateClocks();
+}
+
+module.exports = { MonotonicClock, VirtualClock, defaultClock };
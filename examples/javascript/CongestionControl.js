@@ -0,0 +1,311 @@
+/**
+ * Per-Connection Congestion Control
+ *
+ * A server that keeps sending full-rate snapshots into a link that is
+ * dropping or queueing them only makes things worse: queues grow, RTT
+ * climbs and loss spreads to the inputs coming back. The controller keeps a
+ * bandwidth budget per connection and adjusts it every interval (AIMD):
+ *
+ * - loss above lossThreshold → multiply the budget by decreaseFactor
+ *   (well above the 1-5% random loss of the PERFORMANCE.md profiles: a
+ *   lossy but uncongested link should not starve the client)
+ * - RTT above the link's base RTT × rttTolerance (queueing delay)
+ *   → multiply the budget by decreaseFactor
+ * - otherwise → add increaseStep, up to maxBandwidth
+ *
+ * Loss and RTT come from the connection's NetworkProtocol, which tracks
+ * every datagram - snapshots included - against the peer's ack headers.
+ * The base RTT is the smallest sample of the last baseRttWindows intervals,
+ * so a route change is picked up within seconds.
+ *
+ * The budget maps to a snapshot rate (fewer snapshots first) and a snapshot
+ * size cap (budget / rate); the server checks shouldSendSnapshot() each
+ * tick and trims snapshots to maxSnapshotBytes, e.g. by dropping distant
+ * entities first.
+ *
+ * Events:
+ * - 'budgetChanged' ({ bandwidth, snapshotRate, maxSnapshotBytes, reason }):
+ *   reason is 'loss', 'latency' or 'recovery'
+ */
+
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+
+class CongestionController extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {NetworkProtocol} config.protocol - Protocol of the connection to control
+   * @param {number} [config.maxBandwidth] - Budget ceiling (bytes/s)
+   * @param {number} [config.minBandwidth] - Budget floor (bytes/s)
+   * @param {number} [config.maxSnapshotRate] - Snapshots per second at full budget
+   * @param {number} [config.minSnapshotRate] - Snapshots per second at the floor
+   * @param {number} [config.interval] - Evaluation interval (ms)
+   * @param {number} [config.lossThreshold] - Loss rate treated as congestion (0-1)
+   * @param {number} [config.rttTolerance] - RTT over base RTT treated as congestion (ratio)
+   * @param {number} [config.rttSlack] - Extra RTT always tolerated (ms), for jitter on fast links
+   * @param {number} [config.decreaseFactor] - Budget multiplier on congestion
+   * @param {number} [config.increaseStep] - Budget added per clean interval (bytes/s)
+   * @param {number} [config.minSamples] - Datagrams needed to judge an interval (it is extended until then)
+   * @param {number} [config.baseRttWindows] - Intervals the base RTT is remembered
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'CongestionController' });
+    this.protocol = config.protocol;
+
+    // Configuration
+    this.maxBandwidth = config.maxBandwidth || 64 * 1024; // bytes/s
+    this.minBandwidth = config.minBandwidth || 4 * 1024; // bytes/s
+    this.maxSnapshotRate = config.maxSnapshotRate || 30; // Hz
+    this.minSnapshotRate = config.minSnapshotRate || 10; // Hz
+    this.interval = config.interval || 500; // ms
+    this.lossThreshold = config.lossThreshold || 0.1;
+    this.rttTolerance = config.rttTolerance || 1.5;
+    this.rttSlack = config.rttSlack || 10; // ms
+    this.decreaseFactor = config.decreaseFactor || 0.7;
+    // A fixed budget (min === max) has nothing to grow back into
+    this.increaseStep = config.increaseStep || Math.max(0, this.maxBandwidth - this.minBandwidth) / 20; // bytes/s
+    this.minSamples = config.minSamples || 20;
+    this.baseRttWindows = config.baseRttWindows || 20;
+
+    // Budget
+    this.bandwidth = this.maxBandwidth;
+    this.lastSnapshotTime = -Infinity;
+
+    // Current interval
+    this.windowStart = null;
+    this.windowDelivered = 0;
+    this.windowUndelivered = 0;
+    this.windowRttSum = 0;
+    this.windowMinRtt = Infinity;
+
+    // Smallest RTT of recent intervals, newest last
+    this.recentMinRtts = [];
+
+    // Statistics
+    this.lossRate = 0; // Last judged interval
+    this.windowRtt = 0; // Mean RTT of the last judged interval
+    this.decreases = 0;
+    this.increases = 0;
+
+    this.protocol.on('delivered', ({ rtt }) => {
+      this.windowDelivered++;
+      this.windowRttSum += rtt;
+      this.windowMinRtt = Math.min(this.windowMinRtt, rtt);
+    });
+    this.protocol.on('undelivered', () => {
+      this.windowUndelivered++;
+    });
+  }
+
+  /**
+   * Judge the interval once it is over and has enough samples
+   * @param {number} [now] - Current time (ms)
+   */
+  update(now = this.protocol.clock.now()) {
+    if (this.windowStart === null) {
+      this.windowStart = now;
+      return;
+    }
+    if (now - this.windowStart < this.interval) return;
+
+    // At low send rates an interval is too few datagrams to judge: extend it
+    if (this.windowDelivered + this.windowUndelivered < this.minSamples) return;
+
+    this.evaluate();
+    this.resetWindow(now);
+  }
+
+  /**
+   * Adjust the budget from the interval's loss and RTT
+   */
+  evaluate() {
+    this.lossRate = this.windowUndelivered / (this.windowDelivered + this.windowUndelivered);
+
+    if (this.windowDelivered > 0) {
+      this.windowRtt = this.windowRttSum / this.windowDelivered;
+      this.recentMinRtts.push(this.windowMinRtt);
+      if (this.recentMinRtts.length > this.baseRttWindows) {
+        this.recentMinRtts.shift();
+      }
+    }
+    const baseRtt = this.getBaseRtt();
+
+    if (this.lossRate > this.lossThreshold) {
+      this.decrease('loss');
+    } else if (baseRtt !== null && this.windowRtt > baseRtt * this.rttTolerance + this.rttSlack) {
+      this.decrease('latency');
+    } else if (this.bandwidth < this.maxBandwidth) {
+      this.setBandwidth(Math.min(this.maxBandwidth, this.bandwidth + this.increaseStep), 'recovery');
+      this.increases++;
+    }
+  }
+
+  /**
+   * @param {string} reason - 'loss' or 'latency'
+   */
+  decrease(reason) {
+    if (this.bandwidth <= this.minBandwidth) return;
+
+    this.setBandwidth(Math.max(this.minBandwidth, this.bandwidth * this.decreaseFactor), reason);
+    this.decreases++;
+    this.logger.info('Congestion, budget reduced', {
+      reason,
+      lossRate: this.lossRate,
+      rtt: this.windowRtt,
+      bandwidth: this.bandwidth
+    });
+  }
+
+  /**
+   * @param {number} bandwidth - New budget (bytes/s)
+   * @param {string} reason - Why it changed
+   */
+  setBandwidth(bandwidth, reason) {
+    this.bandwidth = bandwidth;
+    this.emit('budgetChanged', { ...this.getBudget(), reason });
+  }
+
+  /**
+   * @param {number} now - Start of the next interval (ms)
+   */
+  resetWindow(now) {
+    this.windowStart = now;
+    this.windowDelivered = 0;
+    this.windowUndelivered = 0;
+    this.windowRttSum = 0;
+    this.windowMinRtt = Infinity;
+  }
+
+  /**
+   * @returns {number|null} Smallest recent RTT (ms), null before any sample
+   */
+  getBaseRtt() {
+    return this.recentMinRtts.length > 0 ? Math.min(...this.recentMinRtts) : null;
+  }
+
+  /**
+   * Snapshot rate for the current budget: scales linearly between the floor and ceiling
+   * @returns {number} Snapshots per second
+   */
+  getSnapshotRate() {
+    const range = this.maxBandwidth - this.minBandwidth;
+    // Fixed budget: always the full rate
+    const fraction = range > 0 ? (this.bandwidth - this.minBandwidth) / range : 1;
+    return Math.round(this.minSnapshotRate + fraction * (this.maxSnapshotRate - this.minSnapshotRate));
+  }
+
+  /**
+   * Whether a snapshot is due for this connection (call once per server tick)
+   * @param {number} [now] - Current time (ms)
+   * @returns {boolean} True if one should be sent now
+   */
+  shouldSendSnapshot(now = this.protocol.clock.now()) {
+    const period = 1000 / this.getSnapshotRate();
+    if (now - this.lastSnapshotTime < period) return false;
+
+    // Keep the cadence when ticks and period do not line up, restart it after a stall
+    this.lastSnapshotTime = now - this.lastSnapshotTime < 2 * period ? this.lastSnapshotTime + period : now;
+    return true;
+  }
+
+  /**
+   * Current sending budget
+   * @returns {Object} { bandwidth, snapshotRate, maxSnapshotBytes }
+   */
+  getBudget() {
+    const snapshotRate = this.getSnapshotRate();
+    return {
+      bandwidth: Math.round(this.bandwidth),
+      snapshotRate,
+      maxSnapshotBytes: Math.floor(this.bandwidth / snapshotRate)
+    };
+  }
+
+  /**
+   * Get controller statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      ...this.getBudget(),
+      lossRate: this.lossRate,
+      rtt: this.windowRtt,
+      baseRtt: this.getBaseRtt(),
+      rto: this.protocol.rto,
+      decreases: this.decreases,
+      increases: this.increases
+    };
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+async function demonstrateCongestionControl() {
+  const { NetworkProtocol } = require('./NetworkProtocol');
+  const { LinkConditioner, LinkPresets } = require('./LinkConditioner');
+  const { silentLogger } = require('./Logger');
+
+  console.log('=== Congestion Control Demo ===\n');
+
+  const server = new NetworkProtocol({ role: 'server', logger: silentLogger });
+  const client = new NetworkProtocol({ logger: silentLogger });
+  const controller = new CongestionController({ protocol: server, logger: silentLogger });
+
+  // One conditioner per direction; the downlink changes mid-run
+  const downlink = new LinkConditioner({ ...LinkPresets.VERY_GOOD, seed: 11 });
+  const uplink = new LinkConditioner({ ...LinkPresets.VERY_GOOD, seed: 12 });
+
+  controller.on('budgetChanged', ({ bandwidth, snapshotRate, maxSnapshotBytes, reason }) => {
+    const marker = reason === 'recovery' ? '↑' : '↓';
+    console.log(`  ${marker} ${reason.padEnd(8)} ${(bandwidth / 1024).toFixed(1)} KB/s, ` +
+      `${snapshotRate} snapshots/s, ≤${maxSnapshotBytes} bytes each`);
+  });
+
+  const entities = Array.from({ length: 120 }, (_, i) => ({ id: i, x: i * 3.5, y: 12.25, velocityX: 1, velocityY: 0 }));
+  const bytesPerEntity = server.encodePacket(server.createSnapshot(0, { entities })).length / entities.length;
+  let tick = 0;
+
+  // 60Hz server tick: snapshots as the budget allows, trimmed to the size cap;
+  // the client answers with an input every tick (carrying its acks)
+  const timer = setInterval(() => {
+    const now = server.clock.now();
+    tick++;
+
+    if (controller.shouldSendSnapshot(now)) {
+      const { maxSnapshotBytes } = controller.getBudget();
+      const count = Math.min(entities.length, Math.floor(maxSnapshotBytes / bytesPerEntity));
+      const data = server.serialize(server.createSnapshot(tick, { entities: entities.slice(0, count) }));
+      downlink.send(data, (datagram) => client.processPacket(client.deserialize(datagram)));
+    }
+
+    const input = client.serialize(client.createInputBatch([{ sequence: tick, tick, input: { moveX: 1 }, timestamp: now }]));
+    uplink.send(input, (datagram) => server.processPacket(server.deserialize(datagram)));
+
+    controller.update(now);
+  }, 1000 / 60);
+
+  const phase = async (label, conditions, duration) => {
+    console.log(label);
+    Object.assign(downlink, conditions);
+    await new Promise((resolve) => setTimeout(resolve, duration));
+  };
+
+  await phase('Good link (46ms RTT, 0.5% loss):', {}, 1500);
+  await phase('Congested: 20 KB/s bottleneck:', { bandwidth: 20 * 1024, maxQueueDelay: 300 }, 3000);
+  await phase('Congestion clears:', { bandwidth: 0 }, 4000);
+
+  clearInterval(timer);
+  console.log('\nController:', controller.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateCongestionControl();
+}
+
+module.exports = { CongestionController };
@@ -0,0 +1,797 @@
+/**
+ * Connection Lifecycle for Nine Realities Netcode
+ *
+ * One Connection per peer, on both ends. It owns that peer's
+ * NetworkProtocol and walks through:
+ *
+ *   client: disconnected → connecting → challenge → connected → disconnecting → disconnected
+ *   server: disconnected → connected → disconnecting → disconnected
+ *
+ * Handshake (all unreliable, resent every handshakeRetryInterval):
+ * 1. Client → CLIENT_HELLO { protocolVersion, minProtocolVersion }
+ * 2. Server → SERVER_HELLO { challenge }   (stateless 32-bit cookie)
+ * 3. Client → CLIENT_HELLO { challengeResponse }
+ * 4. Server → SERVER_HELLO { serverNonce }, then
+ *    SERVER_HELLO { protocolVersion, tickRate, serverTick } (sealed)
+ *
+ * The challenge proves the client receives packets at its claimed address
+ * before the server commits any per-client state or sends anything large:
+ * it is an HMAC of the address (config.address), so the server answers
+ * step 1 without remembering anything and only sets the connection up when
+ * a valid cookie comes back in step 3 (see HandshakeCookies).
+ * The negotiated protocolVersion is the newest both sides speak; if their
+ * ranges do not overlap the server kicks with PROTOCOL_MISMATCH.
+ *
+ * Security (see PacketSecurity.js): both client hellos and the challenge
+ * also carry ECDH public keys. On a valid challenge response the server
+ * picks a fresh serverNonce and derives per-direction session keys from the
+ * keys, the challenge and the nonce; the client derives the same keys when
+ * the nonce arrives, and the acceptance that follows is sealed with them. A
+ * malformed key fails the handshake with HANDSHAKE_FAILED. From then on
+ * every datagram is authenticated (optionally encrypted) and checked
+ * against a replay window before it is even deserialized. Only the client
+ * hellos, the challenge and the nonce travel in plaintext, and plaintext is
+ * never processed once connected (a repeated challenge response only makes
+ * the server resend its nonce and sealed acceptance).
+ *
+ * Once connected, a header-only keep-alive goes out whenever nothing else
+ * was sent for keepAliveInterval, and a peer silent for longer than timeout
+ * is dropped with TIMEOUT. Disconnects and kicks carry a DisconnectReason
+ * code and are sent several times, since no ack will come back.
+ *
+ * Each connection has a CongestionController (connection.congestion, see
+ * CongestionControl.js) judging the link while connected; a server asks it
+ * whether a snapshot is due and how large it may be.
+ *
+ * Connection is transport-agnostic: datagrams go out through config.send and
+ * come in through receive(). ConnectionServer.js wires connections to the
+ * UDP, WebSocket or loopback transports in Transport.js.
+ *
+ * Events:
+ * - 'stateChange' ({ from, to }): lifecycle state changed
+ * - 'connected' ({ protocolVersion, serverInfo }): handshake complete
+ * - 'disconnected' ({ reason, message, remote }): connection ended
+ *   (remote: the peer ended it)
+ * - 'message' ({ type, payload }): application packet delivered
+ */
+
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+const { NetworkProtocol, MessageType, DisconnectReason, PROTOCOL_VERSION } = require('./NetworkProtocol');
+const {
+  KeyExchange,
+  HandshakeCookies,
+  SecureSession,
+  FrameMode,
+  SEAL_OVERHEAD,
+  framePlaintext,
+  isValidPublicKey,
+  createServerNonce,
+  isValidServerNonce
+} = require('./PacketSecurity');
+const { CongestionController } = require('./CongestionControl');
+
+const ConnectionState = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CHALLENGE: 'challenge',
+  CONNECTED: 'connected',
+  DISCONNECTING: 'disconnecting'
+};
+
+// Handled by Connection itself, never passed to the application
+const ControlMessages = new Set([
+  MessageType.CLIENT_HELLO,
+  MessageType.SERVER_HELLO,
+  MessageType.CLIENT_DISCONNECT,
+  MessageType.SERVER_KICK,
+  MessageType.CLIENT_ACK,
+  MessageType.SERVER_ACK
+]);
+
+class Connection extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} [config.role] - 'client' (default) or 'server'
+   * @param {Function} config.send - (data: Buffer) → void, hands a datagram to the transport
+   * @param {NetworkProtocol} [config.protocol] - Protocol instance (default: new one for this role)
+   * @param {number} [config.protocolVersion] - Newest version spoken
+   * @param {number} [config.minProtocolVersion] - Oldest version spoken
+   * @param {string} [config.playerId] - Client: identity sent in CLIENT_HELLO
+   * @param {string} [config.playerName] - Client: display name sent in CLIENT_HELLO
+   * @param {Function} [config.admit] - Server: (hello) → DisconnectReason to refuse, or falsy to accept
+   * @param {Function} [config.serverInfo] - Server: () → { tickRate, serverTick } for SERVER_HELLO
+   * @param {number} [config.connectTimeout] - Give up on a handshake after this long (ms)
+   * @param {number} [config.handshakeRetryInterval] - Resend handshake packets this often (ms)
+   * @param {number} [config.keepAliveInterval] - Send a keep-alive after this much silence (ms)
+   * @param {number} [config.timeout] - Drop a peer silent for this long (ms)
+   * @param {number} [config.disconnectRedundancy] - Copies of a disconnect/kick to send
+   * @param {boolean} [config.secure] - Authenticate packets with a session key (default true)
+   * @param {boolean} [config.encrypt] - Also encrypt packet bodies (default false)
+   * @param {number} [config.replayWindow] - Datagram counters remembered for replay checks
+   * @param {Object} [config.congestion] - CongestionController config (bandwidth and snapshot rate bounds)
+   * @param {HandshakeCookies} [config.cookies] - Server: challenge issuer, shared by all connections of a server
+   * @param {string} [config.address] - Server: the client's address key, bound into its challenge
+   * @param {Object} [config.clock] - Time source for a new protocol (see Clock.js); methods default to the protocol's
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'Connection' });
+
+    this.role = config.role || 'client';
+    this.transmit = config.send;
+    this.protocol = config.protocol || new NetworkProtocol({ role: this.role, clock: config.clock, logger: this.logger });
+
+    // Configuration
+    this.protocolVersion = config.protocolVersion || PROTOCOL_VERSION;
+    this.minProtocolVersion = config.minProtocolVersion || this.protocolVersion;
+    this.playerId = config.playerId || null;
+    this.playerName = config.playerName || '';
+    this.admit = config.admit || (() => null);
+    this.serverInfo = config.serverInfo || (() => ({}));
+    this.connectTimeout = config.connectTimeout || 5000; // ms
+    this.handshakeRetryInterval = config.handshakeRetryInterval || 250; // ms
+    this.keepAliveInterval = config.keepAliveInterval || 1000; // ms
+    this.timeout = config.timeout || 5000; // ms
+    this.disconnectRedundancy = config.disconnectRedundancy || 3;
+    this.secure = config.secure !== false;
+    this.encrypt = config.encrypt || false;
+    this.replayWindow = config.replayWindow || 1024;
+    this.cookies = this.role === 'server' ? config.cookies || new HandshakeCookies() : null;
+    this.address = config.address || '';
+
+    this.congestion = new CongestionController({ logger: this.logger, ...config.congestion, protocol: this.protocol });
+
+    // Leave room for the frame around each datagram
+    this.protocol.maxPacketSize -= this.secure ? SEAL_OVERHEAD : 1;
+
+    // State
+    this.state = ConnectionState.DISCONNECTED;
+    this.stateSince = 0;
+    this.negotiatedVersion = null;
+    this.challenge = null; // Server: cookie the client proved; client: cookie to echo
+    this.remoteInfo = null; // Client: accepted SERVER_HELLO; server: CLIENT_HELLO
+    this.disconnectNotice = null; // { reason, message, remaining }
+    this.keyExchange = null; // Ephemeral keys for the current handshake
+    this.serverPublicKey = null; // Client: server's key from the challenge
+    this.serverNonce = null; // Server's fresh contribution to this connection's keys
+    this.session = null; // SecureSession once keys are derived
+
+    // Timestamps
+    this.lastSendTime = 0;
+    this.lastReceiveTime = 0;
+    this.lastHandshakeSendTime = 0;
+
+    // Statistics
+    this.packetsRejected = 0; // Failed authentication, replayed, or plaintext when sealed was required
+  }
+
+  /**
+   * Client: start the handshake
+   * @param {number} [now] - Current time (ms)
+   */
+  connect(now = this.protocol.clock.now()) {
+    if (this.role !== 'client') {
+      throw new Error('Only clients initiate connections');
+    }
+    if (this.state !== ConnectionState.DISCONNECTED) return;
+
+    this.challenge = null;
+    this.keyExchange = this.secure ? new KeyExchange() : null;
+    this.setState(ConnectionState.CONNECTING, now);
+    this.sendHandshake(now);
+  }
+
+  /**
+   * End the connection (client: disconnect; server: kick)
+   * @param {number} [reason] - DisconnectReason code
+   * @param {string} [message] - Human-readable detail
+   * @param {number} [now] - Current time (ms)
+   */
+  disconnect(reason = DisconnectReason.NONE, message = undefined, now = this.protocol.clock.now()) {
+    if (this.state === ConnectionState.DISCONNECTED || this.state === ConnectionState.DISCONNECTING) return;
+
+    this.disconnectNotice = { reason, message, remaining: this.disconnectRedundancy };
+    this.setState(ConnectionState.DISCONNECTING, now);
+    this.sendDisconnectNotice(now);
+  }
+
+  /**
+   * Server: remove a client with a reason
+   * @param {number} [reason] - DisconnectReason code
+   * @param {string} [message] - Shown to the player
+   * @param {number} [now] - Current time (ms)
+   */
+  kick(reason = DisconnectReason.KICKED, message = undefined, now = this.protocol.clock.now()) {
+    this.disconnect(reason, message, now);
+  }
+
+  /**
+   * Send an application packet (only while connected)
+   * @param {Object} packet - Packet from this.protocol
+   * @param {number} [now] - Current time (ms)
+   * @returns {boolean} True if sent
+   */
+  send(packet, now = this.protocol.clock.now()) {
+    if (this.state !== ConnectionState.CONNECTED) {
+      this.logger.debug('Packet not sent, not connected', { type: packet.type, state: this.state });
+      return false;
+    }
+    this.sendPacket(packet, now);
+    return true;
+  }
+
+  /**
+   * Serialize, fragment if needed, and hand to the transport
+   * @param {Object} packet - Packet to send
+   * @param {number} now - Current time (ms)
+   */
+  sendPacket(packet, now) {
+    const seal = this.session && !isKeyExchangePacket(packet);
+    for (const datagram of this.protocol.packetize(packet)) {
+      this.transmit(seal ? this.session.seal(datagram) : framePlaintext(datagram));
+    }
+    this.lastSendTime = now;
+  }
+
+  /**
+   * Process a datagram from this peer
+   * @param {Buffer} data - Received datagram
+   * @param {number} [now] - Current time (ms)
+   * @returns {Array<Object>} Application messages delivered, [{ type, payload }]
+   */
+  receive(data, now = this.protocol.clock.now()) {
+    if (this.state === ConnectionState.DISCONNECTED && this.role === 'client') return [];
+
+    // Authenticity and replay checks before anything is decoded
+    const plaintext = data.length > 0 && data[0] === FrameMode.PLAINTEXT;
+    const opened = plaintext ? data.subarray(1) : this.session && this.session.open(data);
+    if (!opened) {
+      this.reject('Packet failed authentication or replay check', data);
+      return [];
+    }
+
+    let delivered;
+    try {
+      delivered = this.process(this.protocol.deserialize(opened), plaintext, data, now);
+    } catch (error) {
+      // Anyone can send us garbage, and an authenticated peer can still send
+      // nonsense (e.g. fragments that reassemble into no packet): it must not
+      // take the connection, or the server, down
+      this.logger.warn('Malformed packet dropped', { bytes: data.length, error: error.message });
+      return [];
+    }
+
+    // Outside the try: an exception from a listener is the application's, not a bad packet
+    for (const message of delivered) {
+      this.emit('message', message);
+    }
+    return delivered;
+  }
+
+  /**
+   * Process a decoded packet: acks, delivery, handshake and disconnects
+   * @param {Object} packet - Deserialized packet
+   * @param {boolean} plaintext - Whether it arrived without a seal
+   * @param {Buffer} data - The datagram (for logging)
+   * @param {number} now - Current time (ms)
+   * @returns {Array<Object>} Application messages to deliver, [{ type, payload }]
+   */
+  process(packet, plaintext, data, now) {
+    if (plaintext && this.isRepeatedChallengeResponse(packet)) {
+      // Our acceptance was lost; answer without processing the plaintext
+      this.sendAcceptance(now);
+      return [];
+    }
+    if (plaintext && !this.acceptsPlaintext(packet)) {
+      this.reject('Plaintext packet refused', data);
+      return [];
+    }
+
+    const result = this.protocol.processPacket(packet);
+    this.lastReceiveTime = now;
+    if (!result) return [];
+
+    const delivered = [];
+    for (const message of result.messages) {
+      if (ControlMessages.has(message.type)) {
+        this.handleControl(message, now);
+      } else if (this.state === ConnectionState.CONNECTED) {
+        delivered.push(message);
+      }
+    }
+    return delivered;
+  }
+
+  /**
+   * Whether an unauthenticated packet may be processed
+   * @param {Object} packet - Deserialized plaintext packet
+   * @returns {boolean} True if allowed
+   */
+  acceptsPlaintext(packet) {
+    if (!this.secure) return true;
+    if (this.state === ConnectionState.CONNECTED) return false;
+
+    // Before keys exist: handshake and refusals, but never the acceptance
+    // (it is sealed); after: only the key exchange itself
+    if (!this.session) {
+      return ControlMessages.has(packet.type) &&
+        (packet.type !== MessageType.SERVER_HELLO || isKeyExchangePacket(packet));
+    }
+    return isKeyExchangePacket(packet);
+  }
+
+  /**
+   * Server: the connected client repeating its challenge response
+   * @param {Object} packet - Deserialized plaintext packet
+   * @returns {boolean} True if it matches the response that connected it
+   */
+  isRepeatedChallengeResponse(packet) {
+    if (this.role !== 'server' || this.state !== ConnectionState.CONNECTED) return false;
+    if (packet.type !== MessageType.CLIENT_HELLO || packet.payload.challengeResponse !== this.challenge) return false;
+
+    const { publicKey } = this.remoteInfo;
+    return !publicKey || (Buffer.isBuffer(packet.payload.publicKey) && publicKey.equals(packet.payload.publicKey));
+  }
+
+  /**
+   * Count and log a dropped datagram
+   * @param {string} message - Why it was dropped
+   * @param {Buffer} data - The datagram
+   */
+  reject(message, data) {
+    this.packetsRejected++;
+    this.logger.debug(message, { bytes: data.length, state: this.state });
+  }
+
+  /**
+   * Handshake, disconnect and keep-alive packets
+   * @param {Object} message - { type, payload }
+   * @param {number} now - Current time (ms)
+   */
+  handleControl({ type, payload }, now) {
+    switch (type) {
+      case MessageType.CLIENT_HELLO:
+        if (this.role === 'server') this.handleClientHello(payload, now);
+        break;
+      case MessageType.SERVER_HELLO:
+        if (this.role === 'client') this.handleServerHello(payload, now);
+        break;
+      case MessageType.CLIENT_DISCONNECT:
+      case MessageType.SERVER_KICK:
+        if (this.state !== ConnectionState.DISCONNECTED) {
+          this.finish(payload.reason, payload.message, true, now);
+        }
+        break;
+      default:
+        // ACK / keep-alive: acks were processed, lastReceiveTime refreshed
+        break;
+    }
+  }
+
+  /**
+   * Server: CLIENT_HELLO, first contact or challenge response
+   * @param {Object} hello - CLIENT_HELLO payload
+   * @param {number} now - Current time (ms)
+   */
+  handleClientHello(hello, now) {
+    // Only a fresh connection answers hellos; resends once connected are handled in receive()
+    if (this.state !== ConnectionState.DISCONNECTED) return;
+
+    const version = this.negotiateVersion(hello);
+    if (version === null) {
+      this.refuse(DisconnectReason.PROTOCOL_MISMATCH,
+        `Server speaks protocol ${this.minProtocolVersion}-${this.protocolVersion}`, now);
+      return;
+    }
+    if (this.secure && !isValidPublicKey(hello.publicKey)) {
+      this.refuse(DisconnectReason.HANDSHAKE_FAILED, 'Valid public key required', now);
+      return;
+    }
+    const publicKey = this.secure ? hello.publicKey : undefined;
+
+    if (hello.challengeResponse === undefined) {
+      // First contact (or a resend): answer with a cookie, keep nothing
+      const cookie = this.cookies.issue(this.address, publicKey, now);
+      this.sendPacket(this.protocol.createServerHello({
+        challenge: cookie.challenge,
+        publicKey: this.secure ? cookie.publicKey : undefined
+      }), now);
+      return;
+    }
+
+    const keyExchange = this.cookies.verify(this.address, publicKey, hello.challengeResponse, now);
+    if (!keyExchange) {
+      this.refuse(DisconnectReason.HANDSHAKE_FAILED, 'Challenge mismatch', now);
+      return;
+    }
+    if (this.secure) {
+      // Fresh per connection: a replayed handshake derives different keys
+      this.serverNonce = createServerNonce();
+      const keys = keyExchange.deriveKeys(hello.publicKey, hello.challengeResponse, this.serverNonce);
+      if (!keys) {
+        this.refuse(DisconnectReason.HANDSHAKE_FAILED, 'Key exchange failed', now);
+        return;
+      }
+      this.session = this.createSession(keys.serverToClient, keys.clientToServer);
+    }
+    this.challenge = hello.challengeResponse;
+    this.remoteInfo = hello;
+    this.negotiatedVersion = version;
+
+    // The challenge may have come from another, stateless instance as
+    // sequenceId 0: continue after it, or the client drops our packets as repeats
+    this.protocol.nextSequenceId = Math.max(this.protocol.nextSequenceId, 1);
+
+    const refusal = this.admit(this.remoteInfo);
+    if (refusal) {
+      this.refuse(refusal, undefined, now);
+      return;
+    }
+    this.setState(ConnectionState.CONNECTED, now);
+    this.emit('connected', { protocolVersion: this.negotiatedVersion, serverInfo: null });
+    this.sendAcceptance(now);
+  }
+
+  /**
+   * Server: the nonce the client needs for the session keys (in plaintext),
+   * then the SERVER_HELLO accepting the client (sealed with those keys)
+   * @param {number} now - Current time (ms)
+   */
+  sendAcceptance(now) {
+    if (this.serverNonce) {
+      this.sendPacket(this.protocol.createServerHello({ serverNonce: this.serverNonce }), now);
+    }
+    this.sendPacket(this.protocol.createServerHello({
+      playerId: this.remoteInfo.playerId,
+      protocolVersion: this.negotiatedVersion,
+      ...this.serverInfo()
+    }), now);
+  }
+
+  /**
+   * Client: SERVER_HELLO, challenge, server nonce or acceptance
+   * @param {Object} hello - SERVER_HELLO payload
+   * @param {number} now - Current time (ms)
+   */
+  handleServerHello(hello, now) {
+    if (hello.challenge !== undefined) {
+      if (this.state !== ConnectionState.CONNECTING && this.state !== ConnectionState.CHALLENGE) return;
+
+      // Keep the first challenge: a resend is identical, anything else is forged
+      if (this.challenge === null) {
+        if (this.secure && !hello.publicKey) {
+          this.disconnect(DisconnectReason.HANDSHAKE_FAILED, 'Server skipped key exchange', now);
+          return;
+        }
+        if (this.secure && !isValidPublicKey(hello.publicKey)) {
+          this.disconnect(DisconnectReason.HANDSHAKE_FAILED, 'Invalid server public key', now);
+          return;
+        }
+        this.challenge = hello.challenge;
+        this.serverPublicKey = this.secure ? hello.publicKey : null;
+        this.setState(ConnectionState.CHALLENGE, now);
+      }
+      this.sendHandshake(now);
+      return;
+    }
+
+    if (this.state !== ConnectionState.CHALLENGE) return;
+
+    if (hello.serverNonce !== undefined) {
+      // Unauthenticated until the sealed acceptance opens with the keys it
+      // gives, so a later, different nonce replaces it (the server resends
+      // its real one with every acceptance)
+      if (!this.secure || (this.serverNonce && this.serverNonce.equals(hello.serverNonce))) return;
+      const keys = isValidServerNonce(hello.serverNonce) &&
+        this.keyExchange.deriveKeys(this.serverPublicKey, this.challenge, hello.serverNonce);
+      if (!keys) {
+        this.disconnect(DisconnectReason.HANDSHAKE_FAILED, 'Invalid server nonce', now);
+        return;
+      }
+      this.serverNonce = hello.serverNonce;
+      this.session = this.createSession(keys.clientToServer, keys.serverToClient);
+      return;
+    }
+
+    if (hello.protocolVersion < this.minProtocolVersion || hello.protocolVersion > this.protocolVersion) {
+      this.disconnect(DisconnectReason.PROTOCOL_MISMATCH,
+        `Server chose unsupported protocol ${hello.protocolVersion}`, now);
+      return;
+    }
+
+    this.negotiatedVersion = hello.protocolVersion;
+    this.remoteInfo = hello;
+    this.setState(ConnectionState.CONNECTED, now);
+    this.emit('connected', { protocolVersion: this.negotiatedVersion, serverInfo: hello });
+  }
+
+  /**
+   * @param {Buffer} sendKey - Key for our direction
+   * @param {Buffer} receiveKey - Key for the peer's direction
+   * @returns {SecureSession} Session for this connection
+   */
+  createSession(sendKey, receiveKey) {
+    return new SecureSession({ sendKey, receiveKey, encrypt: this.encrypt, replayWindow: this.replayWindow });
+  }
+
+  /**
+   * Server: newest version both sides speak
+   * @param {Object} hello - CLIENT_HELLO payload
+   * @returns {number|null} Negotiated version, or null if the ranges do not overlap
+   */
+  negotiateVersion(hello) {
+    const clientMax = hello.protocolVersion || 1;
+    const clientMin = hello.minProtocolVersion || clientMax;
+    const version = Math.min(clientMax, this.protocolVersion);
+    return version >= Math.max(clientMin, this.minProtocolVersion) ? version : null;
+  }
+
+  /**
+   * Server: reject a handshake with a reason
+   * @param {number} reason - DisconnectReason code
+   * @param {string} [message] - Detail for the client
+   * @param {number} now - Current time (ms)
+   */
+  refuse(reason, message, now) {
+    this.logger.info('Connection refused', { reason, message });
+    if (this.state === ConnectionState.DISCONNECTED) {
+      // No state to tear down; answer once so the client stops retrying
+      this.sendPacket(this.protocol.createKick(reason, message), now);
+      this.emit('disconnected', { reason, message, remote: false });
+      return;
+    }
+    this.disconnect(reason, message, now);
+  }
+
+  /**
+   * Drive timers: handshake resends, keep-alives, acks, retransmissions, timeouts
+   * @param {number} [now] - Current time (ms)
+   */
+  update(now = this.protocol.clock.now()) {
+    switch (this.state) {
+      case ConnectionState.CONNECTING:
+      case ConnectionState.CHALLENGE:
+        if (now - this.stateSince > this.connectTimeout) {
+          this.finish(DisconnectReason.TIMEOUT, 'Handshake timed out', false, now);
+          return;
+        }
+        if (this.role === 'client' && now - this.lastHandshakeSendTime >= this.handshakeRetryInterval) {
+          this.sendHandshake(now);
+        }
+        break;
+
+      case ConnectionState.CONNECTED: {
+        if (now - this.lastReceiveTime > this.timeout) {
+          this.disconnect(DisconnectReason.TIMEOUT, 'Peer stopped responding', now);
+          return;
+        }
+
+        this.congestion.update(now);
+
+        for (const packet of this.protocol.getRetransmissions()) {
+          this.sendPacket(packet, now);
+        }
+
+        const ack = this.protocol.createAck();
+        if (ack) {
+          this.sendPacket(ack, now);
+        } else if (now - this.lastSendTime >= this.keepAliveInterval) {
+          this.sendPacket(this.protocol.createKeepAlive(), now);
+        }
+        break;
+      }
+
+      case ConnectionState.DISCONNECTING:
+        this.sendDisconnectNotice(now);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Client: send CLIENT_HELLO (with the challenge response once we have one)
+   * @param {number} now - Current time (ms)
+   */
+  sendHandshake(now) {
+    const options = {
+      protocolVersion: this.protocolVersion,
+      minProtocolVersion: this.minProtocolVersion
+    };
+    if (this.challenge !== null) {
+      options.challengeResponse = this.challenge;
+    }
+    if (this.keyExchange) {
+      // Repeated with the response: the server kept nothing from the first hello
+      options.publicKey = this.keyExchange.publicKey;
+    }
+    this.sendPacket(this.protocol.createClientHello(this.playerId, this.playerName, options), now);
+    this.lastHandshakeSendTime = now;
+  }
+
+  /**
+   * Send one more copy of the disconnect/kick; finish after the last
+   * @param {number} now - Current time (ms)
+   */
+  sendDisconnectNotice(now) {
+    const { reason, message } = this.disconnectNotice;
+    const packet = this.role === 'server'
+      ? this.protocol.createKick(reason, message)
+      : this.protocol.createDisconnect(reason, message);
+    this.sendPacket(packet, now);
+
+    this.disconnectNotice.remaining--;
+    if (this.disconnectNotice.remaining <= 0) {
+      this.finish(reason, message, false, now);
+    }
+  }
+
+  /**
+   * Enter the disconnected state
+   * @param {number} reason - DisconnectReason code
+   * @param {string} [message] - Detail
+   * @param {boolean} remote - Whether the peer ended the connection
+   * @param {number} now - Current time (ms)
+   */
+  finish(reason, message, remote, now) {
+    this.disconnectNotice = null;
+    this.challenge = null;
+    this.keyExchange = null;
+    this.serverPublicKey = null;
+    this.serverNonce = null;
+    this.session = null;
+    this.setState(ConnectionState.DISCONNECTED, now);
+
+    const event = { reason, message, remote };
+    this.logger.info('Disconnected', event);
+    this.emit('disconnected', event);
+  }
+
+  /**
+   * @param {string} state - New ConnectionState
+   * @param {number} now - Current time (ms)
+   */
+  setState(state, now) {
+    if (state === this.state) return;
+
+    const event = { from: this.state, to: state };
+    this.state = state;
+    this.stateSince = now;
+    if (state === ConnectionState.CONNECTED || state === ConnectionState.CHALLENGE) {
+      this.lastReceiveTime = now;
+    }
+
+    this.logger.debug('Connection state', event);
+    this.emit('stateChange', event);
+  }
+
+  /**
+   * @returns {boolean} True once the handshake completed
+   */
+  isConnected() {
+    return this.state === ConnectionState.CONNECTED;
+  }
+
+  /**
+   * Get connection statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      state: this.state,
+      protocolVersion: this.negotiatedVersion,
+      packetsRejected: this.packetsRejected,
+      congestion: this.congestion.getStats(),
+      security: this.session ? this.session.getStats() : null
+    };
+  }
+}
+
+/**
+ * Packets that must travel in plaintext: they carry the keys
+ * @param {Object} packet - Packet
+ * @returns {boolean} True for CLIENT_HELLOs and the SERVER_HELLO challenge and nonce
+ */
+function isKeyExchangePacket(packet) {
+  return packet.type === MessageType.CLIENT_HELLO
+    || (packet.type === MessageType.SERVER_HELLO &&
+      (packet.payload.challenge !== undefined || packet.payload.serverNonce !== undefined));
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateConnection() {
+  const { silentLogger } = require('./Logger');
+
+  console.log('=== Connection Lifecycle Demo ===\n');
+
+  const reasonName = (code) => Object.keys(DisconnectReason).find((name) => DisconnectReason[name] === code);
+
+  // In-memory link with a simulated clock: datagrams arrive on the next step
+  function link(clientConfig = {}, serverConfig = {}) {
+    const toServer = [];
+    const toClient = [];
+    const client = new Connection({
+      playerId: 'player_123', playerName: 'TestPlayer', logger: silentLogger,
+      send: (data) => toServer.push(data), ...clientConfig
+    });
+    const server = new Connection({
+      role: 'server', logger: silentLogger,
+      serverInfo: () => ({ tickRate: 60, serverTick: 1200 }),
+      send: (data) => toClient.push(data), ...serverConfig
+    });
+
+    client.on('stateChange', ({ to }) => console.log(`  client → ${to}`));
+    server.on('stateChange', ({ to }) => console.log(`  server → ${to}`));
+    client.on('disconnected', ({ reason, message, remote }) => {
+      console.log(`  client disconnected: ${reasonName(reason)}${message ? ` (${message})` : ''}${remote ? ' by server' : ''}`);
+    });
+
+    const step = (now, { serverSilent = false } = {}) => {
+      toServer.splice(0).forEach((data) => server.receive(data, now));
+      toClient.splice(0).forEach((data) => !serverSilent && client.receive(data, now));
+      client.update(now);
+      server.update(now);
+    };
+    return { client, server, step, toClient };
+  }
+
+  console.log('--- Handshake ---');
+  const a = link();
+  a.client.on('connected', ({ protocolVersion, serverInfo }) => {
+    console.log(`✓ Connected: protocol v${protocolVersion}, server tick ${serverInfo.serverTick}`);
+  });
+  a.client.connect(0);
+  for (let now = 20; now <= 100; now += 20) a.step(now);
+
+  console.log('\n--- Keep-alive, then server goes silent ---');
+  let now = 100;
+  for (; now <= 3000; now += 100) a.step(now);
+  console.log(`  still connected after 3s idle: ${a.client.isConnected()}`);
+  for (; a.client.state !== ConnectionState.DISCONNECTED && now <= 20000; now += 100) a.step(now, { serverSilent: true });
+
+  console.log('\n--- Forged and replayed packets ---');
+  const d = link({ encrypt: true }, { encrypt: true });
+  d.client.connect(0);
+  for (let t = 20; t <= 100; t += 20) d.step(t);
+  d.client.on('message', ({ payload }) => console.log(`  client accepted snapshot tick ${payload.tick}`));
+
+  d.server.send(d.server.protocol.createSnapshot(7, { entities: [{ id: 1, x: 10 }] }), 120);
+  const [genuine] = d.toClient.splice(0);
+  d.client.receive(genuine, 120);
+  d.client.receive(genuine, 121); // replay
+
+  const tampered = Buffer.from(genuine);
+  tampered[10] ^= 0xff;
+  d.client.receive(tampered, 122);
+
+  const attacker = new NetworkProtocol({ role: 'server', logger: silentLogger });
+  const forged = attacker.serialize(attacker.createSnapshot(8, { entities: [{ id: 1, x: 9999 }] }));
+  d.client.receive(framePlaintext(forged), 123);
+  console.log(`  rejected: ${d.client.getStats().packetsRejected} (replay, tampered, plaintext forgery)`);
+
+  console.log('\n--- Protocol mismatch ---');
+  const b = link({ protocolVersion: 3, minProtocolVersion: 2 });
+  b.client.connect(0);
+  for (let t = 20; t <= 100; t += 20) b.step(t);
+
+  console.log('\n--- Kick ---');
+  const c = link();
+  c.client.connect(0);
+  for (let t = 20; t <= 100; t += 20) c.step(t);
+  c.server.kick(DisconnectReason.KICKED, 'AFK', 120);
+  for (let t = 140; t <= 200; t += 20) c.step(t);
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateConnection();
+}
+
+module.exports = { Connection, ConnectionState };
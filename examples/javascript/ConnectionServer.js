@@ -0,0 +1,332 @@
+/**
+ * Connections over Transports
+ *
+ * Connection (Connection.js) is transport-agnostic; this module puts it on
+ * top of any adapter from Transport.js, so the same client and server code
+ * runs over UDP, WebSockets or the in-memory loopback:
+ *
+ *   // Server
+ *   const server = new ConnectionServer({ transport: udp, maxClients: 32 });
+ *   server.on('message', (connection, { type, payload }) => ...);
+ *   setInterval(() => {
+ *     server.update();
+ *     // Snapshots as often and as large as each client's link allows (see CongestionControl.js)
+ *     server.broadcast((connection) => (connection.congestion.shouldSendSnapshot()
+ *       ? connection.protocol.createSnapshot(tick, trimTo(connection.congestion.getBudget().maxSnapshotBytes))
+ *       : null));
+ *   }, 16);
+ *
+ *   // Client
+ *   const connection = connectClient(transport, serverAddress, { playerId, playerName });
+ *   const prediction = new ClientPrediction({ connection }); // inputs go out as they are applied
+ *   connection.connect();
+ *   setInterval(() => connection.update(), 16);
+ *
+ * ConnectionServer events:
+ * - 'connection' (connection, address): client completed the handshake
+ * - 'message' (connection, { type, payload }): application packet from a client
+ * - 'disconnect' (connection, { reason, message, remote }): connected client left
+ */
+
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+const { Connection, ConnectionState } = require('./Connection');
+const { DisconnectReason } = require('./NetworkProtocol');
+const { FrameMode, HandshakeCookies } = require('./PacketSecurity');
+const { addressKey } = require('./Transport');
+const { defaultClock } = require('./Clock');
+
+/**
+ * Server side of a transport: one Connection per remote address.
+ *
+ * A Connection is only created for plaintext datagrams (a client starting
+ * its handshake); sealed datagrams from unknown addresses are dropped
+ * without allocating anything. First hellos are answered with a stateless
+ * cookie (shared HandshakeCookies) and the Connection is forgotten right
+ * away, so spoofed hellos leave nothing behind; it is kept only once a
+ * client returns a valid cookie. Connections that end are forgotten too.
+ * Entries that are not connected (being kicked, or refused) are capped at
+ * maxPending.
+ */
+class ConnectionServer extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object} config.transport - Transport (see Transport.js)
+   * @param {number} [config.maxClients] - Connected clients before SERVER_FULL
+   * @param {number} [config.maxPending] - Connections not (or no longer) connected before new addresses are ignored
+   * @param {Object} [config.connection] - Config for each server Connection (admit, serverInfo, timeouts, ...)
+   * @param {Object} [config.clock] - Time source shared by all connections (see Clock.js)
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'ConnectionServer' });
+
+    this.transport = config.transport;
+    this.clock = config.clock || defaultClock;
+    this.maxClients = config.maxClients || 64;
+    this.maxPending = config.maxPending || 64;
+    this.connectionConfig = config.connection || {};
+    this.cookies = new HandshakeCookies();
+
+    // addressKey → { connection, address }
+    this.connections = new Map();
+
+    // Statistics
+    this.datagramsIgnored = 0; // Sealed datagrams from unknown addresses, or over maxPending
+
+    this.transport.on('message', (data, address) => this.receive(data, address));
+    this.transport.on('disconnect', (address) => this.dropAddress(address));
+  }
+
+  /**
+   * Route a datagram to its address's connection
+   * @param {Buffer} data - Received datagram
+   * @param {*} address - Sender address
+   * @param {number} [now] - Current time (ms)
+   */
+  receive(data, address, now = this.clock.now()) {
+    const key = addressKey(address);
+    let entry = this.connections.get(key);
+
+    if (!entry) {
+      if (data.length === 0 || data[0] !== FrameMode.PLAINTEXT || this.getPendingCount() >= this.maxPending) {
+        this.datagramsIgnored++;
+        return;
+      }
+      entry = { connection: this.createConnection(address), address };
+      this.connections.set(key, entry);
+    }
+
+    entry.connection.receive(data, now);
+
+    // Challenged (nothing kept until the cookie returns), refused, or not a handshake
+    if (entry.connection.state === ConnectionState.DISCONNECTED) {
+      this.connections.delete(key);
+    }
+  }
+
+  /**
+   * @param {*} address - Client address
+   * @returns {Connection} Server connection wired to the transport
+   */
+  createConnection(address) {
+    const admit = this.connectionConfig.admit || (() => null);
+    const connection = new Connection({
+      logger: this.logger,
+      ...this.connectionConfig,
+      clock: this.clock,
+      cookies: this.cookies,
+      address: addressKey(address),
+      role: 'server',
+      send: (data) => this.transport.send(data, address),
+      admit: (hello) => (this.getClientCount() >= this.maxClients ? DisconnectReason.SERVER_FULL : admit(hello))
+    });
+
+    let connected = false;
+    connection.on('connected', () => {
+      connected = true;
+      this.emit('connection', connection, address);
+    });
+    connection.on('message', (message) => this.emit('message', connection, message));
+    connection.on('disconnected', (event) => {
+      const key = addressKey(address);
+      const entry = this.connections.get(key);
+      if (entry && entry.connection === connection) {
+        this.connections.delete(key);
+      }
+      if (connected) {
+        this.emit('disconnect', connection, event);
+      }
+    });
+    return connection;
+  }
+
+  /**
+   * Connection-based transports: the client's socket closed
+   * @param {*} address - Client address
+   * @param {number} [now] - Current time (ms)
+   */
+  dropAddress(address, now = this.clock.now()) {
+    const entry = this.connections.get(addressKey(address));
+    if (entry && entry.connection.state !== ConnectionState.DISCONNECTED) {
+      entry.connection.finish(DisconnectReason.NONE, 'Transport closed', true, now);
+    }
+  }
+
+  /**
+   * Drive every connection's timers
+   * @param {number} [now] - Current time (ms)
+   */
+  update(now = this.clock.now()) {
+    for (const { connection } of Array.from(this.connections.values())) {
+      connection.update(now);
+    }
+  }
+
+  /**
+   * Send a packet to every connected client
+   * @param {Function} build - (connection) → packet from connection.protocol, or null to skip
+   * @param {number} [now] - Current time (ms)
+   */
+  broadcast(build, now = this.clock.now()) {
+    for (const { connection } of this.connections.values()) {
+      if (!connection.isConnected()) continue;
+      const packet = build(connection);
+      if (packet) connection.send(packet, now);
+    }
+  }
+
+  /**
+   * Kick everyone and close the transport
+   * @param {number} [reason] - DisconnectReason code
+   * @param {number} [now] - Current time (ms)
+   */
+  close(reason = DisconnectReason.SERVER_SHUTDOWN, now = this.clock.now()) {
+    for (const { connection } of Array.from(this.connections.values())) {
+      // Sent redundantly right away: there are no more updates to resend them
+      connection.kick(reason, undefined, now);
+      while (connection.state === ConnectionState.DISCONNECTING) {
+        connection.update(now);
+      }
+    }
+    this.transport.close();
+  }
+
+  /**
+   * @returns {number} Clients that completed the handshake
+   */
+  getClientCount() {
+    let count = 0;
+    for (const { connection } of this.connections.values()) {
+      if (connection.isConnected()) count++;
+    }
+    return count;
+  }
+
+  /**
+   * @returns {number} Connections kept that are not connected
+   */
+  getPendingCount() {
+    return this.connections.size - this.getClientCount();
+  }
+
+  /**
+   * Get server statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      clients: this.getClientCount(),
+      pending: this.getPendingCount(),
+      datagramsIgnored: this.datagramsIgnored
+    };
+  }
+}
+
+/**
+ * Client side of a transport: a Connection to one server address
+ * @param {Object} transport - Transport (see Transport.js)
+ * @param {*} [serverAddress] - Server address (default: the transport's remoteAddress, e.g. WebSocketTransport)
+ * @param {Object} [config] - Connection config (playerId, playerName, ...)
+ * @returns {Connection} Client connection; call connect() and update()
+ */
+function connectClient(transport, serverAddress = transport.remoteAddress, config = {}) {
+  const serverKey = addressKey(serverAddress);
+  const connection = new Connection({
+    ...config,
+    role: 'client',
+    send: (data) => transport.send(data, serverAddress)
+  });
+
+  transport.on('message', (data, address) => {
+    // Datagrams from anyone else are not ours to process
+    if (addressKey(address) === serverKey) {
+      connection.receive(data);
+    }
+  });
+  transport.on('disconnect', () => {
+    if (connection.state !== ConnectionState.DISCONNECTED) {
+      connection.finish(DisconnectReason.NONE, 'Transport closed', true, connection.protocol.clock.now());
+    }
+  });
+  return connection;
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+async function demonstrateConnectionServer() {
+  const { LoopbackNetwork, UdpTransport } = require('./Transport');
+  const ClientPrediction = require('./ClientPrediction');
+  const InputReceiver = require('./InputReceiver');
+  const { silentLogger } = require('./Logger');
+
+  console.log('=== Connection Server Demo ===');
+
+  // The same client/server code, given different transports
+  async function run(label, serverTransport, serverAddress, clientTransport, duration = 300) {
+    console.log(`\n--- ${label} ---`);
+
+    const server = new ConnectionServer({ transport: serverTransport, logger: silentLogger });
+    const receivers = new Map();
+    server.on('connection', (connection, address) => {
+      console.log(`Server: ${connection.remoteInfo.playerName} connected from ${addressKey(address)}`);
+      receivers.set(connection, new InputReceiver());
+    });
+    server.on('message', (connection, { payload }) => receivers.get(connection).receive(payload));
+
+    const connection = connectClient(clientTransport, serverAddress, {
+      playerId: 'p1', playerName: 'TestPlayer', logger: silentLogger
+    });
+    const prediction = new ClientPrediction({ connection, logger: silentLogger });
+
+    connection.connect();
+    const timer = setInterval(() => {
+      server.update();
+      connection.update();
+      if (connection.isConnected()) {
+        prediction.applyInput({ moveX: 1, moveY: 0 });
+      }
+    }, 16);
+
+    await new Promise((resolve) => setTimeout(resolve, duration));
+    clearInterval(timer);
+
+    const [receiver] = receivers.values();
+    console.log(`Client sent ${prediction.nextInputSequence - 1} inputs, server received ${receiver.lastReceivedSequence}`);
+    console.log(`Client bytes sent: ${connection.protocol.getStats().bytesSent}, server:`, server.getStats());
+
+    server.on('disconnect', (_, { message }) => console.log(`Server: client left${message ? ` (${message})` : ''}`));
+    connection.disconnect();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    server.close();
+    clientTransport.close();
+  }
+
+  const network = new LoopbackNetwork();
+  await run('In-memory loopback', network.bind('server'), 'server', network.bind('client'));
+
+  const { LinkConditioner, LinkPresets } = require('./LinkConditioner');
+  // One conditioner per direction: each end's outgoing traffic goes through its own
+  const uplink = new LinkConditioner({ ...LinkPresets.PLAYABLE, seed: 5 });
+  const downlink = new LinkConditioner({ ...LinkPresets.PLAYABLE, seed: 6 });
+  const playable = new LoopbackNetwork();
+  await run('Loopback, PLAYABLE link (126ms RTT, 4% loss)',
+    downlink.wrap(playable.bind('server')), 'server', uplink.wrap(playable.bind('client')), 1000);
+
+  const udpServer = new UdpTransport({ logger: silentLogger });
+  const udpClient = new UdpTransport({ logger: silentLogger });
+  const bound = await udpServer.bind(0, '127.0.0.1');
+  await udpClient.bind(0, '127.0.0.1');
+  await run('UDP (localhost)', udpServer, bound, udpClient);
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateConnectionServer();
+}
+
+module.exports = { ConnectionServer, connectClient };
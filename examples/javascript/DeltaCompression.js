@@ -0,0 +1,324 @@
+/**
+ * Delta Snapshot Compression Against Acknowledged Baselines
+ *
+ * Most entities change little between snapshots, so the server sends each
+ * client only what changed since a snapshot that client is KNOWN to have:
+ * 1. The client reports the newest snapshot tick it received (snapshotAck)
+ * 2. The server diffs the new state against the snapshot it sent at that tick
+ *    (field level: added, removed and changed entities)
+ * 3. The client applies the delta to its own copy of that baseline
+ *
+ * Because the baseline is always an acknowledged snapshot, a lost delta
+ * costs nothing: the next one is still relative to state the client has.
+ * When no usable baseline exists (nothing acknowledged yet, or the ack is
+ * older than maxBaselineAge) the server falls back to a full snapshot.
+ *
+ * State shape: { entities: [{ id, ...fields }] }
+ * Delta shape: { baselineTick, added: [entity], changed: [{ id, ...changedFields }], removed: [id] }
+ *
+ * The reconstructed entity order is baseline order followed by added
+ * entities; if the server's order differs, a full snapshot is sent so
+ * reconstruction is always exact (order-sensitive checksums still match).
+ */
+
+const { createLogger } = require('./Logger');
+
+/**
+ * Compare two field values (primitives, or small nested objects/arrays)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Field-level diff between two states
+ * @param {Object} baseline - Baseline state { entities }
+ * @param {Object} current - New state { entities }
+ * @param {number} baselineTick - Tick of the baseline
+ * @returns {Object|null} Delta, or null if the entity order cannot be reconstructed
+ */
+function diffState(baseline, current, baselineTick) {
+  const previous = new Map(baseline.entities.map((entity) => [entity.id, entity]));
+  const currentIds = new Set(current.entities.map((entity) => entity.id));
+
+  const delta = { baselineTick, added: [], changed: [], removed: [] };
+  const survivors = [];
+
+  for (const entity of baseline.entities) {
+    if (!currentIds.has(entity.id)) {
+      delta.removed.push(entity.id);
+    }
+  }
+
+  for (const entity of current.entities) {
+    const before = previous.get(entity.id);
+
+    // New entity, or one that lost fields: send it whole
+    if (!before || Object.keys(before).some((field) => !(field in entity))) {
+      if (before) delta.removed.push(entity.id);
+      delta.added.push(entity);
+      continue;
+    }
+
+    // Added entities must all come after the surviving ones
+    if (delta.added.length > 0) return null;
+    survivors.push(entity.id);
+
+    const changes = { id: entity.id };
+    let changed = false;
+    for (const [field, value] of Object.entries(entity)) {
+      if (!valuesEqual(before[field], value)) {
+        changes[field] = value;
+        changed = true;
+      }
+    }
+    if (changed) delta.changed.push(changes);
+  }
+
+  // Survivors must keep their baseline order
+  const baselineOrder = baseline.entities
+    .map((entity) => entity.id)
+    .filter((id) => currentIds.has(id) && !delta.removed.includes(id));
+  if (baselineOrder.some((id, i) => id !== survivors[i])) return null;
+
+  return delta;
+}
+
+/**
+ * Rebuild a full state from a baseline and a delta
+ * @param {Object} baseline - Baseline state { entities }
+ * @param {Object} delta - Delta from diffState
+ * @returns {Object} Full state { entities }
+ */
+function applyDelta(baseline, delta) {
+  const removed = new Set(delta.removed);
+  const changes = new Map(delta.changed.map((entry) => [entry.id, entry]));
+
+  const entities = baseline.entities
+    .filter((entity) => !removed.has(entity.id))
+    .map((entity) => ({ ...entity, ...changes.get(entity.id) }));
+
+  for (const entity of delta.added) {
+    entities.push({ ...entity });
+  }
+
+  return { entities };
+}
+
+/**
+ * Server side: one encoder per client
+ */
+class DeltaEncoder {
+  /**
+   * @param {Object} config
+   * @param {number} [config.maxBaselineAge] - Oldest usable baseline, in ticks
+   * @param {number} [config.historySize] - Sent snapshots remembered
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || createLogger({ name: 'DeltaEncoder' });
+
+    this.maxBaselineAge = config.maxBaselineAge || 60; // ticks (1s at 60Hz)
+    this.historySize = config.historySize || 32;
+
+    // Snapshots sent to this client, oldest first
+    // Format: { tick, state }
+    this.sent = [];
+
+    // Newest snapshot tick the client confirmed receiving
+    this.ackedTick = null;
+
+    // Statistics
+    this.fullSnapshots = 0;
+    this.deltaSnapshots = 0;
+  }
+
+  /**
+   * Record the client's snapshot acknowledgment
+   * @param {number} tick - Newest snapshot tick the client received
+   */
+  acknowledge(tick) {
+    if (this.ackedTick === null || tick > this.ackedTick) {
+      this.ackedTick = tick;
+    }
+  }
+
+  /**
+   * Encode a snapshot for this client
+   * @param {number} tick - Server tick
+   * @param {Object} state - Full state { entities }
+   * @returns {Object} { state, isDelta } - pass to NetworkProtocol.createSnapshot
+   */
+  encode(tick, state) {
+    const baseline = this.findBaseline(tick);
+    const delta = baseline ? diffState(baseline.state, state, baseline.tick) : null;
+
+    this.sent.push({ tick, state: structuredClone(state) });
+    if (this.sent.length > this.historySize) {
+      this.sent.shift();
+    }
+
+    if (!delta) {
+      this.fullSnapshots++;
+      return { state, isDelta: false };
+    }
+
+    this.deltaSnapshots++;
+    return { state: delta, isDelta: true };
+  }
+
+  /**
+   * Find the acknowledged baseline, if still usable
+   * @param {number} tick - Tick being encoded
+   * @returns {Object|null} { tick, state } or null → send full snapshot
+   */
+  findBaseline(tick) {
+    if (this.ackedTick === null) return null;
+
+    if (tick - this.ackedTick > this.maxBaselineAge) {
+      this.logger.debug('Baseline too old, sending full snapshot', { ackedTick: this.ackedTick, tick });
+      return null;
+    }
+
+    return this.sent.find((entry) => entry.tick === this.ackedTick) || null;
+  }
+
+  /**
+   * Get encoder statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      ackedTick: this.ackedTick,
+      fullSnapshots: this.fullSnapshots,
+      deltaSnapshots: this.deltaSnapshots
+    };
+  }
+}
+
+/**
+ * Client side: keeps received snapshots as baselines
+ */
+class DeltaDecoder {
+  /**
+   * @param {Object} config
+   * @param {number} [config.historySize] - Received snapshots kept as baselines
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    this.logger = config.logger || createLogger({ name: 'DeltaDecoder' });
+
+    this.historySize = config.historySize || 64;
+
+    // Reconstructed snapshots, by tick
+    this.received = new Map();
+
+    // Newest tick reconstructed (→ snapshotAck)
+    this.latestTick = null;
+
+    // Statistics
+    this.missingBaselines = 0;
+  }
+
+  /**
+   * Reconstruct the full state of a SERVER_SNAPSHOT payload
+   * @param {Object} payload - { tick, state, isDelta }
+   * @returns {Object|null} Full state, or null if the baseline is unknown
+   */
+  decode(payload) {
+    let state = payload.state;
+
+    if (payload.isDelta) {
+      const baseline = this.received.get(state.baselineTick);
+      if (!baseline) {
+        // Only possible if the server referenced a snapshot we never acked
+        this.missingBaselines++;
+        this.logger.warn('Delta baseline missing', { tick: payload.tick, baselineTick: state.baselineTick });
+        return null;
+      }
+      state = applyDelta(baseline, state);
+    }
+
+    this.received.set(payload.tick, state);
+    if (this.latestTick === null || payload.tick > this.latestTick) {
+      this.latestTick = payload.tick;
+    }
+
+    // Maps iterate in insertion order: drop the oldest
+    while (this.received.size > this.historySize) {
+      this.received.delete(this.received.keys().next().value);
+    }
+
+    return state;
+  }
+
+  /**
+   * Tick to acknowledge to the server (null until a snapshot arrives)
+   * @returns {number|null} Newest reconstructed snapshot tick
+   */
+  getAck() {
+    return this.latestTick;
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateDeltaCompression() {
+  const { NetworkProtocol } = require('./NetworkProtocol');
+
+  console.log('=== Delta Snapshot Demo ===\n');
+
+  const serverProto = new NetworkProtocol();
+  const clientProto = new NetworkProtocol();
+  const encoder = new DeltaEncoder();
+  const decoder = new DeltaDecoder();
+
+  // 20 entities; only a couple move each tick
+  let state = {
+    entities: Array.from({ length: 20 }, (_, i) => ({ id: i + 1, x: i * 10, y: 0, velocityX: 0, velocityY: 0 }))
+  };
+
+  for (let tick = 1; tick <= 8; tick++) {
+    state = structuredClone(state);
+    state.entities[0].x += 1.5;
+    state.entities[0].velocityX = 1.5;
+    if (tick === 4) state.entities.push({ id: 99, x: 5, y: 5 });
+    if (tick === 6) state.entities = state.entities.filter((entity) => entity.id !== 7);
+
+    const { state: encoded, isDelta } = encoder.encode(tick, state);
+    const packet = serverProto.createSnapshot(tick, encoded, isDelta);
+    const bytes = serverProto.serialize(packet);
+
+    // Snapshot 3 is lost: the next delta still uses a baseline the client has
+    if (tick === 3) {
+      console.log(`Tick ${tick}: ${isDelta ? 'delta' : 'full '} ${bytes.length} bytes ✗ lost`);
+      continue;
+    }
+
+    const received = clientProto.deserialize(bytes).payload;
+    const reconstructed = decoder.decode(received);
+    encoder.acknowledge(decoder.getAck());
+
+    const exact = JSON.stringify(reconstructed) === JSON.stringify(state);
+    console.log(`Tick ${tick}: ${isDelta ? 'delta' : 'full '} ${bytes.length} bytes, reconstructed ${exact ? '✓' : '✗'}`);
+  }
+
+  // Client stops acknowledging for over a second: baseline too old → full
+  const { isDelta } = encoder.encode(100, state);
+  console.log(`\nTick 100 (ack at ${encoder.ackedTick}): ${isDelta ? 'delta' : 'full snapshot fallback'}`);
+  console.log('Encoder:', encoder.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateDeltaCompression();
+}
+
+module.exports = { DeltaEncoder, DeltaDecoder, diffState, applyDelta };
@@ -0,0 +1,303 @@
+/**
+ * Deterministic Fixed-Point Math and State Checksums
+ *
+ * Rollback only works if replaying the same inputs from the same state gives
+ * the same result the server computed. Floating-point results can differ
+ * between engines, compilers and CPUs (fused multiply-add, x87 precision,
+ * transcendental functions), so a deterministic simulation keeps its state in
+ * Q16.16 fixed point: 32-bit integers with 16 fractional bits.
+ *
+ * Every operation here uses only integer-valued doubles below 2^53 and the
+ * IEEE-754 basic operations, which every JavaScript engine (and any server
+ * language doing the same integer math) evaluates bit-identically.
+ *
+ * checksum(state) hashes a state canonically so client and server can verify
+ * they agree bit for bit on every tick.
+ */
+
+const FRACTION_BITS = 16;
+const ONE = 1 << FRACTION_BITS; // 1.0 in Q16.16
+const HALF = ONE >> 1;
+
+/**
+ * Convert a float to fixed point (only at boundaries: config, input, display)
+ * @param {number} value - Float value
+ * @returns {number} Q16.16 integer
+ */
+function fromFloat(value) {
+  return Math.round(value * ONE) | 0;
+}
+
+/**
+ * Convert an integer to fixed point
+ * @param {number} value - Integer value
+ * @returns {number} Q16.16 integer
+ */
+function fromInt(value) {
+  return (value << FRACTION_BITS) | 0;
+}
+
+/**
+ * Convert fixed point to a float (for rendering only - never feed back)
+ * @param {number} a - Q16.16 integer
+ * @returns {number} Float value
+ */
+function toFloat(a) {
+  return a / ONE;
+}
+
+/**
+ * @param {number} a - Q16.16
+ * @param {number} b - Q16.16
+ * @returns {number} a + b, wrapped to 32 bits
+ */
+function add(a, b) {
+  return (a + b) | 0;
+}
+
+/**
+ * @param {number} a - Q16.16
+ * @param {number} b - Q16.16
+ * @returns {number} a - b, wrapped to 32 bits
+ */
+function sub(a, b) {
+  return (a - b) | 0;
+}
+
+/**
+ * Fixed-point multiply, rounded toward negative infinity.
+ * The 64-bit product does not fit a double exactly, so a is split into
+ * high and low 16-bit halves whose partial products do.
+ * @param {number} a - Q16.16
+ * @param {number} b - Q16.16
+ * @returns {number} a × b
+ */
+function mul(a, b) {
+  const high = a >> FRACTION_BITS; // signed
+  const low = a & (ONE - 1); // unsigned
+  return (high * b + Math.floor((low * b) / ONE)) | 0;
+}
+
+/**
+ * Fixed-point divide, truncated toward zero
+ * @param {number} a - Q16.16 dividend
+ * @param {number} b - Q16.16 divisor (non-zero)
+ * @returns {number} a ÷ b
+ */
+function div(a, b) {
+  if (b === 0) {
+    throw new RangeError('Fixed-point division by zero');
+  }
+  return Math.trunc((a * ONE) / b) | 0;
+}
+
+/**
+ * Fixed-point square root (integer Newton iteration)
+ * @param {number} a - Q16.16, non-negative
+ * @returns {number} √a
+ */
+function sqrt(a) {
+  if (a <= 0) return 0;
+
+  // √(a / 2^16) × 2^16 = √(a × 2^16)
+  const n = a * ONE;
+  let x = n;
+  let y = Math.floor((x + 1) / 2);
+  while (y < x) {
+    x = y;
+    y = Math.floor((x + Math.floor(n / x)) / 2);
+  }
+  return x | 0;
+}
+
+/**
+ * Round a fixed-point value to the nearest integer value (still Q16.16)
+ * @param {number} a - Q16.16
+ * @returns {number} Rounded Q16.16
+ */
+function round(a) {
+  return ((a + HALF) & ~(ONE - 1)) | 0;
+}
+
+// --- 2D vectors: { x, y } of Q16.16 ---
+
+/** @returns {Object} Vector { x, y } */
+function vec(x, y) {
+  return { x: x | 0, y: y | 0 };
+}
+
+/** @returns {Object} a + b */
+function vadd(a, b) {
+  return vec(add(a.x, b.x), add(a.y, b.y));
+}
+
+/** @returns {Object} a - b */
+function vsub(a, b) {
+  return vec(sub(a.x, b.x), sub(a.y, b.y));
+}
+
+/** @returns {Object} v × s (s is Q16.16) */
+function vscale(v, s) {
+  return vec(mul(v.x, s), mul(v.y, s));
+}
+
+/** @returns {number} a · b */
+function vdot(a, b) {
+  return add(mul(a.x, b.x), mul(a.y, b.y));
+}
+
+/** @returns {number} |v| */
+function vlength(v) {
+  return sqrt(vdot(v, v));
+}
+
+/** @returns {Object} v / |v|, or (0, 0) for the zero vector */
+function vnormalize(v) {
+  const length = vlength(v);
+  return length === 0 ? vec(0, 0) : vec(div(v.x, length), div(v.y, length));
+}
+
+/**
+ * 32-bit FNV-1a hash of a state, independent of key insertion order.
+ * Integers hash as 32-bit words; other numbers by their exact IEEE-754 bits.
+ * @param {*} state - Plain state data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function checksum(state) {
+  const scratch = new DataView(new ArrayBuffer(8));
+  let hash = 0x811c9dc5;
+
+  function byte(b) {
+    hash = Math.imul(hash ^ (b & 0xff), 0x01000193);
+  }
+
+  function word(w) {
+    byte(w);
+    byte(w >>> 8);
+    byte(w >>> 16);
+    byte(w >>> 24);
+  }
+
+  function text(str) {
+    word(str.length);
+    for (let i = 0; i < str.length; i++) {
+      word(str.charCodeAt(i));
+    }
+  }
+
+  function visit(value) {
+    if (typeof value === 'number') {
+      if (Number.isInteger(value) && value === (value | 0)) {
+        byte(1);
+        word(value);
+      } else {
+        byte(2);
+        scratch.setFloat64(0, value);
+        word(scratch.getUint32(0));
+        word(scratch.getUint32(4));
+      }
+    } else if (typeof value === 'string') {
+      byte(3);
+      text(value);
+    } else if (typeof value === 'boolean') {
+      byte(value ? 4 : 5);
+    } else if (value === null || value === undefined) {
+      byte(6);
+    } else if (Array.isArray(value)) {
+      byte(7);
+      word(value.length);
+      value.forEach(visit);
+    } else {
+      byte(8);
+      const keys = Object.keys(value).sort();
+      word(keys.length);
+      for (const key of keys) {
+        text(key);
+        visit(value[key]);
+      }
+    }
+  }
+
+  visit(state);
+  return hash >>> 0;
+}
+
+const FixedPoint = {
+  FRACTION_BITS,
+  ONE,
+  fromFloat,
+  fromInt,
+  toFloat,
+  add,
+  sub,
+  mul,
+  div,
+  sqrt,
+  round,
+  vec,
+  vadd,
+  vsub,
+  vscale,
+  vdot,
+  vlength,
+  vnormalize
+};
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateFixedPoint() {
+  console.log('=== Fixed-Point Determinism Demo ===\n');
+
+  // Float drift: the classic 0.1 + 0.2
+  console.log(`Float:       0.1 + 0.2 = ${0.1 + 0.2}`);
+  const sum = add(fromFloat(0.1), fromFloat(0.2));
+  console.log(`Fixed-point: 0.1 + 0.2 = ${toFloat(sum)} (raw ${sum}, identical everywhere)`);
+
+  const v = vec(fromInt(3), fromInt(4));
+  console.log(`|(3, 4)| = ${toFloat(vlength(v))}`);
+  console.log(`normalize(3, 4) = (${toFloat(vnormalize(v).x).toFixed(4)}, ${toFloat(vnormalize(v).y).toFixed(4)})`);
+
+  // Same state, different key order → same checksum
+  const a = { x: fromInt(5), y: fromInt(2), tick: 10 };
+  const b = { tick: 10, y: fromInt(2), x: fromInt(5) };
+  console.log(`\nchecksum(a) = ${checksum(a).toString(16)}`);
+  console.log(`checksum(b) = ${checksum(b).toString(16)} (key order does not matter)`);
+  console.log(`checksum(a with x+1 raw) = ${checksum({ ...a, x: a.x + 1 }).toString(16)}`);
+
+  // Client prediction and server simulation agree bit for bit
+  const ClientPrediction = require('./ClientPrediction');
+  const client = new ClientPrediction({ deterministic: true });
+  client.on('misprediction', ({ ackedInput, checksum: sums }) => {
+    console.log(`✗ Desync after input ${ackedInput}: server ${sums.expected.toString(16)}, client ${sums.actual.toString(16)}`);
+  });
+
+  const serverState = ClientPrediction.createState(ClientPrediction.PointMassSchema);
+  const inputs = [{ moveX: 1, moveY: 0 }, { moveX: 0.7, moveY: 0.7 }, { moveX: -0.3, moveY: 1 }];
+  inputs.forEach((input) => {
+    client.applyInput(input);
+    ClientPrediction.fixedPointMassStep(serverState, input, client.dt);
+  });
+
+  console.log(`\nServer after 3 inputs: checksum ${checksum(serverState).toString(16)}`);
+  console.log(`Client after 3 inputs: checksum ${client.getChecksum(3).toString(16)}`);
+
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 3, state: serverState, checksum: checksum(serverState) });
+  console.log('Snapshot verified, no rollback:', client.lastAckedInput === 3);
+
+  // A server that rounds differently is caught immediately
+  const skewed = { ...serverState, x: serverState.x + 1 };
+  client.applyInput({ moveX: 1, moveY: 0 });
+  ClientPrediction.fixedPointMassStep(skewed, { moveX: 1, moveY: 0 }, client.dt);
+  client.onServerSnapshot({ tick: 2, lastAckedInput: 4, state: skewed, checksum: checksum(skewed) });
+}
+
+// Exported before the demo runs: the demo loads ClientPrediction, which
+// requires this module back
+module.exports = { FixedPoint, checksum };
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateFixedPoint();
+}
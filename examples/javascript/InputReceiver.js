@@ -0,0 +1,170 @@
+/**
+ * Server-Side Input Receiver
+ *
+ * Counterpart to redundant input transmission: every CLIENT_INPUT packet
+ * repeats the client's last N unacknowledged inputs, so the server sees most
+ * inputs several times. For each client, the receiver:
+ * 1. Expands the delta-encoded batch into individual inputs
+ * 2. Drops inputs it has already received (by input sequence)
+ * 3. Queues new inputs by the tick they were sampled for
+ * 4. Hands them to the simulation tick by tick, in sequence order
+ * 5. Tracks the last processed sequence, sent back as snapshot.lastAckedInput
+ * 6. Tracks the newest snapshot the client received (delta baseline, see
+ *    DeltaCompression.js)
+ */
+
+const { decodeInputBatch } = require('./NetworkProtocol');
+
+class InputReceiver {
+  /**
+   * @param {Object} config
+   * @param {number} [config.maxQueued] - Inputs buffered before the oldest are dropped
+   */
+  constructor(config = {}) {
+    this.maxQueued = config.maxQueued || 120;
+
+    // Pending inputs, ordered by sequence
+    // Format: { sequence, tick, input }
+    this.queue = [];
+
+    // Highest sequence received (queued or processed)
+    this.lastReceivedSequence = 0;
+
+    // Highest sequence handed to the simulation (→ snapshot.lastAckedInput)
+    this.lastProcessedInput = 0;
+
+    // Last input applied, repeated when a tick has no input
+    this.lastInput = null;
+
+    // Newest snapshot tick the client reported (→ DeltaEncoder.acknowledge)
+    this.snapshotAck = null;
+
+    // Statistics
+    this.inputsReceived = 0;
+    this.duplicatesDropped = 0;
+    this.lateInputs = 0;
+  }
+
+  /**
+   * Accept a CLIENT_INPUT payload (single input or redundant batch)
+   * @param {Object} payload - Packet payload
+   * @returns {number} Number of new inputs queued
+   */
+  receive(payload) {
+    let added = 0;
+
+    if (payload.snapshotAck !== undefined && (this.snapshotAck === null || payload.snapshotAck > this.snapshotAck)) {
+      this.snapshotAck = payload.snapshotAck;
+    }
+
+    for (const entry of decodeInputBatch(payload)) {
+      if (entry.sequence <= this.lastReceivedSequence) {
+        this.duplicatesDropped++;
+        continue;
+      }
+
+      this.queue.push(entry);
+      this.lastReceivedSequence = entry.sequence;
+      this.inputsReceived++;
+      added++;
+    }
+
+    // A client flooding us (or a stalled server) must not grow memory forever
+    while (this.queue.length > this.maxQueued) {
+      this.queue.shift();
+    }
+
+    return added;
+  }
+
+  /**
+   * Take every queued input intended for this tick or earlier.
+   * Inputs for a tick the server already simulated are applied late rather
+   * than dropped, so the client's replay still matches.
+   * @param {number} tick - Server tick about to be simulated
+   * @returns {Array<Object>} Inputs in sequence order (empty if none arrived)
+   */
+  takeInputsForTick(tick) {
+    const due = [];
+
+    while (this.queue.length > 0 && this.queue[0].tick <= tick) {
+      const entry = this.queue.shift();
+      if (entry.tick < tick) {
+        this.lateInputs++;
+      }
+      due.push(entry);
+      this.lastProcessedInput = entry.sequence;
+      this.lastInput = entry.input;
+    }
+
+    return due;
+  }
+
+  /**
+   * Get receiver statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      lastReceivedSequence: this.lastReceivedSequence,
+      lastProcessedInput: this.lastProcessedInput,
+      snapshotAck: this.snapshotAck,
+      inputsReceived: this.inputsReceived,
+      duplicatesDropped: this.duplicatesDropped,
+      lateInputs: this.lateInputs
+    };
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateReceiver() {
+  const { NetworkProtocol } = require('./NetworkProtocol');
+
+  console.log('=== Redundant Input Receiver Demo ===\n');
+
+  const clientProto = new NetworkProtocol();
+  const receiver = new InputReceiver();
+
+  // Client keeps the last 3 unacknowledged inputs in every packet
+  const unacked = [];
+  const packets = [];
+  for (let sequence = 1; sequence <= 6; sequence++) {
+    unacked.push({
+      sequence,
+      tick: 100 + sequence,
+      input: { moveX: sequence < 4 ? 1 : 0, moveY: 0 },
+      timestamp: Date.now()
+    });
+    packets.push(clientProto.createInputBatch(unacked.slice(-3)));
+  }
+
+  // Packets 3 and 4 are lost: inputs 3 and 4 still arrive inside packet 5
+  packets.forEach((packet, i) => {
+    if (i === 2 || i === 3) {
+      console.log(`✗ Packet carrying inputs up to ${i + 1} lost`);
+      return;
+    }
+    const added = receiver.receive(packet.payload);
+    console.log(`Packet with inputs ${packet.payload.sequence}-${packet.payload.sequence + packet.payload.inputs.length - 1}: ${added} new`);
+  });
+
+  // Server simulates ticks 101-106
+  for (let tick = 101; tick <= 106; tick++) {
+    const inputs = receiver.takeInputsForTick(tick);
+    console.log(`Tick ${tick}: applied ${inputs.map((entry) => `#${entry.sequence}`).join(', ') || '(none)'}`);
+  }
+
+  console.log('\nSnapshot lastAckedInput:', receiver.lastProcessedInput);
+  console.log('Stats:', receiver.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateReceiver();
+}
+
+module.exports = InputReceiver;
@@ -0,0 +1,371 @@
+/**
+ * Seeded Network Condition Simulator
+ *
+ * Sits between transports and decides the fate of every datagram from a
+ * seeded RNG, so a run with the same seed (and the same traffic) sees the
+ * same losses, delays and reorderings:
+ *
+ * - latency: fixed one-way delay
+ * - jitter: extra delay drawn from a distribution
+ *     'uniform'     ±jitter
+ *     'normal'      standard deviation jitter / 2 (95% within ±jitter)
+ *     'exponential' +jitter on average, long tail (spiky wireless links)
+ * - loss: average fraction dropped; with burstLength > 1 losses come in
+ *   runs (Gilbert-Elliott model: a "bad" state that drops everything,
+ *   entered so the long-run loss rate still equals `loss`)
+ * - duplicate: fraction delivered twice
+ * - reorder: fraction held back by reorderDelay, letting later packets
+ *   overtake; all other packets keep their send order despite jitter
+ * - bandwidth: bytes per second; excess queues, and packets that would wait
+ *   longer than maxQueueDelay are dropped (tail drop, like a router)
+ *
+ * Use it as a LoopbackNetwork conditioner (conditioner.asConditioner()),
+ * wrap any transport's outgoing side (conditioner.wrap(transport)), or call
+ * send() directly. Delivery uses timers by default; with timers: false the
+ * caller drives it with update(now) for fully deterministic simulations.
+ * Times default to config.clock (see Clock.js), so a VirtualClock drives
+ * send() and update() without passing now around.
+ *
+ * Presets (LinkPresets) follow the Network Latency Profiles in
+ * PERFORMANCE.md. Profile latencies are round trips, so each direction gets
+ * half; use one conditioner per direction.
+ *
+ * Events:
+ * - 'drop' ({ data, bytes, reason }): datagram dropped ('loss', 'burst' or 'queue')
+ */
+
+const EventEmitter = require('events');
+const { defaultClock } = require('./Clock');
+
+/**
+ * Seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () → number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// PERFORMANCE.md profiles: latency is one-way (half the profile's round trip)
+const LinkPresets = {
+  EXCELLENT: { latency: 8, jitter: 2, loss: 0 }, // 0-30ms, 0%, ±2
+  VERY_GOOD: { latency: 23, jitter: 5, loss: 0.005 }, // 30-60ms, 0-1%, ±5
+  GOOD: { latency: 40, jitter: 10, loss: 0.02 }, // 60-100ms, 1-3%, ±10
+  PLAYABLE: { latency: 63, jitter: 15, loss: 0.04, burstLength: 2 }, // 100-150ms, 3-5%, ±15
+  DEGRADED: { latency: 88, jitter: 20, loss: 0.06, burstLength: 3, jitterDistribution: 'exponential' } // 150+ms, 5%+, ±20+
+};
+
+class LinkConditioner extends EventEmitter {
+  /**
+   * @param {Object} config - Any LinkPresets entry, plus overrides
+   * @param {number} [config.seed] - RNG seed (default 1)
+   * @param {number} [config.latency] - One-way delay (ms)
+   * @param {number} [config.jitter] - Jitter magnitude (ms)
+   * @param {string} [config.jitterDistribution] - 'uniform' (default), 'normal' or 'exponential'
+   * @param {number} [config.loss] - Average fraction of datagrams dropped (0-1)
+   * @param {number} [config.burstLength] - Average length of a loss burst, in datagrams (1 = independent losses)
+   * @param {number} [config.duplicate] - Fraction of datagrams delivered twice (0-1)
+   * @param {number} [config.reorder] - Fraction of datagrams held back (0-1)
+   * @param {number} [config.reorderDelay] - Extra delay of a held-back datagram (ms)
+   * @param {number} [config.bandwidth] - Link capacity in bytes per second (0 = unlimited)
+   * @param {number} [config.maxQueueDelay] - Drop datagrams queued longer than this (ms)
+   * @param {boolean} [config.timers] - Deliver with setTimeout (default true); false: call update(now)
+   * @param {Object} [config.clock] - Time source with now() in ms (see Clock.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.clock = config.clock || defaultClock;
+    this.seed = config.seed ?? 1; // 0 is a valid seed
+    this.random = createRandom(this.seed);
+
+    // Configuration
+    this.latency = config.latency || 0; // ms
+    this.jitter = config.jitter || 0; // ms
+    this.jitterDistribution = config.jitterDistribution || 'uniform';
+    this.loss = config.loss || 0;
+    this.burstLength = config.burstLength || 1; // datagrams
+    this.duplicate = config.duplicate || 0;
+    this.reorder = config.reorder || 0;
+    this.reorderDelay = config.reorderDelay || Math.max(20, this.jitter * 2); // ms
+    this.bandwidth = config.bandwidth || 0; // bytes/s
+    this.maxQueueDelay = config.maxQueueDelay || 200; // ms
+    this.timers = config.timers !== false;
+
+    // Gilbert-Elliott: leave the bad state with 1/burstLength per datagram,
+    // enter it so that the time spent there equals the loss rate
+    this.leaveBurst = 1 / this.burstLength;
+    this.enterBurst = this.loss >= 1 ? 1 : (this.loss * this.leaveBurst) / (1 - this.loss);
+    this.inBurst = false;
+
+    // State
+    this.lastDeliverAt = 0; // Newest in-order delivery time (no overtaking)
+    this.linkFreeAt = 0; // When the bandwidth-limited link finishes its queue
+    this.scheduled = []; // timers: false → { deliverAt, data, deliver }, by deliverAt
+
+    // Statistics
+    this.datagramsSent = 0;
+    this.datagramsDelivered = 0;
+    this.datagramsDuplicated = 0;
+    this.datagramsReordered = 0;
+    this.drops = { loss: 0, burst: 0, queue: 0 };
+  }
+
+  /**
+   * Send a datagram across the simulated link
+   * @param {Buffer} data - Datagram (other payloads count as 0 bytes against bandwidth)
+   * @param {Function} deliver - (data) → void, called on arrival (zero, one or two times)
+   * @param {number} [now] - Current time (ms)
+   */
+  send(data, deliver, now = this.clock.now()) {
+    this.datagramsSent++;
+    const bytes = Buffer.isBuffer(data) ? data.length : 0;
+
+    const lost = this.rollLoss();
+    if (lost) {
+      this.drop(data, bytes, lost);
+      return;
+    }
+
+    // Bandwidth: wait for the link, tail-drop if the queue is too long
+    let departAt = now;
+    if (this.bandwidth > 0) {
+      departAt = Math.max(now, this.linkFreeAt);
+      if (departAt - now > this.maxQueueDelay) {
+        this.drop(data, bytes, 'queue');
+        return;
+      }
+      this.linkFreeAt = departAt + (bytes * 1000) / this.bandwidth;
+    }
+
+    let deliverAt = departAt + Math.max(0, this.latency + this.sampleJitter());
+    if (this.random() < this.reorder) {
+      deliverAt += this.reorderDelay;
+      this.datagramsReordered++;
+    } else {
+      deliverAt = Math.max(deliverAt, this.lastDeliverAt);
+      this.lastDeliverAt = deliverAt;
+    }
+
+    this.schedule(deliverAt, data, deliver, now);
+
+    if (this.random() < this.duplicate) {
+      this.datagramsDuplicated++;
+      this.schedule(deliverAt + this.random() * this.jitter, data, deliver, now);
+    }
+  }
+
+  /**
+   * Decide whether the next datagram is lost
+   * @returns {string|null} 'loss', 'burst' or null if it gets through
+   */
+  rollLoss() {
+    if (this.burstLength <= 1) {
+      return this.random() < this.loss ? 'loss' : null;
+    }
+
+    const wasInBurst = this.inBurst;
+    this.inBurst = wasInBurst ? this.random() >= this.leaveBurst : this.random() < this.enterBurst;
+    if (!this.inBurst) return null;
+    return wasInBurst ? 'burst' : 'loss';
+  }
+
+  /**
+   * Draw one jitter sample from the configured distribution
+   * @returns {number} Extra delay (ms), may be negative
+   */
+  sampleJitter() {
+    if (this.jitter === 0) return 0;
+
+    switch (this.jitterDistribution) {
+      case 'normal': {
+        // Box-Muller
+        const u = 1 - this.random();
+        const v = this.random();
+        return (this.jitter / 2) * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+      }
+      case 'exponential':
+        return -this.jitter * Math.log(1 - this.random());
+      default:
+        return (this.random() * 2 - 1) * this.jitter;
+    }
+  }
+
+  /**
+   * @param {number} deliverAt - Arrival time (ms)
+   * @param {*} data - Datagram
+   * @param {Function} deliver - Arrival callback
+   * @param {number} now - Current time (ms)
+   */
+  schedule(deliverAt, data, deliver, now) {
+    if (this.timers) {
+      setTimeout(() => this.deliver(data, deliver), deliverAt - now);
+      return;
+    }
+
+    // Keep sorted by arrival; equal times keep send order
+    let index = this.scheduled.length;
+    while (index > 0 && this.scheduled[index - 1].deliverAt > deliverAt) index--;
+    this.scheduled.splice(index, 0, { deliverAt, data, deliver });
+  }
+
+  /**
+   * @param {*} data - Datagram
+   * @param {Function} deliver - Arrival callback
+   */
+  deliver(data, deliver) {
+    this.datagramsDelivered++;
+    deliver(data);
+  }
+
+  /**
+   * @param {*} data - Dropped datagram
+   * @param {number} bytes - Its size
+   * @param {string} reason - 'loss', 'burst' or 'queue'
+   */
+  drop(data, bytes, reason) {
+    this.drops[reason]++;
+    this.emit('drop', { data, bytes, reason });
+  }
+
+  /**
+   * timers: false - deliver every datagram due by now
+   * @param {number} [now] - Current time (ms)
+   */
+  update(now = this.clock.now()) {
+    while (this.scheduled.length > 0 && this.scheduled[0].deliverAt <= now) {
+      const { data, deliver } = this.scheduled.shift();
+      this.deliver(data, deliver);
+    }
+  }
+
+  /**
+   * Conditioner function for LoopbackNetwork
+   * @returns {Function} (data, deliver) → void
+   */
+  asConditioner() {
+    return (data, deliver) => this.send(data, deliver);
+  }
+
+  /**
+   * Condition everything a transport sends (incoming traffic is untouched;
+   * wrap both ends to condition both directions)
+   * @param {Object} transport - Transport (see Transport.js)
+   * @returns {Object} Transport with the same interface
+   */
+  wrap(transport) {
+    const conditioned = new EventEmitter();
+    for (const event of ['message', 'disconnect', 'error', 'close']) {
+      transport.on(event, (...args) => conditioned.emit(event, ...args));
+    }
+    conditioned.send = (data, address) => this.send(data, (payload) => transport.send(payload, address));
+    conditioned.close = () => transport.close();
+    conditioned.remoteAddress = transport.remoteAddress;
+    return conditioned;
+  }
+
+  /**
+   * Get link statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const dropped = this.drops.loss + this.drops.burst + this.drops.queue;
+    return {
+      seed: this.seed,
+      datagramsSent: this.datagramsSent,
+      datagramsDelivered: this.datagramsDelivered,
+      datagramsDropped: dropped,
+      drops: { ...this.drops },
+      datagramsDuplicated: this.datagramsDuplicated,
+      datagramsReordered: this.datagramsReordered,
+      lossRate: this.datagramsSent > 0 ? dropped / this.datagramsSent : 0,
+      queued: this.scheduled.length
+    };
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateLinkConditioner() {
+  console.log('=== Link Conditioner Demo ===\n');
+
+  // Push 1000 datagrams (one per 16ms tick) through a link, in virtual time
+  function measure(config) {
+    const link = new LinkConditioner({ ...config, timers: false });
+    const sentAt = [];
+    const delays = [];
+    let clock = 0;
+    let newest = -1;
+    let arrivedOutOfOrder = 0;
+    let burst = 0;
+    let longestBurst = 0;
+
+    const onArrival = (data) => {
+      const index = data.readUInt32BE(0);
+      delays.push(clock - sentAt[index]);
+      if (index < newest) arrivedOutOfOrder++;
+      newest = Math.max(newest, index);
+    };
+
+    // 1ms clock steps; a datagram every 16th
+    for (clock = 0; clock < 16000 + 1000; clock++) {
+      const i = clock / 16;
+      if (i < 1000 && Number.isInteger(i)) {
+        sentAt[i] = clock;
+        const data = Buffer.alloc(100);
+        data.writeUInt32BE(i, 0);
+
+        const droppedBefore = link.getStats().datagramsDropped;
+        link.send(data, onArrival, clock);
+        burst = link.getStats().datagramsDropped > droppedBefore ? burst + 1 : 0;
+        longestBurst = Math.max(longestBurst, burst);
+      }
+      link.update(clock);
+    }
+
+    delays.sort((x, y) => x - y);
+    return { stats: link.getStats(), delays, longestBurst, arrivedOutOfOrder };
+  }
+
+  for (const [name, preset] of Object.entries(LinkPresets)) {
+    const { stats, delays, longestBurst } = measure({ ...preset, seed: 42 });
+    const p50 = delays[Math.floor(delays.length * 0.5)];
+    const p99 = delays[Math.floor(delays.length * 0.99)];
+    console.log(`${name.padEnd(9)} loss ${(stats.lossRate * 100).toFixed(1)}% (longest burst ${longestBurst}), ` +
+      `one-way p50 ${p50.toFixed(0)}ms p99 ${p99.toFixed(0)}ms`);
+  }
+
+  console.log('\nSame seed, same fate:');
+  const a = measure({ ...LinkPresets.PLAYABLE, seed: 7 }).stats;
+  const b = measure({ ...LinkPresets.PLAYABLE, seed: 7 }).stats;
+  console.log(`  run 1 dropped ${a.datagramsDropped}, run 2 dropped ${b.datagramsDropped}`);
+
+  console.log('\nDuplication and reordering:');
+  const messy = measure({ latency: 30, jitter: 5, duplicate: 0.05, reorder: 0.1, seed: 3 });
+  console.log(`  duplicated ${messy.stats.datagramsDuplicated}, held back ${messy.stats.datagramsReordered}, ` +
+    `arrived out of order ${messy.arrivedOutOfOrder}`);
+
+  console.log('\nBandwidth cap (20 KB/s, sending 100 bytes every 4ms = 25 KB/s):');
+  const capped = new LinkConditioner({ bandwidth: 20000, maxQueueDelay: 100, timers: false });
+  for (let now = 0; now < 4000; now += 4) {
+    capped.send(Buffer.alloc(100), () => {}, now);
+    capped.update(now);
+  }
+  console.log(`  queue drops: ${capped.drops.queue} of ${capped.datagramsSent}`);
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateLinkConditioner();
+}
+
+module.exports = { LinkConditioner, LinkPresets, createRandom };
@@ -0,0 +1,77 @@
+/**
+ * Minimal Leveled Logger
+ *
+ * Shared by the netcode modules so they never write to the console directly.
+ * Any object with debug/info/warn/error(message, fields) methods can be
+ * injected instead (e.g. an adapter around your game's logging or telemetry).
+ *
+ * Messages are plain text; details go in a structured `fields` object that
+ * the default console sink renders as key=value pairs:
+ *
+ *   [NetworkProtocol] Packet lost sequenceId=12 retries=3
+ */
+
+const LogLevel = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Render structured fields as key=value pairs
+ * @param {Object} fields - Structured log data
+ * @returns {string} Formatted fields (leading space included)
+ */
+function formatFields(fields) {
+  if (!fields) return '';
+
+  return Object.entries(fields)
+    .map(([key, value]) => {
+      const text = typeof value === 'number' && !Number.isInteger(value)
+        ? value.toFixed(3)
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return ` ${key}=${text}`;
+    })
+    .join('');
+}
+
+/**
+ * Create a logger that drops messages below a level
+ * @param {Object} options
+ * @param {string} [options.level] - Minimum level: debug | info | warn | error | silent
+ * @param {string} [options.name] - Prefix identifying the module
+ * @param {Object} [options.sink] - Object with debug/info/warn/error(text) (default: console)
+ * @returns {Object} Logger with debug/info/warn/error(message, fields) and child(name)
+ */
+function createLogger(options = {}) {
+  const level = options.level || 'info';
+  const name = options.name || null;
+  const sink = options.sink || console;
+  const threshold = LogLevel[level];
+
+  if (threshold === undefined) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  const logger = { level, name };
+
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    logger[method] = (message, fields) => {
+      if (LogLevel[method] < threshold) return;
+      const prefix = name ? `[${name}] ` : '';
+      sink[method](`${prefix}${message}${formatFields(fields)}`);
+    };
+  }
+
+  // Same level and sink, different module prefix
+  logger.child = (childName) => createLogger({ level, sink, name: childName });
+
+  return logger;
+}
+
+/** Logger that discards everything */
+const silentLogger = createLogger({ level: 'silent' });
+
+module.exports = { LogLevel, createLogger, silentLogger };
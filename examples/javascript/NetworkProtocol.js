@@ -10,13 +10,79 @@
  * 
  * Message Types:
  * - CLIENT_HELLO: Connection initiation
- * - INPUT: Player input with timestamp and tick
- * - TIME_SYNC_REQ/RES: Clock synchronization
+ * - INPUT: Player input with timestamp and tick (optionally a redundant batch
+ *   of the last N unacknowledged inputs, so one lost packet costs nothing)
+ * - TIME_SYNC_REQ/RES: Clock synchronization (four NTP timestamps: client
+ *   send, server receive, server send, client receive - see TimeSync.js)
  * - SNAPSHOT: Full or delta state update
- * - ACK: Acknowledgment of received packets
+ * - ACK: Standalone acknowledgment, only when there is nothing else to send
  * - DISCONNECT: Graceful disconnect
+ * - EVENT: Chat line or match event (reliable, ordered)
+ * - FRAGMENT: Piece of a packet larger than maxPacketSize (either direction)
+ *
+ * Wire format (see BinaryCodec.js): every packet is a bit-packed header -
+ * message type as a 4-bit enum, varint sequenceId, ack flag, float64
+ * timestamp - followed by the payload encoded against that type's schema.
+ * Input and entity schemas are configurable so games can pick their own
+ * fields and quantization precision.
+ *
+ * Acknowledgments ride on every packet: the header carries the newest
+ * sequenceId received from the peer (ack) plus a 32-bit field whose bit i
+ * means "ack - 1 - i was received too". One packet can confirm 33, so a lost
+ * header is covered by the next. Every datagram is tracked until confirmed,
+ * so each confirmation yields an RTT sample and a datagram that the peer's
+ * acks skip past by more than reorderTolerance counts as undelivered - for
+ * unreliable traffic too (see CongestionControl.js).
+ * Retransmissions go out under a fresh sequenceId so they stay within the
+ * peer's ack window (and their RTT samples stay unambiguous); receivers drop
+ * repeats by channelSequence.
+ *
+ * Retransmission timeout (RFC 6298): RTO = smoothed RTT + 4 × RTT variance,
+ * clamped to [minRto, maxRto], doubling with every retry of a packet.
+ *
+ * Channels: every packet travels on a named channel with its own delivery
+ * guarantee, multiplexed over the same connection:
+ * - 'unreliable'   (unreliable)           time sync, redundant input batches
+ * - 'reliable'     (reliable-unordered)   fragments of reliable packets
+ * - 'events'       (reliable-ordered)     hello, chat, match events
+ * - 'inputs'       (reliable-unordered)   individually sent inputs
+ * - 'snapshots'    (unreliable-sequenced) state - anything older than the
+ *                                         newest received is dropped
+ * More can be added with config.channels; both ends must use the same list.
+ *
+ * Fragmentation: packetize() splits packets above maxPacketSize into
+ * numbered FRAGMENT packets. Fragments of a reliable packet are each sent
+ * reliably (retransmitted individually); fragments of an unreliable packet
+ * are not, and the receiver discards the whole packet if any piece fails to
+ * arrive within fragmentTimeout. Reassembly memory is capped per connection.
+ * Recently reassembled packetIds are remembered so a late or retransmitted
+ * fragment of a finished packet is dropped instead of starting a new one.
+ *
+ * Timestamps, RTT samples and timeouts all read config.clock (see Clock.js),
+ * monotonic by default; tests can drive retransmission with a VirtualClock.
+ * 
+ * Events:
+ * - 'ack' ({ sequenceId, rtt }): a reliable packet was acknowledged
+ *   (rtt in ms, undefined if it was never sent)
+ * - 'delivered' ({ sequenceId, rtt, bytes }): any sent datagram was acknowledged
+ * - 'undelivered' ({ sequenceId, bytes }): a sent datagram was skipped by the peer's acks
+ * - 'duplicate' ({ sequenceId }): a packet was received twice and ignored
+ * - 'retransmit' ({ sequenceId, previousSequenceId, attempt, timeout }): a
+ *   reliable packet is being resent under a new sequenceId (timeout: the RTO
+ *   with backoff that expired)
+ * - 'packetLost' ({ sequenceId, retries }): a reliable packet was given up on
+ * - 'stale' ({ channel, channelSequence }): an unreliable-sequenced packet
+ *   arrived after a newer one and was dropped
+ * - 'fragmentDropped' ({ packetId, received, count, reason }): a partially
+ *   reassembled packet was discarded (reason: 'timeout' | 'memory'), or a
+ *   complete one did not decode (reason: 'malformed')
  */
 
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+const { defaultClock } = require('./Clock');
+const { BitWriter, BitReader, Types, encodeValue, decodeValue } = require('./BinaryCodec');
+
 const MessageType = {
   // Client → Server
   CLIENT_HELLO: 0x01,
@@ -30,40 +96,420 @@ const MessageType = {
   SERVER_SNAPSHOT: 0x11,
   TIME_SYNC_RES: 0x12,
   SERVER_ACK: 0x13,
-  SERVER_KICK: 0x14
+  SERVER_KICK: 0x14,
+  SERVER_EVENT: 0x15,
+
+  // Either direction
+  FRAGMENT: 0x20
+};
+
+// Newest wire format this implementation speaks
+const PROTOCOL_VERSION = 1;
+
+// Why a connection ended (CLIENT_DISCONNECT / SERVER_KICK reason codes)
+const DisconnectReason = {
+  NONE: 0,
+  CLIENT_QUIT: 1,
+  SERVER_SHUTDOWN: 2,
+  TIMEOUT: 3,
+  PROTOCOL_MISMATCH: 4,
+  HANDSHAKE_FAILED: 5,
+  SERVER_FULL: 6,
+  KICKED: 7,
+  BANNED: 8
+};
+
+const DeliveryMode = {
+  UNRELIABLE: 'unreliable',
+  UNRELIABLE_SEQUENCED: 'unreliable-sequenced',
+  RELIABLE_UNORDERED: 'reliable-unordered',
+  RELIABLE_ORDERED: 'reliable-ordered'
+};
+
+// Built-in channels: name → delivery mode
+const DefaultChannels = {
+  unreliable: DeliveryMode.UNRELIABLE,
+  reliable: DeliveryMode.RELIABLE_UNORDERED,
+  events: DeliveryMode.RELIABLE_ORDERED,
+  inputs: DeliveryMode.RELIABLE_UNORDERED,
+  snapshots: DeliveryMode.UNRELIABLE_SEQUENCED
 };
 
-class NetworkProtocol {
-  constructor() {
+// Worst-case bytes a FRAGMENT packet adds around its data (header + fragment fields)
+const FRAGMENT_OVERHEAD = 48;
+
+/**
+ * Default input schema: every field optional, so partial inputs and
+ * batch deltas ("changes") share it
+ * @param {number} precision - Quantization step for analog axes
+ * @returns {Object} Schema
+ */
+function defaultInputSchema(precision) {
+  return Types.partial({
+    moveX: Types.quantized(-1, 1, precision),
+    moveY: Types.quantized(-1, 1, precision),
+    jump: Types.bool,
+    fire: Types.bool
+  });
+}
+
+/**
+ * Default entity schema: id plus optional kinematic fields
+ * @param {number} precision - Quantization step for positions and velocities
+ * @param {number} worldExtent - Largest absolute coordinate
+ * @returns {Object} Schema
+ */
+function defaultEntitySchema(precision, worldExtent) {
+  const coordinate = Types.quantized(-worldExtent, worldExtent, precision);
+  return Types.partial({
+    id: Types.uint,
+    x: coordinate,
+    y: coordinate,
+    velocityX: coordinate,
+    velocityY: coordinate,
+    rotation: Types.quantized(-Math.PI, Math.PI, 0.001)
+  });
+}
+
+/**
+ * Build the payload schema for every message type
+ * @param {Object} options
+ * @param {Object} options.inputSchema - Schema for one input (and input deltas)
+ * @param {Object} options.stateSchema - Schema for snapshot state
+ * @param {Object} options.entitySchema - Schema for one entity (used by delta snapshots)
+ * @returns {Object} messageType → payload schema (null for header-only packets)
+ */
+function createMessageSchemas({ inputSchema, stateSchema, entitySchema }) {
+  // Delta against an acknowledged baseline (see DeltaCompression.js)
+  const deltaSchema = Types.object({
+    baselineTick: Types.uint,
+    added: Types.array(entitySchema),
+    changed: Types.array(entitySchema),
+    removed: Types.array(entitySchema.fields ? entitySchema.fields.id : Types.uint)
+  });
+
+  return {
+    [MessageType.CLIENT_HELLO]: Types.partial({
+      playerId: Types.string,
+      playerName: Types.string,
+      protocolVersion: Types.uint, // Newest version the client speaks
+      minProtocolVersion: Types.uint, // Oldest version the client speaks
+      challengeResponse: Types.bits(32), // Echo of SERVER_HELLO.challenge
+      publicKey: Types.bytes, // Ephemeral key exchange (see PacketSecurity.js)
+      timestamp: Types.float64
+    }),
+    [MessageType.CLIENT_INPUT]: Types.object({
+      sequence: Types.uint,
+      tick: Types.uint,
+      timestamp: Types.float64,
+      // Newest snapshot tick received, for delta baselines
+      snapshotAck: Types.optional(Types.uint),
+      // Single input...
+      input: Types.optional(inputSchema),
+      // ...or a redundant, delta-encoded batch (see encodeInputBatch)
+      inputs: Types.optional(Types.array(Types.partial({
+        input: inputSchema,
+        changes: inputSchema,
+        tickDelta: Types.int
+      })))
+    }),
+    [MessageType.TIME_SYNC_REQ]: Types.object({
+      clientSendTime: Types.float64
+    }),
+    [MessageType.CLIENT_ACK]: null,
+    [MessageType.CLIENT_DISCONNECT]: Types.object({
+      reason: Types.uint, // DisconnectReason
+      message: Types.optional(Types.string)
+    }),
+    [MessageType.SERVER_HELLO]: Types.partial({
+      challenge: Types.bits(32), // Present until the client proved its address
+      publicKey: Types.bytes, // Sent with the challenge
+      serverNonce: Types.bytes, // Fresh per accepted connection, mixed into its keys
+      playerId: Types.string,
+      protocolVersion: Types.uint, // Negotiated version
+      tickRate: Types.uint,
+      serverTick: Types.uint,
+      timestamp: Types.float64
+    }),
+    [MessageType.SERVER_SNAPSHOT]: Types.object({
+      tick: Types.uint,
+      state: Types.union([stateSchema, deltaSchema], (state) => (state.baselineTick !== undefined ? 1 : 0)),
+      isDelta: Types.bool,
+      lastAckedInput: Types.uint,
+      timestamp: Types.float64,
+      checksum: Types.optional(Types.bits(32))
+    }),
+    [MessageType.TIME_SYNC_RES]: Types.object({
+      clientSendTime: Types.float64,
+      serverReceiveTime: Types.float64,
+      serverSendTime: Types.float64,
+      serverTick: Types.uint
+    }),
+    [MessageType.SERVER_ACK]: null,
+    [MessageType.SERVER_KICK]: Types.object({
+      reason: Types.uint, // DisconnectReason
+      message: Types.optional(Types.string)
+    }),
+    [MessageType.SERVER_EVENT]: Types.object({
+      name: Types.string,
+      text: Types.optional(Types.string)
+    }),
+    [MessageType.FRAGMENT]: Types.object({
+      packetId: Types.uint, // sequenceId of the fragmented packet
+      index: Types.uint,
+      count: Types.uint,
+      data: Types.bytes
+    })
+  };
+}
+
+/**
+ * Build the packet header schema. Message type and channel travel as
+ * indexes into their lists, so both ends must configure the same channels.
+ * @param {Array<string>} channelNames - Channel names, in configured order
+ * @returns {Object} Schema
+ */
+function createHeaderSchema(channelNames) {
+  return Types.object({
+    type: Types.enumOf(Object.values(MessageType)),
+    sequenceId: Types.uint,
+    requiresAck: Types.bool,
+    channel: Types.enumOf(channelNames),
+    // Per-channel order/dedupe id, on every channel except plain unreliable
+    channelSequence: Types.optional(Types.uint),
+    // Piggybacked acks: newest sequenceId received + 32 before it
+    ack: Types.optional(Types.uint),
+    ackBits: Types.optional(Types.bits(32)),
+    timestamp: Types.float64
+  });
+}
+
+/**
+ * Delta-encode a run of consecutive inputs for redundant transmission.
+ * The first entry carries its full input; each following entry carries only
+ * the fields that changed since the previous one (an exact repeat is {}).
+ * Inputs are expected to be flat objects with a fixed set of fields.
+ * @param {Array<Object>} entries - [{ sequence, tick, input, timestamp }], oldest first, consecutive sequences
+ * @returns {Object} Batch payload { sequence, tick, timestamp, inputs }
+ */
+function encodeInputBatch(entries) {
+  const first = entries[0];
+  const inputs = [{ input: { ...first.input } }];
+
+  for (let i = 1; i < entries.length; i++) {
+    const previous = entries[i - 1];
+    const current = entries[i];
+    const changes = {};
+
+    for (const [field, value] of Object.entries(current.input)) {
+      if (previous.input[field] !== value) {
+        changes[field] = value;
+      }
+    }
+
+    const encoded = { changes };
+    const tickDelta = current.tick - previous.tick;
+    if (tickDelta !== 1) {
+      encoded.tickDelta = tickDelta;
+    }
+    inputs.push(encoded);
+  }
+
+  return {
+    sequence: first.sequence,
+    tick: first.tick,
+    timestamp: entries[entries.length - 1].timestamp,
+    inputs
+  };
+}
+
+/**
+ * Expand a CLIENT_INPUT payload into individual inputs.
+ * Accepts both single-input payloads and redundant batches.
+ * @param {Object} payload - CLIENT_INPUT payload
+ * @returns {Array<Object>} [{ sequence, tick, input }], oldest first
+ */
+function decodeInputBatch(payload) {
+  if (!payload.inputs) {
+    return [{ sequence: payload.sequence, tick: payload.tick, input: payload.input }];
+  }
+
+  const decoded = [];
+  let input = null;
+  let tick = payload.tick;
+
+  payload.inputs.forEach((encoded, i) => {
+    if (i === 0) {
+      input = { ...encoded.input };
+    } else {
+      input = { ...input, ...encoded.changes };
+      tick += encoded.tickDelta !== undefined ? encoded.tickDelta : 1;
+    }
+    decoded.push({ sequence: payload.sequence + i, tick, input });
+  });
+
+  return decoded;
+}
+
+class NetworkProtocol extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   * @param {Object} [config.clock] - Time source with now() in ms (see Clock.js)
+   * @param {number} [config.precision] - Quantization step for default schemas (default 0.01)
+   * @param {number} [config.worldExtent] - Largest absolute coordinate in default entity schema
+   * @param {Object} [config.inputSchema] - Schema for one input (see BinaryCodec.Types)
+   * @param {Object} [config.entitySchema] - Schema for one snapshot entity
+   * @param {Object} [config.stateSchema] - Schema for snapshot state (default { entities: [entity] })
+   * @param {number} [config.maxPacketSize] - Largest datagram sent, in bytes (default 1400)
+   * @param {number} [config.fragmentTimeout] - Discard incomplete packets after this long (ms)
+   * @param {number} [config.maxReassemblyBytes] - Memory cap for partially received packets
+   * @param {number} [config.maxFragments] - Most fragments one packet may be split into
+   * @param {Object} [config.channels] - Extra channels: name → DeliveryMode value
+   * @param {number} [config.maxOrderedBuffer] - Out-of-order packets held per ordered channel
+   * @param {string} [config.role] - 'client' or 'server' (picks the standalone ACK type)
+   * @param {number} [config.maxRetries] - Retransmissions before a reliable packet is given up on
+   * @param {number} [config.initialRto] - Retransmission timeout before any RTT sample (ms)
+   * @param {number} [config.minRto] - Lower bound of the retransmission timeout (ms)
+   * @param {number} [config.maxRto] - Upper bound, also for backoff (ms)
+   * @param {number} [config.reorderTolerance] - Newer datagrams acked before an unacked one counts as undelivered
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'NetworkProtocol' });
+    this.clock = config.clock || defaultClock;
+
+    // Wire schemas
+    const precision = config.precision || 0.01;
+    const inputSchema = config.inputSchema || defaultInputSchema(precision);
+    const entitySchema = config.entitySchema || defaultEntitySchema(precision, config.worldExtent || 10000);
+    const stateSchema = config.stateSchema || Types.object({ entities: Types.array(entitySchema) });
+    this.schemas = createMessageSchemas({ inputSchema, stateSchema, entitySchema });
+
+    // Channels
+    this.channels = { ...DefaultChannels, ...config.channels };
+    for (const [name, mode] of Object.entries(this.channels)) {
+      if (!Object.values(DeliveryMode).includes(mode)) {
+        throw new Error(`Unknown delivery mode for channel ${name}: ${mode}`);
+      }
+    }
+    this.headerSchema = createHeaderSchema(Object.keys(this.channels));
+    this.maxOrderedBuffer = config.maxOrderedBuffer || 256;
+    this.channelSendSequences = new Map(); // channel → next channelSequence
+    this.channelReceiveState = new Map(); // channel → { newest, nextExpected, held, received }
+
+    // Acknowledgment
+    this.ackType = config.role === 'server' ? MessageType.SERVER_ACK : MessageType.CLIENT_ACK;
+    this.remoteSequence = null; // Newest sequenceId received from the peer
+    this.ackPending = false; // Reliable packet received, not yet acked by anything we sent
+
     // Packet tracking for reliability
     this.nextSequenceId = 0;
     this.pendingAcks = new Map(); // sequenceId → { packet, timestamp, retries }
     this.receivedSequences = new Set(); // Avoid duplicate processing
     
+    // Every serialized datagram until acked or deemed undelivered, in send order
+    // Format: sequenceId → { sentAt, bytes }
+    this.inFlight = new Map();
+    this.newestAck = null; // Newest sequenceId the peer acknowledged
+
     // Configuration
-    this.maxRetries = 3;
-    this.ackTimeout = 100; // ms
-    this.maxPacketSize = 1400; // bytes (below MTU)
+    this.maxRetries = config.maxRetries || 3;
+    this.initialRto = config.initialRto || 250; // ms
+    this.minRto = config.minRto || 50; // ms
+    this.maxRto = config.maxRto || 2000; // ms
+    this.reorderTolerance = config.reorderTolerance || 3; // datagrams
+    this.maxPacketSize = config.maxPacketSize || 1400; // bytes (below MTU)
+    this.fragmentTimeout = config.fragmentTimeout || 1000; // ms
+    this.maxReassemblyBytes = config.maxReassemblyBytes || 256 * 1024;
+    this.maxFragments = config.maxFragments || 256;
+
+    // Partially received packets
+    // Format: packetId → { count, fragments: Array<Buffer>, received, bytes, firstSeen }
+    this.reassembly = new Map();
+    this.reassemblyBytes = 0;
+
+    // Recently reassembled packetIds (insertion order = age)
+    this.completedFragments = new Set();
+    this.completedFragmentsSize = 64;
     
     // Statistics
     this.bytesSent = 0;
     this.bytesReceived = 0;
+    this.packetsSent = 0;
+    this.packetsReceived = 0;
     this.packetsLost = 0;
+    this.rtt = 0; // Smoothed per-packet RTT (ms)
+    this.rttVariance = 0; // Mean deviation of RTT samples (ms)
+    this.rttSamples = 0;
+    this.rto = this.initialRto; // Retransmission timeout before backoff (ms)
+    this.lastRtt = 0;
+    this.datagramsDelivered = 0;
+    this.datagramsUndelivered = 0;
+    this.stalePacketsDropped = 0;
+    this.fragmentsSent = 0;
+    this.packetsReassembled = 0;
+    this.fragmentedPacketsDropped = 0;
   }
 
   /**
-   * Create CLIENT_HELLO packet
+   * Create CLIENT_HELLO packet.
+   * Handshake packets are unreliable: Connection resends them until answered.
    * @param {string} playerId - Unique player identifier
    * @param {string} playerName - Display name
+   * @param {Object} [options]
+   * @param {number} [options.protocolVersion] - Newest version spoken
+   * @param {number} [options.minProtocolVersion] - Oldest version spoken
+   * @param {number} [options.challengeResponse] - Challenge echoed back to the server
+   * @param {Buffer} [options.publicKey] - Ephemeral public key for the session key
    * @returns {Object} Hello packet
    */
-  createClientHello(playerId, playerName) {
-    return this.createPacket(MessageType.CLIENT_HELLO, {
+  createClientHello(playerId, playerName, options = {}) {
+    const protocolVersion = options.protocolVersion || PROTOCOL_VERSION;
+    const payload = {
       playerId,
       playerName,
-      protocolVersion: 1,
-      timestamp: Date.now()
-    });
+      protocolVersion,
+      minProtocolVersion: options.minProtocolVersion || protocolVersion,
+      timestamp: this.clock.now()
+    };
+    if (options.challengeResponse !== undefined) {
+      payload.challengeResponse = options.challengeResponse;
+    }
+    if (options.publicKey) {
+      payload.publicKey = options.publicKey;
+    }
+    return this.createPacket(MessageType.CLIENT_HELLO, payload);
+  }
+
+  /**
+   * Create SERVER_HELLO packet: a challenge, or the connection acceptance
+   * @param {Object} info - { challenge, publicKey }, { serverNonce } or { playerId, protocolVersion, tickRate, serverTick }
+   * @returns {Object} Hello packet
+   */
+  createServerHello(info) {
+    return this.createPacket(MessageType.SERVER_HELLO, { ...info, timestamp: this.clock.now() });
+  }
+
+  /**
+   * Create CLIENT_DISCONNECT packet
+   * @param {number} reason - DisconnectReason code
+   * @param {string} [message] - Human-readable detail
+   * @returns {Object} Disconnect packet
+   */
+  createDisconnect(reason, message = undefined) {
+    return this.createPacket(MessageType.CLIENT_DISCONNECT, { reason, message });
+  }
+
+  /**
+   * Create SERVER_KICK packet
+   * @param {number} reason - DisconnectReason code
+   * @param {string} [message] - Human-readable detail
+   * @returns {Object} Kick packet
+   */
+  createKick(reason, message = undefined) {
+    return this.createPacket(MessageType.SERVER_KICK, { reason, message });
   }
 
   /**
@@ -71,32 +517,74 @@ class NetworkProtocol {
    * @param {number} tick - Client tick number
    * @param {Object} input - Input data
    * @param {number} timestamp - Local timestamp
+   * @param {number} sequence - Input sequence number (echoed back as lastAckedInput)
+   * @param {number} [snapshotAck] - Newest snapshot tick received (delta baseline)
    * @returns {Object} Input packet
    */
-  createInput(tick, input, timestamp) {
-    return this.createPacket(MessageType.CLIENT_INPUT, {
+  createInput(tick, input, timestamp, sequence, snapshotAck = undefined) {
+    const payload = {
+      sequence,
       tick,
       input,
       timestamp
-    }, true); // Requires acknowledgment
+    };
+    if (snapshotAck !== undefined && snapshotAck !== null) {
+      payload.snapshotAck = snapshotAck;
+    }
+    return this.createPacket(MessageType.CLIENT_INPUT, payload, 'inputs');
+  }
+
+  /**
+   * Create CLIENT_INPUT packet carrying the last N unacknowledged inputs.
+   * Sent unreliably: the next batch repeats anything this one loses, which
+   * is far faster than waiting for a retransmission timeout.
+   * @param {Array<Object>} entries - [{ sequence, tick, input, timestamp }], oldest first
+   * @param {number} [snapshotAck] - Newest snapshot tick received (delta baseline)
+   * @returns {Object} Input packet
+   */
+  createInputBatch(entries, snapshotAck = undefined) {
+    const payload = encodeInputBatch(entries);
+    if (snapshotAck !== undefined && snapshotAck !== null) {
+      payload.snapshotAck = snapshotAck;
+    }
+    return this.createPacket(MessageType.CLIENT_INPUT, payload, 'unreliable');
   }
 
   /**
    * Create SERVER_SNAPSHOT packet
    * @param {number} tick - Server tick
-   * @param {Object} state - Full or delta state
+   * @param {Object} state - Full state, or delta from DeltaEncoder.encode
    * @param {boolean} isDelta - Whether this is a delta update
    * @param {number} lastAckedInput - Last input sequence received from client
+   * @param {number} [checksum] - Checksum of the full state (deterministic simulations)
    * @returns {Object} Snapshot packet
    */
-  createSnapshot(tick, state, isDelta = false, lastAckedInput = 0) {
-    return this.createPacket(MessageType.SERVER_SNAPSHOT, {
+  createSnapshot(tick, state, isDelta = false, lastAckedInput = 0, checksum = undefined) {
+    const payload = {
       tick,
       state,
       isDelta,
       lastAckedInput,
-      timestamp: Date.now()
-    });
+      timestamp: this.clock.now()
+    };
+    if (checksum !== undefined) {
+      payload.checksum = checksum;
+    }
+    return this.createPacket(MessageType.SERVER_SNAPSHOT, payload, 'snapshots');
+  }
+
+  /**
+   * Create SERVER_EVENT packet (reliable, ordered)
+   * @param {string} name - Event name, e.g. 'chat', 'round_start'
+   * @param {string} [text] - Event text
+   * @returns {Object} Event packet
+   */
+  createEvent(name, text = undefined) {
+    const payload = { name };
+    if (text !== undefined) {
+      payload.text = text;
+    }
+    return this.createPacket(MessageType.SERVER_EVENT, payload, 'events');
   }
 
   /**
@@ -105,54 +593,91 @@ class NetworkProtocol {
    */
   createTimeSyncRequest() {
     return this.createPacket(MessageType.TIME_SYNC_REQ, {
-      clientSendTime: Date.now()
+      clientSendTime: this.clock.now()
     });
   }
 
   /**
-   * Create TIME_SYNC_RES packet
+   * Create TIME_SYNC_RES packet (call right before sending it: it stamps the send time)
    * @param {number} clientSendTime - Original client timestamp
    * @param {number} serverTick - Current server tick
+   * @param {number} [serverReceiveTime] - When the request arrived (default: now, if answered on arrival)
    * @returns {Object} Sync response packet
    */
-  createTimeSyncResponse(clientSendTime, serverTick) {
-    const now = Date.now();
+  createTimeSyncResponse(clientSendTime, serverTick, serverReceiveTime = this.clock.now()) {
     return this.createPacket(MessageType.TIME_SYNC_RES, {
       clientSendTime,
-      serverReceiveTime: now,
-      serverSendTime: now,
+      serverReceiveTime,
+      serverSendTime: this.clock.now(),
       serverTick
     });
   }
 
   /**
-   * Create ACK packet
-   * @param {number} sequenceId - Sequence to acknowledge
-   * @returns {Object} ACK packet
+   * Create a standalone ACK packet, for when reliable packets arrived but
+   * nothing has been sent back since to carry their acks
+   * @returns {Object|null} Header-only ACK packet, or null if nothing needs acking
    */
-  createAck(sequenceId) {
-    return {
-      type: MessageType.CLIENT_ACK,
-      sequenceId,
-      timestamp: Date.now()
-    };
+  createAck() {
+    if (!this.ackPending) return null;
+    return this.createPacket(this.ackType, undefined);
+  }
+
+  /**
+   * Create a header-only keep-alive (same wire form as a standalone ACK)
+   * @returns {Object} Keep-alive packet
+   */
+  createKeepAlive() {
+    return this.createPacket(this.ackType, undefined);
+  }
+
+  /**
+   * Build the piggybacked ack header for an outgoing packet
+   * @returns {Object} { ack, ackBits }, or {} before anything was received
+   */
+  getAckHeader() {
+    if (this.remoteSequence === null) return {};
+
+    let ackBits = 0;
+    for (let i = 0; i < 32; i++) {
+      if (this.receivedSequences.has(this.remoteSequence - 1 - i)) {
+        ackBits = (ackBits | (1 << i)) >>> 0;
+      }
+    }
+    return { ack: this.remoteSequence, ackBits };
   }
 
   /**
    * Create base packet structure
    * @param {number} type - Message type
    * @param {Object} payload - Packet data
-   * @param {boolean} requiresAck - Whether packet needs acknowledgment
+   * @param {string|boolean} [channel] - Channel name (decides reliability and
+   *   ordering); the older requiresAck boolean still works, true meaning 'reliable'
    * @returns {Object} Packet
    */
-  createPacket(type, payload, requiresAck = false) {
+  createPacket(type, payload, channel = 'unreliable') {
+    if (typeof channel === 'boolean') {
+      channel = channel ? 'reliable' : 'unreliable';
+    }
+    const mode = this.channels[channel];
+    if (!mode) {
+      throw new Error(`Unknown channel: ${channel}`);
+    }
+
+    const requiresAck = mode === DeliveryMode.RELIABLE_UNORDERED || mode === DeliveryMode.RELIABLE_ORDERED;
     const packet = {
       type,
       sequenceId: this.nextSequenceId++,
       payload,
       requiresAck,
-      timestamp: Date.now()
+      channel,
+      timestamp: this.clock.now()
     };
+
+    if (mode !== DeliveryMode.UNRELIABLE) {
+      packet.channelSequence = this.channelSendSequences.get(channel) || 0;
+      this.channelSendSequences.set(channel, packet.channelSequence + 1);
+    }
     
     // Track for potential retransmission
     if (requiresAck) {
@@ -167,18 +692,38 @@ class NetworkProtocol {
   }
 
   /**
-   * Process received packet
+   * Process received packet.
+   * `type`/`payload` are this packet's own, or null while it is held back
+   * (incomplete fragments, out-of-order packets on an ordered channel).
+   * `messages` lists everything deliverable now, in order - on an ordered
+   * channel one packet can release several held ones.
    * @param {Object} packet - Received packet
-   * @returns {Object|null} Processed payload or null if duplicate
+   * @returns {Object|null} { type, payload, messages, ackPacket? }, or null if duplicate or stale
    */
   processPacket(packet) {
+    // Acks are valid even on a duplicate: they may be newer than the original's
+    this.processAckHeader(packet);
+
     // Check for duplicate
     if (this.receivedSequences.has(packet.sequenceId)) {
-      console.warn(`Duplicate packet ${packet.sequenceId} ignored`);
+      this.logger.debug('Duplicate packet ignored', { sequenceId: packet.sequenceId });
+      this.emit('duplicate', { sequenceId: packet.sequenceId });
+      return null;
+    }
+
+    if (packet.requiresAck && this.orderedBufferFull(packet)) {
+      // Not recorded, so not acked: the sender retransmits it once there is room
+      this.logger.warn('Ordered channel buffer full', { channel: packet.channel, sequenceId: packet.sequenceId });
       return null;
     }
     
     this.receivedSequences.add(packet.sequenceId);
+    if (this.remoteSequence === null || packet.sequenceId > this.remoteSequence) {
+      this.remoteSequence = packet.sequenceId;
+    }
+    if (packet.requiresAck) {
+      this.ackPending = true;
+    }
     
     // Clean old sequences (keep last 1000)
     if (this.receivedSequences.size > 1000) {
@@ -188,15 +733,229 @@ class NetworkProtocol {
       }
     }
     
-    // Send ACK if required
-    if (packet.requiresAck) {
-      return {
-        payload: packet.payload,
-        ackPacket: this.createAck(packet.sequenceId)
+    let result;
+
+    if (packet.type === MessageType.FRAGMENT) {
+      // Fragment: payload (and type) only once the whole packet is here
+      const whole = this.addFragment(packet.payload);
+      result = (whole && this.processPacket(whole)) || { type: null, payload: null, messages: [] };
+    } else {
+      const messages = this.deliverOnChannel(packet);
+      if (messages === null) return null;
+      const own = messages[0] === packet;
+      result = {
+        type: own ? packet.type : null,
+        payload: own ? packet.payload : null,
+        messages: messages.map(({ type, payload }) => ({ type, payload }))
       };
     }
-    
-    return { payload: packet.payload };
+
+    return result;
+  }
+
+  /**
+   * Resolve pending reliable packets acknowledged by a received header
+   * @param {Object} packet - Received packet with optional ack/ackBits
+   */
+  processAckHeader(packet) {
+    if (packet.ack === undefined || this.inFlight.size === 0) return;
+
+    this.processAck(packet.ack);
+    for (let i = 0; i < 32; i++) {
+      if ((packet.ackBits >>> i) & 1) {
+        this.processAck(packet.ack - 1 - i);
+      }
+    }
+
+    if (this.newestAck === null || packet.ack > this.newestAck) {
+      this.newestAck = packet.ack;
+      this.detectUndelivered();
+    }
+  }
+
+  /**
+   * Give up on datagrams the peer's acks have moved well past
+   */
+  detectUndelivered() {
+    const cutoff = this.newestAck - this.reorderTolerance;
+    for (const [sequenceId, sent] of this.inFlight) {
+      if (sequenceId < cutoff) {
+        this.inFlight.delete(sequenceId);
+        this.datagramsUndelivered++;
+        this.emit('undelivered', { sequenceId, bytes: sent.bytes });
+      }
+    }
+  }
+
+  /**
+   * Apply the channel's ordering guarantee to a received packet
+   * @param {Object} packet - Received (non-fragment) packet
+   * @returns {Array<Object>|null} Packets deliverable now, or null to drop this one
+   */
+  deliverOnChannel(packet) {
+    const mode = this.channels[packet.channel];
+    if (mode === DeliveryMode.UNRELIABLE) {
+      return [packet];
+    }
+
+    let state = this.channelReceiveState.get(packet.channel);
+    if (!state) {
+      state = { newest: -1, nextExpected: 0, held: new Map(), received: new Set() };
+      this.channelReceiveState.set(packet.channel, state);
+    }
+
+    if (mode === DeliveryMode.UNRELIABLE_SEQUENCED) {
+      if (packet.channelSequence <= state.newest) {
+        const event = { channel: packet.channel, channelSequence: packet.channelSequence };
+        this.stalePacketsDropped++;
+        this.logger.debug('Stale packet dropped', event);
+        this.emit('stale', event);
+        return null;
+      }
+      state.newest = packet.channelSequence;
+      return [packet];
+    }
+
+    // Reliable: a retransmission can arrive after the original got through
+    const sequence = packet.channelSequence;
+    const repeated = mode === DeliveryMode.RELIABLE_UNORDERED
+      ? sequence < state.nextExpected || state.received.has(sequence)
+      : sequence < state.nextExpected || state.held.has(sequence);
+    if (repeated) {
+      this.logger.debug('Duplicate packet ignored', { sequenceId: packet.sequenceId, channel: packet.channel });
+      this.emit('duplicate', { sequenceId: packet.sequenceId });
+      return null;
+    }
+
+    if (mode === DeliveryMode.RELIABLE_UNORDERED) {
+      // nextExpected: every channelSequence below it has arrived
+      state.received.add(sequence);
+      while (state.received.delete(state.nextExpected)) {
+        state.nextExpected++;
+      }
+      return [packet];
+    }
+
+    // Reliable ordered: hold anything ahead of the gap until the gap fills.
+    // processPacket refused what would not fit before acking it; only a
+    // reassembled packet (its fragments already acked) can go past the limit
+    if (sequence !== state.nextExpected) {
+      state.held.set(packet.channelSequence, packet);
+      return [];
+    }
+
+    const released = [packet];
+    state.nextExpected++;
+    while (state.held.has(state.nextExpected)) {
+      released.push(state.held.get(state.nextExpected));
+      state.held.delete(state.nextExpected);
+      state.nextExpected++;
+    }
+    return released;
+  }
+
+  /**
+   * Whether an ordered channel has no room to hold a packet back
+   * @param {Object} packet - Received packet
+   * @returns {boolean} True if it would have to be dropped
+   */
+  orderedBufferFull(packet) {
+    if (this.channels[packet.channel] !== DeliveryMode.RELIABLE_ORDERED) return false;
+    const state = this.channelReceiveState.get(packet.channel);
+    return Boolean(state) &&
+      packet.channelSequence > state.nextExpected &&
+      !state.held.has(packet.channelSequence) &&
+      state.held.size >= this.maxOrderedBuffer;
+  }
+
+  /**
+   * Store a fragment and reassemble its packet once all pieces arrived
+   * @param {Object} fragment - FRAGMENT payload { packetId, index, count, data }
+   * @returns {Object|null} Reassembled packet, or null while incomplete
+   */
+  addFragment(fragment) {
+    const { packetId, index, count, data } = fragment;
+    this.pruneFragments();
+
+    // Already reassembled: a late duplicate must not open an orphan entry
+    if (this.completedFragments.has(packetId)) {
+      return null;
+    }
+
+    let entry = this.reassembly.get(packetId);
+    const expectedCount = entry ? entry.count : count;
+
+    if (count > this.maxFragments || count !== expectedCount || index >= expectedCount) {
+      this.logger.warn('Invalid fragment ignored', { packetId, index, count, expectedCount });
+      return null;
+    }
+
+    if (!entry) {
+      entry = { count, fragments: new Array(count), received: 0, bytes: 0, firstSeen: this.clock.now() };
+      this.reassembly.set(packetId, entry);
+    }
+    if (entry.fragments[index]) return null;
+
+    entry.fragments[index] = data;
+    entry.received++;
+    entry.bytes += data.length;
+    this.reassemblyBytes += data.length;
+
+    // Over the memory cap: drop the oldest partial packets (never this one)
+    for (const [id, other] of this.reassembly) {
+      if (this.reassemblyBytes <= this.maxReassemblyBytes) break;
+      if (id !== packetId) this.dropReassembly(id, other, 'memory');
+    }
+
+    if (entry.received < entry.count) return null;
+
+    // Every piece was well-formed; together they still may not be a packet
+    let packet;
+    try {
+      packet = this.decodePacket(Buffer.concat(entry.fragments));
+    } catch (error) {
+      this.logger.warn('Reassembled packet malformed', { packetId, count, error: error.message });
+      this.dropReassembly(packetId, entry, 'malformed');
+      return null;
+    }
+
+    this.reassembly.delete(packetId);
+    this.reassemblyBytes -= entry.bytes;
+    this.packetsReassembled++;
+
+    this.completedFragments.add(packetId);
+    if (this.completedFragments.size > this.completedFragmentsSize) {
+      this.completedFragments.delete(this.completedFragments.values().next().value);
+    }
+    return packet;
+  }
+
+  /**
+   * Discard partially received packets older than fragmentTimeout
+   */
+  pruneFragments() {
+    const now = this.clock.now();
+    for (const [packetId, entry] of this.reassembly) {
+      if (now - entry.firstSeen > this.fragmentTimeout) {
+        this.dropReassembly(packetId, entry, 'timeout');
+      }
+    }
+  }
+
+  /**
+   * Discard a partially received packet
+   * @param {number} packetId - Fragmented packet's sequenceId
+   * @param {Object} entry - Reassembly entry
+   * @param {string} reason - 'timeout' | 'memory' | 'malformed'
+   */
+  dropReassembly(packetId, entry, reason) {
+    this.reassembly.delete(packetId);
+    this.reassemblyBytes -= entry.bytes;
+    this.fragmentedPacketsDropped++;
+
+    const event = { packetId, received: entry.received, count: entry.count, reason };
+    this.logger.debug('Incomplete packet dropped', event);
+    this.emit('fragmentDropped', event);
   }
 
   /**
@@ -204,10 +963,43 @@ class NetworkProtocol {
    * @param {number} sequenceId - Acknowledged sequence
    */
   processAck(sequenceId) {
-    if (this.pendingAcks.has(sequenceId)) {
-      this.pendingAcks.delete(sequenceId);
-      console.log(`✓ Packet ${sequenceId} acknowledged`);
+    // Every transmission has its own sequenceId, so the sample is unambiguous
+    let rtt;
+    const sent = this.inFlight.get(sequenceId);
+    if (sent) {
+      this.inFlight.delete(sequenceId);
+      rtt = this.clock.now() - sent.sentAt;
+      this.updateRtt(rtt);
+      this.datagramsDelivered++;
+      this.emit('delivered', { sequenceId, rtt, bytes: sent.bytes });
     }
+
+    const pending = this.pendingAcks.get(sequenceId);
+    if (!pending) return;
+
+    this.pendingAcks.delete(sequenceId);
+    this.logger.debug('Packet acknowledged', { sequenceId, rtt });
+    this.emit('ack', { sequenceId, rtt });
+  }
+
+  /**
+   * Fold an RTT sample into the smoothed RTT, its variance and the RTO (RFC 6298)
+   * @param {number} sample - Measured round trip (ms)
+   */
+  updateRtt(sample) {
+    if (this.rttSamples === 0) {
+      this.rtt = sample;
+      this.rttVariance = sample / 2;
+    } else {
+      this.rttVariance = 0.75 * this.rttVariance + 0.25 * Math.abs(this.rtt - sample);
+      this.rtt = 0.875 * this.rtt + 0.125 * sample;
+    }
+    this.rttSamples++;
+    this.lastRtt = sample;
+
+    // 1ms clock granularity keeps the RTO above the RTT on a perfectly steady link
+    const rto = this.rtt + Math.max(1, 4 * this.rttVariance);
+    this.rto = Math.min(this.maxRto, Math.max(this.minRto, rto));
   }
 
   /**
@@ -215,23 +1007,31 @@ class NetworkProtocol {
    * @returns {Array} Packets to retransmit
    */
   getRetransmissions() {
-    const now = Date.now();
+    const now = this.clock.now();
     const toRetransmit = [];
     
-    for (const [seqId, pending] of this.pendingAcks.entries()) {
+    for (const [seqId, pending] of Array.from(this.pendingAcks)) {
       const elapsed = now - pending.timestamp;
-      
-      if (elapsed > this.ackTimeout) {
+
+      // Exponential backoff: each retry of this packet waits twice as long
+      const timeout = Math.min(this.maxRto, this.rto * 2 ** pending.retries);
+      if (elapsed > timeout) {
         if (pending.retries < this.maxRetries) {
-          pending.retries++;
-          pending.timestamp = now;
-          toRetransmit.push(pending.packet);
-          console.warn(`⚠ Retransmitting packet ${seqId} (attempt ${pending.retries})`);
+          // Fresh sequenceId: the old one may have left the peer's ack window
+          const packet = { ...pending.packet, sequenceId: this.nextSequenceId++, timestamp: now };
+          this.pendingAcks.delete(seqId);
+          this.pendingAcks.set(packet.sequenceId, { ...pending, packet, timestamp: now, retries: pending.retries + 1 });
+          toRetransmit.push(packet);
+          const event = { sequenceId: packet.sequenceId, previousSequenceId: seqId, attempt: pending.retries + 1, timeout };
+          this.logger.debug('Retransmitting packet', event);
+          this.emit('retransmit', event);
         } else {
           // Give up
           this.pendingAcks.delete(seqId);
           this.packetsLost++;
-          console.error(`✗ Packet ${seqId} lost after ${this.maxRetries} retries`);
+          const event = { sequenceId: seqId, retries: this.maxRetries };
+          this.logger.warn('Packet lost', event);
+          this.emit('packetLost', event);
         }
       }
     }
@@ -240,15 +1040,109 @@ class NetworkProtocol {
   }
 
   /**
-   * Serialize packet to binary (simplified - uses JSON for demo)
-   * In production, use proper binary serialization (e.g., MessagePack, Protocol Buffers)
+   * Look up the payload schema for a message type
+   * @param {number} type - Message type
+   * @returns {Object|null} Payload schema (null for header-only packets)
+   */
+  getPayloadSchema(type) {
+    const schema = this.schemas[type];
+    if (schema === undefined) {
+      throw new TypeError(`Unknown message type: ${type}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Encode a packet to its bit-packed binary form (no statistics)
+   * @param {Object} packet - Packet to encode
+   * @returns {Buffer} Encoded data
+   */
+  encodePacket(packet) {
+    const schema = this.getPayloadSchema(packet.type);
+    const writer = new BitWriter();
+
+    encodeValue(writer, this.headerSchema, packet);
+    if (schema) {
+      encodeValue(writer, schema, packet.payload);
+    }
+
+    return writer.finish();
+  }
+
+  /**
+   * Decode a packet from its binary form (no statistics)
+   * @param {Buffer|Uint8Array} data - Encoded data
+   * @returns {Object} Packet
+   */
+  decodePacket(data) {
+    const reader = new BitReader(data);
+    const packet = decodeValue(reader, this.headerSchema);
+    const schema = this.getPayloadSchema(packet.type);
+
+    if (schema) {
+      packet.payload = decodeValue(reader, schema);
+    }
+
+    return packet;
+  }
+
+  /**
+   * Serialize packet to its bit-packed binary form
    * @param {Object} packet - Packet to serialize
-   * @returns {Buffer|Uint8Array} Serialized data
+   * @returns {Buffer} Serialized data
    */
   serialize(packet) {
-    const json = JSON.stringify(packet);
-    this.bytesSent += json.length;
-    return Buffer.from(json, 'utf8');
+    const data = this.encodePacket({ ...packet, ...this.getAckHeader() });
+    this.ackPending = false;
+    this.bytesSent += data.length;
+    this.packetsSent++;
+
+    this.inFlight.set(packet.sequenceId, { sentAt: this.clock.now(), bytes: data.length });
+    // A peer that never acks (one-way traffic) must not grow this forever
+    if (this.inFlight.size > 1024) {
+      this.inFlight.delete(this.inFlight.keys().next().value);
+    }
+    return data;
+  }
+
+  /**
+   * Serialize a packet into datagrams no larger than maxPacketSize.
+   * Oversized packets become FRAGMENT packets; a reliable packet's fragments
+   * replace it in the retransmission queue.
+   * @param {Object} packet - Packet to send
+   * @returns {Array<Buffer>} Datagrams to send, in order
+   */
+  packetize(packet) {
+    const whole = this.encodePacket(packet);
+    if (whole.length <= this.maxPacketSize) {
+      return [this.serialize(packet)];
+    }
+
+    // Reliability moves to the fragments: the inner packet is never acked itself
+    const reliable = packet.requiresAck;
+    const data = reliable ? this.encodePacket({ ...packet, requiresAck: false }) : whole;
+    this.pendingAcks.delete(packet.sequenceId);
+
+    const chunkSize = this.maxPacketSize - FRAGMENT_OVERHEAD;
+    const count = Math.ceil(data.length / chunkSize);
+    if (count > this.maxFragments) {
+      throw new RangeError(`Packet of ${data.length} bytes needs ${count} fragments (max ${this.maxFragments})`);
+    }
+
+    const datagrams = [];
+    for (let index = 0; index < count; index++) {
+      const fragment = this.createPacket(MessageType.FRAGMENT, {
+        packetId: packet.sequenceId,
+        index,
+        count,
+        data: data.subarray(index * chunkSize, (index + 1) * chunkSize)
+      }, reliable ? 'reliable' : 'unreliable');
+      datagrams.push(this.serialize(fragment));
+    }
+
+    this.fragmentsSent += count;
+    this.logger.debug('Packet fragmented', { sequenceId: packet.sequenceId, bytes: data.length, fragments: count });
+    return datagrams;
   }
 
   /**
@@ -257,9 +1151,10 @@ class NetworkProtocol {
    * @returns {Object} Deserialized packet
    */
   deserialize(data) {
+    const packet = this.decodePacket(data);
     this.bytesReceived += data.length;
-    const json = data.toString('utf8');
-    return JSON.parse(json);
+    this.packetsReceived++;
+    return packet;
   }
 
   /**
@@ -267,12 +1162,28 @@ class NetworkProtocol {
    * @returns {Object} Stats
    */
   getStats() {
+    // Loss over datagrams whose fate the acks settled (packetsLost only counts reliable give-ups)
+    const settled = this.datagramsDelivered + this.datagramsUndelivered;
     return {
       bytesSent: this.bytesSent,
       bytesReceived: this.bytesReceived,
+      packetsSent: this.packetsSent,
+      packetsReceived: this.packetsReceived,
+      averagePacketSize: this.packetsSent > 0 ? this.bytesSent / this.packetsSent : 0,
       packetsLost: this.packetsLost,
+      rtt: this.rtt,
+      rttVariance: this.rttVariance,
+      rto: this.rto,
+      inFlight: this.inFlight.size,
+      datagramsDelivered: this.datagramsDelivered,
+      datagramsUndelivered: this.datagramsUndelivered,
+      stalePacketsDropped: this.stalePacketsDropped,
       pendingAcks: this.pendingAcks.size,
-      packetLossRate: this.packetsLost / this.nextSequenceId
+      fragmentsSent: this.fragmentsSent,
+      packetsReassembled: this.packetsReassembled,
+      fragmentedPacketsDropped: this.fragmentedPacketsDropped,
+      reassemblyBytes: this.reassemblyBytes,
+      packetLossRate: settled > 0 ? this.datagramsUndelivered / settled : 0
     };
   }
 }
@@ -285,34 +1196,53 @@ function demonstrateProtocol() {
   console.log('=== Network Protocol Demo ===\n');
   
   const clientProto = new NetworkProtocol();
-  const serverProto = new NetworkProtocol();
+  const serverProto = new NetworkProtocol({ role: 'server' });
+
+  clientProto.on('ack', ({ sequenceId, rtt }) => {
+    console.log(`✓ Packet ${sequenceId} acknowledged${rtt !== undefined ? ` (RTT ${rtt}ms)` : ''}`);
+  });
+  clientProto.on('retransmit', ({ sequenceId, previousSequenceId, attempt, timeout }) => {
+    console.warn(`⚠ Retransmitting packet ${previousSequenceId} as ${sequenceId} (attempt ${attempt}, RTO ${timeout.toFixed(0)}ms)`);
+  });
   
-  // Simulate network with packet loss
-  function sendPacket(from, to, packet, lossRate = 0.1) {
-    const serialized = from.serialize(packet);
-    
-    // Simulate packet loss
-    if (Math.random() < lossRate) {
-      console.log(`✗ Packet ${packet.sequenceId} lost in transit`);
-      return null;
-    }
-    
-    // Simulate network delay
-    setTimeout(() => {
-      const deserialized = to.deserialize(serialized);
-      const result = to.processPacket(deserialized);
-      
-      if (result && result.ackPacket) {
-        // Send ACK back
-        setTimeout(() => {
-          from.processAck(result.ackPacket.sequenceId);
-        }, 10);
-      }
-      
-      return result;
-    }, 20 + Math.random() * 30);
+  // In-memory network, 20-50ms one way with 10% loss, seeded so every run
+  // loses the same packets; one conditioner per direction (see Transport.js,
+  // LinkConditioner.js)
+  const { LoopbackNetwork } = require('./Transport');
+  const { LinkConditioner } = require('./LinkConditioner');
+  const uplink = new LinkConditioner({ seed: 7, latency: 35, jitter: 15, loss: 0.1 });
+  const downlink = new LinkConditioner({ seed: 12, latency: 35, jitter: 15, loss: 0.1 });
+  for (const link of [uplink, downlink]) {
+    link.on('drop', ({ data }) => {
+      console.log(`✗ Packet ${clientProto.decodePacket(data).sequenceId} lost in transit`);
+    });
   }
-  
+  const network = new LoopbackNetwork();
+  const endpoints = new Map([
+    [clientProto, { address: 'client', transport: uplink.wrap(network.bind('client')) }],
+    [serverProto, { address: 'server', transport: downlink.wrap(network.bind('server')) }]
+  ]);
+
+  for (const [proto, { transport }] of endpoints) {
+    const peer = proto === clientProto ? serverProto : clientProto;
+    transport.on('message', (data) => {
+      proto.processPacket(proto.deserialize(data));
+
+      // Acks ride on the next outgoing packet; with nothing to send soon,
+      // send a standalone ACK instead
+      setTimeout(() => {
+        const ackPacket = proto.createAck();
+        if (ackPacket) {
+          sendPacket(proto, peer, ackPacket);
+        }
+      }, 10);
+    });
+  }
+
+  function sendPacket(from, to, packet) {
+    endpoints.get(from).transport.send(from.serialize(packet), endpoints.get(to).address);
+  }
+
   // Client connects
   console.log('\n--- Client Connection ---');
   const helloPacket = clientProto.createClientHello('player_123', 'TestPlayer');
@@ -325,11 +1255,24 @@ function demonstrateProtocol() {
     const inputPacket = clientProto.createInput(
       tick,
       { moveX: 1, moveY: 0, jump: false },
-      Date.now()
+      clientProto.clock.now(),
+      tick + 1
     );
     console.log(`Client → Server: INPUT (tick ${tick})`);
-    sendPacket(clientProto, serverProto, inputPacket, 0.2); // 20% loss
+    sendPacket(clientProto, serverProto, inputPacket);
   }
+
+  // Redundant batch: inputs 2-4 in one unreliable packet, repeats cost ~nothing
+  const batch = clientProto.createInputBatch([
+    { sequence: 2, tick: 1, input: { moveX: 1, moveY: 0, jump: false }, timestamp: clientProto.clock.now() },
+    { sequence: 3, tick: 2, input: { moveX: 1, moveY: 0, jump: false }, timestamp: clientProto.clock.now() },
+    { sequence: 4, tick: 3, input: { moveX: 1, moveY: 0, jump: true }, timestamp: clientProto.clock.now() }
+  ]);
+  console.log('Client → Server: INPUT batch', JSON.stringify(batch.payload.inputs));
+  const wire = clientProto.serialize(batch);
+  console.log(`Batch on the wire: ${wire.length} bytes (JSON would be ${Buffer.byteLength(JSON.stringify(batch))})`);
+  console.log('Round trip exact:', require('util').isDeepStrictEqual(serverProto.deserialize(wire), batch));
+  console.log('Decoded:', decodeInputBatch(batch.payload).map((entry) => entry.sequence));
   
   // Check for retransmissions
   setTimeout(() => {
@@ -338,7 +1281,7 @@ function demonstrateProtocol() {
     if (retransmit.length > 0) {
       console.log(`Retransmitting ${retransmit.length} packets`);
       retransmit.forEach(packet => {
-        sendPacket(clientProto, serverProto, packet, 0); // No loss on retry
+        sendPacket(clientProto, serverProto, packet);
       });
     }
   }, 200);
@@ -356,6 +1299,52 @@ function demonstrateProtocol() {
     sendPacket(serverProto, clientProto, snapshot);
   }, 100);
   
+  // Channels: same connection, different guarantees
+  setTimeout(() => {
+    console.log('\n--- Channels ---');
+    const chat = ['gl hf', 'push B', 'nice'].map((text) => serverProto.createEvent('chat', text));
+    const snapshots = [30, 31, 32].map((tick) => serverProto.createSnapshot(tick, { entities: [] }));
+
+    // Network reorders everything
+    for (const packet of [chat[2], snapshots[0], chat[0], snapshots[2], snapshots[1], chat[1]]) {
+      const result = clientProto.processPacket(clientProto.deserialize(serverProto.serialize(packet)));
+      if (!result) {
+        console.log(`✗ ${packet.channel} #${packet.channelSequence} dropped (older than newest)`);
+        continue;
+      }
+      const shown = result.messages.map(({ payload }) => payload.text || `tick ${payload.tick}`);
+      console.log(`${packet.channel} #${packet.channelSequence} → deliver [${shown.join(', ')}]`);
+    }
+  }, 150);
+
+  // Large full snapshot: split into fragments below maxPacketSize
+  setTimeout(() => {
+    console.log('\n--- Fragmented Snapshot ---');
+    clientProto.on('fragmentDropped', ({ packetId, received, count, reason }) => {
+      console.log(`✗ Snapshot ${packetId} discarded (${received}/${count} fragments, ${reason})`);
+    });
+
+    const entities = Array.from({ length: 500 }, (_, i) => ({ id: i, x: i * 1.5, y: -i, velocityX: 1, velocityY: 0 }));
+    const deliver = (datagrams, skip = -1) => {
+      datagrams.forEach((datagram, i) => {
+        if (i === skip) return;
+        const result = clientProto.processPacket(clientProto.deserialize(datagram));
+        if (result.payload) {
+          console.log(`✓ Reassembled snapshot with ${result.payload.state.entities.length} entities`);
+        }
+      });
+    };
+
+    const datagrams = serverProto.packetize(serverProto.createSnapshot(20, { entities }));
+    console.log(`Server → Client: ${datagrams.length} fragments, largest ${Math.max(...datagrams.map((d) => d.length))} bytes`);
+    deliver(datagrams);
+
+    // Unreliable snapshot missing one fragment: dropped whole after the timeout
+    clientProto.fragmentTimeout = 50;
+    deliver(serverProto.packetize(serverProto.createSnapshot(21, { entities })), 1);
+    setTimeout(() => clientProto.pruneFragments(), 100);
+  }, 250);
+
   // Show stats
   setTimeout(() => {
     console.log('\n=== Protocol Statistics ===');
@@ -369,4 +1358,13 @@ if (require.main === module) {
   demonstrateProtocol();
 }
 
-module.exports = { NetworkProtocol, MessageType };
+module.exports = {
+  NetworkProtocol,
+  MessageType,
+  DeliveryMode,
+  DisconnectReason,
+  PROTOCOL_VERSION,
+  createMessageSchemas,
+  encodeInputBatch,
+  decodeInputBatch
+};
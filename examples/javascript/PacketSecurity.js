@@ -0,0 +1,429 @@
+/**
+ * Packet Authentication, Encryption and Replay Protection
+ *
+ * Key exchange rides on the connection handshake (see Connection.js):
+ * CLIENT_HELLO and the SERVER_HELLO challenge each carry an ECDH public key
+ * (P-256). Both sides derive the same shared secret and expand it with HKDF
+ * (salted with the server's challenge and a fresh server nonce) into two
+ * AES-256 keys, one per direction, so a packet can never be reflected back
+ * at its sender. Public keys arrive unauthenticated: deriveKeys() checks
+ * them and returns null for anything that is not a point on the curve.
+ *
+ * The server keeps no state until the client proves its address:
+ * HandshakeCookies makes the challenge an HMAC of the client's address,
+ * public key and a time bucket, and the server's key pair is shared by all
+ * handshakes of a bucket (rotated every lifetime). Answering a hello costs
+ * one HMAC; keys are derived only when a valid cookie comes back.
+ *
+ * The bucket key and the cookie are the same for a replay of a recorded
+ * handshake, so on accepting a connection the server also picks a random
+ * nonce (createServerNonce) and sends it with the acceptance. It is mixed
+ * into the key derivation: every accepted connection gets keys never used
+ * before - a replayed handshake cannot resurrect an old session, its
+ * recorded datagrams fail authentication, and restarting the datagram
+ * counter at 0 never repeats a GCM nonce under the same key.
+ *
+ * Every datagram after that is sealed with AES-256-GCM:
+ *
+ *   [mode: 1 byte][counter: 6 bytes][body][tag: 16 bytes]
+ *
+ * - mode 0: plaintext (handshake only), 1: authenticated, 2: encrypted
+ * - counter: per-direction datagram counter, doubles as the GCM nonce
+ * - authenticated mode sends the body in clear but covers it with the tag;
+ *   encrypted mode also hides it
+ *
+ * Replay protection: the receiver remembers which counters it accepted in a
+ * sliding window and rejects repeats and anything older than the window -
+ * before the packet is deserialized, let alone processed. A counter is only
+ * recorded once its tag verified, so forged packets cannot poison the window.
+ *
+ * Scope: ephemeral keys stop off-path attackers and passive observers, and
+ * an on-path attacker can no longer forge or replay packets once the
+ * handshake completed. An attacker who rewrites the handshake itself
+ * (man in the middle) needs server authentication (signed keys) to stop.
+ */
+
+const crypto = require('crypto');
+
+const FrameMode = {
+  PLAINTEXT: 0,
+  AUTHENTICATED: 1,
+  ENCRYPTED: 2
+};
+
+const COUNTER_BYTES = 6;
+const TAG_BYTES = 16;
+const HEADER_BYTES = 1 + COUNTER_BYTES;
+
+// Bytes a sealed datagram adds to the packet inside it
+const SEAL_OVERHEAD = HEADER_BYTES + TAG_BYTES;
+
+const CURVE = 'prime256v1';
+
+// Uncompressed P-256 point: 0x04, then 32-byte x and y
+const PUBLIC_KEY_BYTES = 65;
+
+const SERVER_NONCE_BYTES = 16;
+
+/**
+ * Whether a peer's public key is a well-formed point on the curve
+ * @param {*} key - Public key from the wire
+ * @returns {boolean} True if usable for ECDH
+ */
+function isValidPublicKey(key) {
+  if (!Buffer.isBuffer(key) || key.length !== PUBLIC_KEY_BYTES || key[0] !== 0x04) {
+    return false;
+  }
+  try {
+    crypto.ECDH.convertKey(key, CURVE);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Fresh random contribution of the server to one connection's keys
+ * @returns {Buffer} Nonce
+ */
+function createServerNonce() {
+  return crypto.randomBytes(SERVER_NONCE_BYTES);
+}
+
+/**
+ * Whether a server nonce from the wire is usable
+ * @param {*} nonce - serverNonce of a SERVER_HELLO
+ * @returns {boolean} True if well-formed
+ */
+function isValidServerNonce(nonce) {
+  return Buffer.isBuffer(nonce) && nonce.length === SERVER_NONCE_BYTES;
+}
+
+/**
+ * ECDH key pair for one handshake (client) or one cookie bucket (server)
+ */
+class KeyExchange {
+  constructor() {
+    this.ecdh = crypto.createECDH(CURVE);
+    this.publicKey = this.ecdh.generateKeys();
+  }
+
+  /**
+   * Derive per-direction session keys
+   * @param {Buffer} peerPublicKey - The other side's public key (unvalidated)
+   * @param {number} challenge - Server challenge token (HKDF salt)
+   * @param {Buffer} serverNonce - Server's fresh nonce for this connection (HKDF salt)
+   * @returns {Object|null} { clientToServer, serverToClient } - 32-byte keys, or null if the key or nonce is invalid
+   */
+  deriveKeys(peerPublicKey, challenge, serverNonce) {
+    if (!isValidPublicKey(peerPublicKey) || !isValidServerNonce(serverNonce)) return null;
+
+    let secret;
+    try {
+      secret = this.ecdh.computeSecret(peerPublicKey);
+    } catch (error) {
+      return null;
+    }
+    const salt = Buffer.alloc(4 + SERVER_NONCE_BYTES);
+    salt.writeUInt32BE(challenge);
+    serverNonce.copy(salt, 4);
+
+    const keys = Buffer.from(crypto.hkdfSync('sha256', secret, salt, 'nine-realities-netcode session', 64));
+    return {
+      clientToServer: keys.subarray(0, 32),
+      serverToClient: keys.subarray(32, 64)
+    };
+  }
+}
+
+/**
+ * Server: stateless challenge cookies and the key pairs they are issued with
+ */
+class HandshakeCookies {
+  /**
+   * @param {Object} [config]
+   * @param {Buffer} [config.secret] - HMAC key (default: random per process)
+   * @param {number} [config.lifetime] - Bucket length (ms); a cookie is valid for one to two buckets
+   */
+  constructor(config = {}) {
+    this.secret = config.secret || crypto.randomBytes(32);
+    this.lifetime = config.lifetime || 10000; // ms
+
+    // bucket → KeyExchange, current and previous only
+    this.keys = new Map();
+  }
+
+  /**
+   * Challenge for a first CLIENT_HELLO
+   * @param {string} address - Client address key
+   * @param {Buffer} [publicKey] - Client's public key (omitted without security)
+   * @param {number} now - Current time (ms)
+   * @returns {Object} { challenge, publicKey } - 32-bit cookie and the server key to send with it
+   */
+  issue(address, publicKey, now) {
+    const bucket = Math.floor(now / this.lifetime);
+    if (!this.keys.has(bucket)) {
+      this.keys.set(bucket, new KeyExchange());
+      for (const old of this.keys.keys()) {
+        if (old < bucket - 1) this.keys.delete(old);
+      }
+    }
+    return {
+      challenge: this.cookie(bucket, address, publicKey),
+      publicKey: this.keys.get(bucket).publicKey
+    };
+  }
+
+  /**
+   * Check a challenge response
+   * @param {string} address - Client address key
+   * @param {Buffer} [publicKey] - Client's public key, as sent with the response
+   * @param {number} challenge - Echoed cookie
+   * @param {number} now - Current time (ms)
+   * @returns {KeyExchange|null} Key pair the cookie was issued with, or null if forged or expired
+   */
+  verify(address, publicKey, challenge, now) {
+    const bucket = Math.floor(now / this.lifetime);
+    for (const candidate of [bucket, bucket - 1]) {
+      const keyExchange = this.keys.get(candidate);
+      if (keyExchange && this.cookie(candidate, address, publicKey) === challenge) {
+        return keyExchange;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {number} bucket - Time bucket
+   * @param {string} address - Client address key
+   * @param {Buffer} [publicKey] - Client's public key
+   * @returns {number} 32-bit cookie
+   */
+  cookie(bucket, address, publicKey) {
+    const hmac = crypto.createHmac('sha256', this.secret);
+    hmac.update(`${bucket}|${address}|`);
+    if (Buffer.isBuffer(publicKey)) hmac.update(publicKey);
+    return hmac.digest().readUInt32BE(0);
+  }
+}
+
+/**
+ * Seals outgoing and opens incoming datagrams for one connection
+ */
+class SecureSession {
+  /**
+   * @param {Object} config
+   * @param {Buffer} config.sendKey - Key for our direction
+   * @param {Buffer} config.receiveKey - Key for the peer's direction
+   * @param {boolean} [config.encrypt] - Encrypt bodies, not just authenticate (default false)
+   * @param {number} [config.replayWindow] - Counters remembered behind the newest (default 1024)
+   */
+  constructor(config = {}) {
+    this.sendKey = config.sendKey;
+    this.receiveKey = config.receiveKey;
+    this.encrypt = config.encrypt || false;
+    this.replayWindow = config.replayWindow || 1024;
+
+    this.sendCounter = 0;
+
+    // Newest accepted counter and the accepted counters within the window
+    this.newestReceived = -1;
+    this.receivedCounters = new Set();
+
+    // Statistics
+    this.packetsSealed = 0;
+    this.packetsOpened = 0;
+    this.authFailures = 0;
+    this.replaysRejected = 0;
+  }
+
+  /**
+   * Authenticate (and optionally encrypt) a datagram
+   * @param {Buffer} data - Serialized packet
+   * @returns {Buffer} Sealed datagram
+   */
+  seal(data) {
+    const header = Buffer.alloc(HEADER_BYTES);
+    header[0] = this.encrypt ? FrameMode.ENCRYPTED : FrameMode.AUTHENTICATED;
+    header.writeUIntBE(this.sendCounter++, 1, COUNTER_BYTES);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.sendKey, nonceFor(header));
+    let body;
+    if (this.encrypt) {
+      cipher.setAAD(header);
+      body = Buffer.concat([cipher.update(data), cipher.final()]);
+    } else {
+      cipher.setAAD(Buffer.concat([header, data]));
+      cipher.final();
+      body = data;
+    }
+
+    this.packetsSealed++;
+    return Buffer.concat([header, body, cipher.getAuthTag()]);
+  }
+
+  /**
+   * Verify a sealed datagram and strip the envelope
+   * @param {Buffer} datagram - Sealed datagram
+   * @returns {Buffer|null} Serialized packet, or null if forged, replayed or too old
+   */
+  open(datagram) {
+    if (datagram.length < SEAL_OVERHEAD) {
+      this.authFailures++;
+      return null;
+    }
+
+    const header = datagram.subarray(0, HEADER_BYTES);
+    const mode = header[0];
+    const counter = header.readUIntBE(1, COUNTER_BYTES);
+
+    // Cheap checks first: no crypto spent on replays
+    if (counter <= this.newestReceived - this.replayWindow || this.receivedCounters.has(counter)) {
+      this.replaysRejected++;
+      return null;
+    }
+
+    const body = datagram.subarray(HEADER_BYTES, datagram.length - TAG_BYTES);
+    const tag = datagram.subarray(datagram.length - TAG_BYTES);
+
+    let data;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.receiveKey, nonceFor(header));
+      decipher.setAuthTag(tag);
+      if (mode === FrameMode.ENCRYPTED) {
+        decipher.setAAD(header);
+        data = Buffer.concat([decipher.update(body), decipher.final()]);
+      } else if (mode === FrameMode.AUTHENTICATED) {
+        decipher.setAAD(Buffer.concat([header, body]));
+        decipher.final();
+        data = body;
+      } else {
+        throw new Error(`Unknown frame mode ${mode}`);
+      }
+    } catch (error) {
+      this.authFailures++;
+      return null;
+    }
+
+    this.recordCounter(counter);
+    this.packetsOpened++;
+    return data;
+  }
+
+  /**
+   * Remember an accepted counter, forgetting those that left the window
+   * @param {number} counter - Verified counter
+   */
+  recordCounter(counter) {
+    this.receivedCounters.add(counter);
+    if (counter > this.newestReceived) {
+      this.newestReceived = counter;
+    }
+
+    if (this.receivedCounters.size > this.replayWindow) {
+      const oldest = this.newestReceived - this.replayWindow;
+      for (const seen of this.receivedCounters) {
+        if (seen <= oldest) this.receivedCounters.delete(seen);
+      }
+    }
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      encrypt: this.encrypt,
+      packetsSealed: this.packetsSealed,
+      packetsOpened: this.packetsOpened,
+      authFailures: this.authFailures,
+      replaysRejected: this.replaysRejected
+    };
+  }
+}
+
+/**
+ * 12-byte GCM nonce from the datagram counter (unique per key)
+ * @param {Buffer} header - Mode byte + counter
+ * @returns {Buffer} Nonce
+ */
+function nonceFor(header) {
+  const nonce = Buffer.alloc(12);
+  header.copy(nonce, 12 - COUNTER_BYTES, 1, HEADER_BYTES);
+  return nonce;
+}
+
+/**
+ * Wrap a datagram that travels before session keys exist
+ * @param {Buffer} data - Serialized packet
+ * @returns {Buffer} Plaintext frame
+ */
+function framePlaintext(data) {
+  return Buffer.concat([Buffer.from([FrameMode.PLAINTEXT]), data]);
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateSecurity() {
+  console.log('=== Packet Security Demo ===\n');
+
+  // Handshake: each side contributes a public key, the server a challenge
+  // and, on accepting, a fresh nonce
+  const client = new KeyExchange();
+  const server = new KeyExchange();
+  const challenge = crypto.randomBytes(4).readUInt32BE(0);
+  const serverNonce = createServerNonce();
+
+  const clientKeys = client.deriveKeys(server.publicKey, challenge, serverNonce);
+  const serverKeys = server.deriveKeys(client.publicKey, challenge, serverNonce);
+  console.log('Keys agree:', clientKeys.clientToServer.equals(serverKeys.clientToServer));
+  console.log('Garbage public key accepted:', server.deriveKeys(Buffer.alloc(65, 7), challenge, serverNonce) !== null);
+  const replayed = server.deriveKeys(client.publicKey, challenge, createServerNonce());
+  console.log('Same handshake, new nonce, same keys:', replayed.clientToServer.equals(serverKeys.clientToServer));
+
+  const clientSession = new SecureSession({ sendKey: clientKeys.clientToServer, receiveKey: clientKeys.serverToClient, encrypt: true });
+  const serverSession = new SecureSession({ sendKey: serverKeys.serverToClient, receiveKey: serverKeys.clientToServer });
+
+  const input = Buffer.from('input: moveX=1');
+  const sealed = clientSession.seal(input);
+  console.log(`Sealed ${input.length} → ${sealed.length} bytes (encrypted)`);
+  console.log('Server opens:', serverSession.open(sealed).toString());
+
+  // Replay: same datagram again
+  console.log('Replayed copy accepted:', serverSession.open(sealed) !== null);
+
+  // Forgery: flip one bit
+  const forged = Buffer.from(clientSession.seal(input));
+  forged[HEADER_BYTES] ^= 1;
+  console.log('Tampered copy accepted:', serverSession.open(forged) !== null);
+
+  // Reflection: our own packet sent back to us uses the wrong key
+  console.log('Reflected copy accepted:', clientSession.open(clientSession.seal(input)) !== null);
+
+  // Too old: far behind the newest counter
+  const old = clientSession.seal(input);
+  for (let i = 0; i < 1100; i++) serverSession.open(clientSession.seal(input));
+  console.log('Packet older than window accepted:', serverSession.open(old) !== null);
+
+  console.log('\nServer session:', serverSession.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateSecurity();
+}
+
+module.exports = {
+  KeyExchange,
+  HandshakeCookies,
+  SecureSession,
+  FrameMode,
+  SEAL_OVERHEAD,
+  framePlaintext,
+  isValidPublicKey,
+  createServerNonce,
+  isValidServerNonce
+};
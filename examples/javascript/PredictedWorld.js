@@ -0,0 +1,348 @@
+/**
+ * Multi-Entity Predicted World
+ *
+ * Extends client-side prediction from a single predicted state to a whole
+ * world of entities (players, physics props, ...). The client:
+ * 1. Applies its own inputs to the entities it owns locally
+ * 2. Simulates every other entity forward with no input (dead reckoning)
+ * 3. Runs a world-level interaction pass (e.g. collisions) each tick
+ * 4. Tracks per-entity authoritative state from server snapshots
+ * 5. On misprediction, rolls the ENTIRE world back to the snapshot and
+ *    resimulates it, so entities the local player pushed are corrected too
+ *
+ * In deterministic mode (config.deterministic) the default entity step is
+ * fixedPointEntityStep: entity state is Q16.16, as in ClientPrediction.
+ *
+ * World state shape: { entities: { [id]: entityState } }
+ * Snapshot shape:    { tick, lastAckedInput, state: { entities: [{ id, ...entityState }] } }
+ */
+
+const ClientPrediction = require('./ClientPrediction');
+const { createLogger } = require('./Logger');
+const { FixedPoint } = require('./FixedPoint');
+
+const { PointMassSchema, createState, cloneState, schemaDivergence } = ClientPrediction;
+
+/**
+ * Default entity step: point-mass movement for owned entities,
+ * constant-velocity dead reckoning for everything else
+ * @param {Object} entity - Entity state to mutate in place
+ * @param {Object|null} input - Local input, or null for non-owned entities
+ * @param {number} dt - Timestep in seconds
+ */
+function defaultEntityStep(entity, input, dt) {
+  if (input) {
+    ClientPrediction.pointMassStep(entity, input, dt);
+  } else {
+    entity.x += entity.velocityX;
+    entity.y += entity.velocityY;
+  }
+}
+
+/**
+ * Deterministic entity step: same movement as defaultEntityStep, but all
+ * state is Q16.16 fixed point so resimulation is bit-identical everywhere
+ * @param {Object} entity - Fixed-point entity state to mutate in place
+ * @param {Object|null} input - Local input, or null for non-owned entities
+ * @param {number} dt - Timestep in seconds, Q16.16
+ */
+function fixedPointEntityStep(entity, input, dt) {
+  if (input) {
+    ClientPrediction.fixedPointMassStep(entity, input, dt);
+  } else {
+    entity.x = FixedPoint.add(entity.x, entity.velocityX);
+    entity.y = FixedPoint.add(entity.y, entity.velocityY);
+  }
+}
+
+class PredictedWorld extends ClientPrediction {
+  /**
+   * Every other ClientPrediction option (clock, connection, snapDistance, ...)
+   * passes through; only the state shape and callbacks are the world's own.
+   * @param {Object} config
+   * @param {Array<string|number>} [config.localEntityIds] - Entities driven by local input
+   * @param {Object} [config.entitySchema] - Per-entity schema (field → { default, weight })
+   * @param {Function} [config.entityStep] - (entity, input|null, dt) → void; FixedPoint math only if deterministic
+   * @param {Function} [config.interact] - (entities, dt) → void, world pass after entity steps
+   * @param {number} [config.tickRate] - Simulation ticks per second
+   * @param {number} [config.reconciliationThreshold] - Per-entity divergence that triggers rollback
+   * @param {number} [config.historySize] - Ticks of predicted world kept for reconciliation
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    const entitySchema = config.entitySchema || PointMassSchema;
+    const entityStep = config.entityStep || (config.deterministic ? fixedPointEntityStep : defaultEntityStep);
+    const interact = config.interact || null;
+
+    super({
+      ...config,
+      logger: config.logger || createLogger({ name: 'PredictedWorld' }),
+      schema: { entities: { default: {}, weight: 0 } },
+      initialState: { entities: {} },
+      cloneState,
+      step: (world, input, dt) => this.stepWorld(world, input, dt),
+      compareState: (predicted, server) => this.compareWorlds(predicted, server)
+    });
+
+    this.entitySchema = entitySchema;
+    this.entityStep = entityStep;
+    this.interact = interact;
+
+    // Entities this client predicts with its own input
+    this.localEntityIds = new Set((config.localEntityIds || []).map(String));
+
+    // Latest authoritative state per entity
+    // Format: id → { tick, state }
+    this.serverEntities = new Map();
+  }
+
+  /**
+   * Advance the whole world by one tick
+   * @param {Object} world - World state to mutate in place
+   * @param {Object} input - Local player input
+   * @param {number} dt - Timestep in seconds
+   */
+  stepWorld(world, input, dt) {
+    for (const [id, entity] of Object.entries(world.entities)) {
+      this.entityStep(entity, this.isLocallyOwned(id) ? input : null, dt);
+    }
+
+    // Interactions run after movement so collisions see everyone's new position
+    if (this.interact) {
+      this.interact(world.entities, dt);
+    }
+  }
+
+  /**
+   * Largest per-entity divergence over the entities both worlds contain.
+   * Spawns and despawns are not divergence: see structureChanged.
+   * @param {Object} predicted - Predicted world
+   * @param {Object} server - Server world
+   * @returns {number} Divergence
+   */
+  compareWorlds(predicted, server) {
+    let worst = 0;
+
+    for (const [id, serverEntity] of Object.entries(server.entities)) {
+      const predictedEntity = predicted.entities[id];
+      if (predictedEntity) {
+        worst = Math.max(worst, schemaDivergence(this.entitySchema, predictedEntity, serverEntity));
+      }
+    }
+
+    return worst;
+  }
+
+  /**
+   * Whether the server spawned or despawned entities the prediction lacks.
+   * The client cannot predict those, so the server world is adopted
+   * without counting a misprediction.
+   * @param {Object} predicted - Predicted world
+   * @param {Object} server - Server world
+   * @returns {boolean} True if the entity sets differ
+   */
+  structureChanged(predicted, server) {
+    const predictedIds = Object.keys(predicted.entities);
+    return predictedIds.length !== Object.keys(server.entities).length ||
+      predictedIds.some((id) => !(id in server.entities));
+  }
+
+  /**
+   * Receive server snapshot with an entity list, full or delta
+   * @param {Object} snapshot - { tick, lastAckedInput, isDelta?, state: { entities: [{ id, ...state }] } }
+   */
+  onServerSnapshot(snapshot) {
+    // The decoder keeps the wire-format entity list as the baseline for later deltas
+    const state = this.decoder.decode(snapshot);
+    if (!state) {
+      return;
+    }
+
+    if (snapshot.tick < this.serverTick || (snapshot.lastAckedInput || 0) < this.lastAckedInput) {
+      return;
+    }
+
+    const world = { entities: {} };
+
+    for (const { id, ...fields } of state.entities) {
+      const entity = { ...createState(this.entitySchema), ...fields };
+      world.entities[id] = entity;
+      this.serverEntities.set(String(id), { tick: snapshot.tick, state: cloneState(entity) });
+    }
+
+    // Forget entities the server no longer reports
+    for (const id of this.serverEntities.keys()) {
+      if (!(id in world.entities)) {
+        this.serverEntities.delete(id);
+      }
+    }
+
+    this.applySnapshot({ ...snapshot, state: world, isDelta: false });
+  }
+
+  /**
+   * Per-entity render offsets after a correction. Each entity snaps on its
+   * own when its correction exceeds snapDistance.
+   * @param {Object} shown - World that was being rendered
+   * @param {Object} corrected - Corrected simulation world
+   * @returns {Object|null} { entities: { [id]: { field: offset } } }
+   */
+  measureVisualError(shown, corrected) {
+    const offsets = {};
+
+    for (const [id, entity] of Object.entries(corrected.entities)) {
+      const before = shown.entities[id];
+      if (!before) continue;
+
+      const offset = {};
+      let magnitude = 0;
+      for (const [field, spec] of Object.entries(this.entitySchema)) {
+        if (!spec.weight) continue;
+        offset[field] = before[field] - entity[field];
+        magnitude += offset[field] * offset[field];
+      }
+
+      if (magnitude > 0 && Math.sqrt(magnitude) <= this.snapDistance) {
+        offsets[id] = offset;
+      }
+    }
+
+    return { entities: offsets };
+  }
+
+  /**
+   * Get the state of one entity as it should be rendered
+   * @param {string|number} id - Entity id
+   * @param {number} [now] - Timestamp in milliseconds
+   * @returns {Object|null} Entity state including its correction offset
+   */
+  getVisualEntity(id, now = this.clock.now()) {
+    const entity = this.getVisualState(now).entities[id];
+    return entity || null;
+  }
+
+  /**
+   * @param {string|number} id - Entity id
+   * @returns {boolean} True if this client drives the entity with its input
+   */
+  isLocallyOwned(id) {
+    return this.localEntityIds.has(String(id));
+  }
+
+  /**
+   * Take or release local ownership of an entity
+   * @param {string|number} id - Entity id
+   * @param {boolean} owned - Whether local input drives it
+   */
+  setLocallyOwned(id, owned) {
+    if (owned) {
+      this.localEntityIds.add(String(id));
+    } else {
+      this.localEntityIds.delete(String(id));
+    }
+  }
+
+  /**
+   * Get the predicted state of one entity
+   * @param {string|number} id - Entity id
+   * @returns {Object|null} Copy of the entity state
+   */
+  getEntity(id) {
+    const entity = this.predictedState.entities[id];
+    return entity ? cloneState(entity) : null;
+  }
+
+  /**
+   * Get the latest authoritative state of one entity
+   * @param {string|number} id - Entity id
+   * @returns {Object|null} { tick, state } or null if unknown
+   */
+  getServerEntity(id) {
+    const entry = this.serverEntities.get(String(id));
+    return entry ? { tick: entry.tick, state: cloneState(entry.state) } : null;
+  }
+
+  /**
+   * @returns {Array<string>} Ids of all predicted entities
+   */
+  getEntityIds() {
+    return Object.keys(this.predictedState.entities);
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateWorld() {
+  console.log('=== Predicted World Demo ===\n');
+
+  // Push-out collision between 5-unit-radius entities
+  function pushApart(entities) {
+    const list = Object.values(entities);
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        const dx = b.x - a.x;
+        const overlap = 10 - Math.abs(dx);
+        if (overlap > 0 && Math.abs(b.y - a.y) < 10) {
+          const push = (overlap / 2) * Math.sign(dx || 1);
+          a.x -= push;
+          b.x += push;
+        }
+      }
+    }
+  }
+
+  const world = new PredictedWorld({ localEntityIds: ['player'], interact: pushApart });
+  world.on('rollback', ({ ackedInput, replayed }) => {
+    console.log(`🔄 Rolled back to input ${ackedInput}, resimulated ${replayed} ticks`);
+  });
+
+  // Server spawns our player and a crate just to our right
+  world.onServerSnapshot({
+    tick: 0,
+    state: {
+      entities: [
+        { id: 'player', x: 0, y: 0 },
+        { id: 'crate', x: 15, y: 0 }
+      ]
+    }
+  });
+  console.log('Spawned:', world.getEntityIds());
+
+  // Walk right into the crate (inputs 1-3)
+  for (let i = 0; i < 3; i++) {
+    world.applyInput({ moveX: 1, moveY: 0 });
+  }
+  console.log('Predicted player:', world.getEntity('player'));
+  console.log('Predicted crate: ', world.getEntity('crate'));
+  console.log('');
+
+  // Server says the crate is heavier than we thought: after input 2 it is only at x=16
+  console.log('Snapshot acknowledging input 2 disagrees about the crate');
+  world.onServerSnapshot({
+    tick: 2,
+    lastAckedInput: 2,
+    state: {
+      entities: [
+        { id: 'player', x: 8, y: 0, velocityX: 5 },
+        { id: 'crate', x: 16, y: 0 }
+      ]
+    }
+  });
+  console.log('Player after rollback:', world.getEntity('player'));
+  console.log('Crate after rollback: ', world.getEntity('crate'));
+  console.log('Crate on screen:      ', world.getVisualEntity('crate'));
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateWorld();
+}
+
+PredictedWorld.defaultEntityStep = defaultEntityStep;
+PredictedWorld.fixedPointEntityStep = fixedPointEntityStep;
+
+module.exports = PredictedWorld;
@@ -0,0 +1,288 @@
+/**
+ * Snapshot Interpolation for Remote Entities
+ *
+ * The local player is predicted (see ClientPrediction), but every other
+ * entity is shown slightly in the past, between two snapshots the client
+ * has already received. This hides network jitter at the cost of a small,
+ * constant render delay:
+ *
+ *   render time = TimeSync.getServerTime() - renderDelay
+ *
+ * When the buffer runs dry (late or lost snapshots) the entity is
+ * extrapolated from its last known velocity, but only for a bounded time
+ * so a disconnected player does not fly off into the distance.
+ *
+ * Delta snapshots (see DeltaCompression.js) are rebuilt into full state
+ * before buffering; pass the client's own DeltaDecoder as config.decoder
+ * so both share one set of baselines.
+ */
+
+const { MessageType } = require('./NetworkProtocol');
+const { DeltaDecoder } = require('./DeltaCompression');
+const { createLogger } = require('./Logger');
+
+class SnapshotInterpolation {
+  /**
+   * @param {Object} config
+   * @param {TimeSync} config.timeSync - Client clock synchronized to the server
+   * @param {number} [config.renderDelay] - How far behind server time to render (ms)
+   * @param {number} [config.maxExtrapolation] - Longest time to extrapolate past the newest snapshot (ms)
+   * @param {number} [config.bufferSize] - Snapshots kept per entity
+   * @param {number} [config.staleTimeout] - Drop entities not seen for this long (ms)
+   * @param {Array<string>} [config.fields] - Fields to interpolate (default: every numeric field)
+   * @param {Array<string|number>} [config.excludeIds] - Entities NOT to interpolate (e.g. locally predicted)
+   * @param {DeltaDecoder} [config.decoder] - Rebuilds delta snapshots (default: a decoder of its own)
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    this.timeSync = config.timeSync;
+    this.logger = config.logger || createLogger({ name: 'SnapshotInterpolation' });
+    this.decoder = config.decoder || new DeltaDecoder({ logger: this.logger });
+
+    // Configuration
+    this.renderDelay = config.renderDelay || 100; // ms (~2 snapshots at 20 Hz)
+    this.maxExtrapolation = config.maxExtrapolation || 250; // ms
+    this.bufferSize = config.bufferSize || 32;
+    this.staleTimeout = config.staleTimeout || 2000; // ms
+    this.fields = config.fields || null;
+    this.excludeIds = new Set((config.excludeIds || []).map(String));
+
+    // Per-entity snapshot buffers, oldest first
+    // Format: id → [{ time, tick, state }]
+    this.buffers = new Map();
+
+    // Statistics
+    this.snapshotsReceived = 0;
+    this.snapshotsDropped = 0; // Arrived older than what we already had, or a delta without its baseline
+    this.extrapolatedFrames = 0;
+  }
+
+  /**
+   * Buffer a SERVER_SNAPSHOT packet, full or delta
+   * @param {Object} packet - Packet from NetworkProtocol
+   */
+  onPacket(packet) {
+    if (packet.type !== MessageType.SERVER_SNAPSHOT) return;
+
+    // Deltas only list changes: rebuild the full state against their baseline
+    const state = this.decoder.decode(packet.payload);
+    if (!state) {
+      this.snapshotsDropped++;
+      return;
+    }
+    this.addSnapshot({ ...packet.payload, state, isDelta: false });
+  }
+
+  /**
+   * Buffer the entity states of a full snapshot (deltas go through onPacket)
+   * @param {Object} snapshot - { tick, timestamp, state: { entities: [{ id, ...state }] } }
+   */
+  addSnapshot(snapshot) {
+    // Server timestamp when available, otherwise derive it from the tick
+    const time = snapshot.timestamp !== undefined
+      ? snapshot.timestamp
+      : this.timeSync.serverTickToTime(snapshot.tick);
+
+    this.snapshotsReceived++;
+
+    for (const { id, ...state } of snapshot.state.entities) {
+      const key = String(id);
+      if (this.excludeIds.has(key)) continue;
+
+      let buffer = this.buffers.get(key);
+      if (!buffer) {
+        buffer = [];
+        this.buffers.set(key, buffer);
+      }
+
+      // Unreliable transport: samples can arrive out of order or twice
+      const newest = buffer[buffer.length - 1];
+      if (newest && time <= newest.time) {
+        if (time < buffer[0].time || buffer.some((sample) => sample.time === time)) {
+          this.snapshotsDropped++;
+          continue;
+        }
+        const index = buffer.findIndex((sample) => sample.time > time);
+        buffer.splice(index, 0, { time, tick: snapshot.tick, state });
+      } else {
+        buffer.push({ time, tick: snapshot.tick, state });
+      }
+
+      if (buffer.length > this.bufferSize) {
+        buffer.shift();
+      }
+    }
+  }
+
+  /**
+   * Current render time on the server clock
+   * @returns {number} Server time (ms) remote entities should be shown at
+   */
+  getRenderTime() {
+    return this.timeSync.getServerTime() - this.renderDelay;
+  }
+
+  /**
+   * Get the state to render for one remote entity
+   * @param {string|number} id - Entity id
+   * @param {number} [renderTime] - Server time to sample (default: getRenderTime())
+   * @returns {Object|null} Interpolated/extrapolated state, or null if unknown
+   */
+  getEntityState(id, renderTime = this.getRenderTime()) {
+    const buffer = this.buffers.get(String(id));
+    if (!buffer || buffer.length === 0) {
+      return null;
+    }
+
+    const oldest = buffer[0];
+    const newest = buffer[buffer.length - 1];
+
+    // Render time is before anything we have: show the oldest sample
+    if (renderTime <= oldest.time) {
+      return { ...oldest.state };
+    }
+
+    // Normal case: render time falls between two buffered samples
+    if (renderTime <= newest.time) {
+      let i = buffer.length - 1;
+      while (buffer[i - 1].time > renderTime) i--;
+      const from = buffer[i - 1];
+      const to = buffer[i];
+      const t = (renderTime - from.time) / (to.time - from.time);
+      return this.blend(from.state, to.state, t);
+    }
+
+    // Buffer ran dry: extrapolate from the last two samples, bounded
+    if (buffer.length < 2) {
+      return { ...newest.state };
+    }
+
+    const previous = buffer[buffer.length - 2];
+    const ahead = Math.min(renderTime - newest.time, this.maxExtrapolation);
+    const t = 1 + ahead / (newest.time - previous.time);
+    this.extrapolatedFrames++;
+    return this.blend(previous.state, newest.state, t);
+  }
+
+  /**
+   * Get render states for every buffered remote entity
+   * @returns {Map<string, Object>} id → state
+   */
+  getRenderStates() {
+    const renderTime = this.getRenderTime();
+    const states = new Map();
+
+    for (const [id, buffer] of this.buffers.entries()) {
+      // Entity has not been in a snapshot for a long time: forget it
+      if (renderTime - buffer[buffer.length - 1].time > this.staleTimeout) {
+        this.buffers.delete(id);
+        continue;
+      }
+      states.set(id, this.getEntityState(id, renderTime));
+    }
+
+    return states;
+  }
+
+  /**
+   * Linear blend of two entity states (t > 1 extrapolates)
+   * @param {Object} from - Older state
+   * @param {Object} to - Newer state
+   * @param {number} t - Blend factor
+   * @returns {Object} Blended state
+   */
+  blend(from, to, t) {
+    const result = { ...to };
+    const fields = this.fields || Object.keys(to);
+
+    for (const field of fields) {
+      if (typeof from[field] === 'number' && typeof to[field] === 'number') {
+        result[field] = from[field] + (to[field] - from[field]) * t;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Stop interpolating an entity (e.g. it became locally predicted)
+   * @param {string|number} id - Entity id
+   */
+  exclude(id) {
+    this.excludeIds.add(String(id));
+    this.buffers.delete(String(id));
+  }
+
+  /**
+   * Get interpolation statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    return {
+      entities: this.buffers.size,
+      renderDelay: this.renderDelay,
+      snapshotsReceived: this.snapshotsReceived,
+      snapshotsDropped: this.snapshotsDropped,
+      extrapolatedFrames: this.extrapolatedFrames
+    };
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+function demonstrateInterpolation() {
+  console.log('=== Snapshot Interpolation Demo ===\n');
+
+  // A clock we can steer by hand (stands in for a synced TimeSync)
+  let serverNow = 0;
+  const timeSync = {
+    getServerTime: () => serverNow,
+    serverTickToTime: (tick) => tick * 50
+  };
+
+  const interpolation = new SnapshotInterpolation({
+    timeSync,
+    renderDelay: 100,
+    excludeIds: ['me']
+  });
+
+  // Server sends 20 Hz snapshots; a remote player walks right at 1 unit/ms
+  function receive(tick) {
+    interpolation.addSnapshot({
+      tick,
+      timestamp: tick * 50,
+      state: {
+        entities: [
+          { id: 'me', x: 0, y: 0 },
+          { id: 'enemy', x: tick * 50, y: 10 }
+        ]
+      }
+    });
+  }
+
+  [0, 1, 2, 3].forEach(receive);
+
+  for (serverNow = 150; serverNow <= 250; serverNow += 25) {
+    const enemy = interpolation.getEntityState('enemy');
+    console.log(`Server time ${serverNow}ms → render ${serverNow - 100}ms: enemy x=${enemy.x.toFixed(1)}`);
+  }
+
+  // Snapshots 4-9 are lost: extrapolate, then hold
+  console.log('\n--- Snapshots lost ---');
+  for (serverNow = 300; serverNow <= 600; serverNow += 100) {
+    const enemy = interpolation.getEntityState('enemy');
+    console.log(`Server time ${serverNow}ms: enemy x=${enemy.x.toFixed(1)} (extrapolated)`);
+  }
+
+  console.log('\nLocal player interpolated?', interpolation.getEntityState('me') !== null);
+  console.log('Stats:', interpolation.getStats());
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateInterpolation();
+}
+
+module.exports = SnapshotInterpolation;
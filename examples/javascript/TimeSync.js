@@ -2,21 +2,152 @@
  * Time Synchronization System for Nine Realities Netcode
  * 
  * Provides clock synchronization between client and server using:
- * - Network Time Protocol (NTP)-like algorithm
+ * - Network Time Protocol (NTP) four-timestamp exchange
  * - Smoothed RTT (Round-Trip Time) estimation
  * - Clock offset calculation with drift compensation
  * - Tick-based simulation timestep conversion
  * 
  * Critical for reconciliation: clients must map local inputs to exact server ticks.
+ *
+ * Each exchange carries four timestamps: t0 client send, t1 server receive,
+ * t2 server send, t3 client receive. The server stamps t1 when the request
+ * arrives and t2 when the reply leaves, so time the request waits on the
+ * server (e.g. until the next tick) is subtracted out:
+ *
+ *   delay  = (t3 - t0) - (t2 - t1)          network round trip
+ *   offset = ((t0 - t1) + (t3 - t2)) / 2    client clock - server clock
+ *
+ * The offset is exact when both legs take equally long; an asymmetry of
+ * the legs shifts it by half the difference.
+ *
+ * Drift: the two clocks tick at slightly different rates, so the offset
+ * creeps (by clockDrift ms per second, typically tens of ppm). Accepted
+ * samples of the last driftWindow syncs are fitted with a weighted linear
+ * regression - weight 1/RTT², as a sample's error grows with its RTT - whose
+ * slope is the drift. Once it is fitted, getServerTime() and
+ * localTimeToServerTick() read the offset off that line (through the
+ * samples' weighted mean, extended by slope × elapsed time) rather than
+ * from the smoothed clockOffset, which lags a drifting clock.
+ *
+ * Sample filtering (as NTP's clock filter): each response yields an
+ * (offset, RTT) sample, kept in a window of the last sampleWindow. A sample's
+ * offset error is at most half its RTT - a response that sat in a queue on
+ * one leg skews the offset by up to that much - so the offset is estimated
+ * from the lowest-RTT samples only. Before that, samples whose RTT or offset
+ * lies more than outlierThreshold robust deviations (median absolute
+ * deviation) from the window's median are rejected. The estimate then feeds
+ * the smoothed clockOffset, and getOffsetConfidence() reports how far off it
+ * may be.
+ *
+ * Time scale: a sync can move the estimated server tick by several ticks at
+ * once. Rather than jumping the client simulation by the same amount
+ * (skipping or repeating steps), the client loop runs its clock at
+ * getTimeScale() - slightly fast or slow, within 1 ± maxTimeScaleDelta -
+ * until it is back on target (see ClientLoop.js).
+ *
+ * All timestamps come from config.clock (see Clock.js): monotonic by
+ * default, so an OS clock adjustment mid-session does not show up as a
+ * sudden offset or RTT change; a VirtualClock makes syncs reproducible.
+ *
+ * Events:
+ * - 'syncUpdated' ({ rtt, processingTime, smoothedRtt, clockOffset, smoothedOffset, clockDrift, serverTick, accepted }):
+ *   a sync response was processed (rtt excludes the server's processingTime;
+ *   clockOffset is the offset getServerTime() now applies - off the drift
+ *   line once fitted - and smoothedOffset the smoothed estimate;
+ *   accepted: false if its sample was an outlier)
  */
 
-class TimeSync {
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+const { defaultClock } = require('./Clock');
+
+// Scales a median absolute deviation to a standard deviation (normal data)
+const MAD_TO_SIGMA = 1.4826;
+
+/**
+ * @param {Array<number>} values - Non-empty list
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Weighted least-squares line through the points
+ * @param {Array<Object>} points - { x, y, weight }, at least two distinct x
+ * @returns {Object} { slope, meanX, meanY } - the line passes through (meanX, meanY)
+ */
+function weightedFit(points) {
+  let totalWeight = 0;
+  let meanX = 0;
+  let meanY = 0;
+  for (const { x, y, weight } of points) {
+    totalWeight += weight;
+    meanX += weight * x;
+    meanY += weight * y;
+  }
+  meanX /= totalWeight;
+  meanY /= totalWeight;
+
+  let sxx = 0;
+  let sxy = 0;
+  for (const { x, y, weight } of points) {
+    sxx += weight * (x - meanX) * (x - meanX);
+    sxy += weight * (x - meanX) * (y - meanY);
+  }
+  return { slope: sxx > 0 ? sxy / sxx : 0, meanX, meanY };
+}
+
+/**
+ * Robust spread: median absolute deviation, scaled to a standard deviation
+ * @param {Array<number>} values - Non-empty list
+ * @param {number} center - Median of values
+ * @returns {number} Spread
+ */
+function robustDeviation(values, center) {
+  return MAD_TO_SIGMA * median(values.map((value) => Math.abs(value - center)));
+}
+
+class TimeSync extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {number} [config.tickRate] - Server ticks per second
+   * @param {number} [config.syncInterval] - How often to sync (ms)
+   * @param {number} [config.rttSamples] - Samples for RTT smoothing
+   * @param {number} [config.sampleWindow] - (offset, RTT) samples kept for filtering
+   * @param {number} [config.bestSamples] - Lowest-RTT samples averaged into the offset estimate
+   * @param {number} [config.outlierThreshold] - Robust deviations from the median before a sample is rejected
+   * @param {number} [config.minDeviation] - Floor for the robust deviation (ms), so steady links do not reject everything
+   * @param {number} [config.driftWindow] - Accepted samples kept for the drift regression
+   * @param {number} [config.minDriftSamples] - Samples needed before drift is estimated
+   * @param {number} [config.maxDrift] - Largest drift believed (ppm); bigger slopes are noise
+   * @param {number} [config.maxTimeScaleDelta] - Largest speed-up or slow-down of the client clock (0.03 = 0.97-1.03)
+   * @param {number} [config.timeScaleConvergence] - Time to work off a small tick error (ms); larger errors use the full delta
+   * @param {Object} [config.clock] - Time source with now() in ms (see Clock.js)
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
   constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'TimeSync' });
+    this.clock = config.clock || defaultClock;
+
     // Configuration
     this.tickRate = config.tickRate || 60; // Server ticks per second
     this.tickDuration = 1000 / this.tickRate; // ms per tick
     this.syncInterval = config.syncInterval || 1000; // How often to sync (ms)
     this.rttSamples = config.rttSamples || 10; // Samples for RTT smoothing
+    this.sampleWindow = config.sampleWindow || 8;
+    this.bestSamples = config.bestSamples || 3;
+    this.outlierThreshold = config.outlierThreshold || 3;
+    this.minDeviation = config.minDeviation || 2; // ms
+    this.driftWindow = config.driftWindow || 32;
+    this.minDriftSamples = config.minDriftSamples || 5;
+    this.maxDrift = config.maxDrift || 500; // ppm
+    this.maxTimeScaleDelta = config.maxTimeScaleDelta || 0.03;
+    this.timeScaleConvergence = config.timeScaleConvergence || 500; // ms
     
     // State
     this.serverTick = 0; // Last known server tick
@@ -24,15 +155,28 @@ class TimeSync {
     this.rttHistory = []; // Recent RTT measurements
     this.smoothedRtt = 0; // Exponentially weighted RTT
     this.clockDrift = 0; // ms/s clock drift rate
+
+    // Offset filtering
+    // Format: { offset, rtt, time }, oldest first
+    this.samples = [];
+    this.offsetEstimate = null; // From the best accepted samples (ms)
+    this.offsetMargin = null; // 95% confidence half-width of offsetEstimate (ms)
+    this.offsetMaxError = null; // Half the best sample's RTT: worst case for asymmetric paths (ms)
+
+    // Drift regression
+    // Format: { offset, rtt, time }, accepted samples only, oldest first
+    this.driftHistory = [];
+    this.driftFit = null; // { time, offset }: point the fitted line passes through, null until fitted
     
     // Timestamps
     this.lastSyncTime = 0;
-    this.lastDriftCheckTime = Date.now();
-    this.lastDriftOffset = 0;
+    this.serverTickTime = 0; // Server time serverTick was stamped at (t2, server clock)
     
     // Statistics
     this.syncCount = 0;
     this.jitter = 0; // RTT variance
+    this.samplesAccepted = 0;
+    this.samplesRejected = 0;
   }
 
   /**
@@ -49,18 +193,18 @@ class TimeSync {
   }
 
   /**
-   * Server: Process sync request and create response
+   * Server: Process sync request and create response (call right before sending it)
    * @param {Object} request - Client's sync request
    * @param {number} serverTick - Current server tick
+   * @param {number} [receiveTime] - Local time the request arrived (default: now, if handled on arrival)
    * @returns {Object} Sync response packet
    */
-  handleSyncRequest(request, serverTick) {
-    const serverTime = this.getLocalTime();
+  handleSyncRequest(request, serverTick, receiveTime = this.getLocalTime()) {
     return {
       type: 'time_sync_res',
       clientSendTime: request.clientSendTime,
-      serverReceiveTime: serverTime,
-      serverSendTime: serverTime, // Can add processing delay if needed
+      serverReceiveTime: receiveTime,
+      serverSendTime: this.getLocalTime(),
       serverTick: serverTick,
       sequenceId: request.sequenceId
     };
@@ -69,36 +213,118 @@ class TimeSync {
   /**
    * Client: Process sync response from server
    * @param {Object} response - Server's sync response
+   * @param {number} [clientReceiveTime] - Local time the response arrived (default: now)
    */
-  processSyncResponse(response) {
-    const clientReceiveTime = this.getLocalTime();
-    
-    // Calculate RTT: total round-trip time
-    const rtt = clientReceiveTime - response.clientSendTime;
-    
-    // Calculate one-way latency (assume symmetric)
-    const oneWayLatency = rtt / 2;
+  processSyncResponse(response, clientReceiveTime = this.getLocalTime()) {
+    const { clientSendTime, serverReceiveTime, serverSendTime } = response;
+
+    // Time the request was held by the server: not part of the round trip
+    const processingTime = serverSendTime - serverReceiveTime;
     
-    // Estimate server time when we received the response
-    const estimatedServerTime = response.serverSendTime + oneWayLatency;
+    // Calculate RTT: network round trip only
+    const rtt = clientReceiveTime - clientSendTime - processingTime;
     
-    // Calculate clock offset
-    const newOffset = clientReceiveTime - estimatedServerTime;
+    // Calculate clock offset from both legs (assume symmetric)
+    const newOffset = ((clientSendTime - serverReceiveTime) + (clientReceiveTime - serverSendTime)) / 2;
     
-    // Update RTT statistics
+    // Update RTT statistics (every sample: spikes are real latency)
     this.updateRttStats(rtt);
     
-    // Update clock offset with smoothing
-    this.updateClockOffset(newOffset);
+    // The offset is measured mid-exchange: time the sample there, or a
+    // drifting clock biases the fitted line by drift × half the RTT
+    const sample = { offset: newOffset, rtt, time: (clientSendTime + clientReceiveTime) / 2 };
+
+    // Filter, then smooth toward the filtered estimate
+    const accepted = this.addSample(sample);
+    this.updateClockOffset(this.offsetEstimate);
     
-    // Update server tick
+    // Update server tick (stamped when the response left the server)
     this.serverTick = response.serverTick;
+    this.serverTickTime = serverSendTime;
     this.lastSyncTime = clientReceiveTime;
     
-    // Update drift estimation periodically
-    this.updateClockDrift(newOffset);
+    // Refit the drift (outliers would tilt the line)
+    if (accepted) {
+      this.updateClockDrift(sample);
+    }
     
-    console.log(`🕐 Time sync: RTT=${rtt.toFixed(1)}ms, Offset=${this.clockOffset.toFixed(1)}ms, Drift=${this.clockDrift.toFixed(3)}ms/s`);
+    const event = {
+      rtt,
+      processingTime,
+      smoothedRtt: this.smoothedRtt,
+      clockOffset: this.getOffsetAt(clientReceiveTime),
+      smoothedOffset: this.clockOffset,
+      clockDrift: this.clockDrift,
+      serverTick: this.serverTick,
+      accepted
+    };
+    this.logger.debug('Time sync', event);
+    this.emit('syncUpdated', event);
+  }
+
+  /**
+   * Add a sample to the window and re-estimate the offset
+   * @param {Object} sample - { offset, rtt, time }
+   * @returns {boolean} False if the sample was rejected as an outlier
+   */
+  addSample(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.sampleWindow) {
+      this.samples.shift();
+    }
+
+    const candidates = this.filterSamples();
+    const accepted = candidates.includes(sample);
+    if (accepted) {
+      this.samplesAccepted++;
+    } else {
+      this.samplesRejected++;
+      this.logger.debug('Time sync sample rejected', { offset: sample.offset, rtt: sample.rtt });
+    }
+
+    this.estimateOffset(candidates);
+    return accepted;
+  }
+
+  /**
+   * Drop outliers: RTT far above the window's median, or offset far from it
+   * @returns {Array<Object>} Samples fit for offset estimation
+   */
+  filterSamples() {
+    // Too few samples to tell an outlier from a changed network
+    if (this.samples.length < 4) return this.samples.slice();
+
+    const rtts = this.samples.map((sample) => sample.rtt);
+    const offsets = this.samples.map((sample) => sample.offset);
+    const rttMedian = median(rtts);
+    const offsetMedian = median(offsets);
+    const rttLimit = this.outlierThreshold * Math.max(this.minDeviation, robustDeviation(rtts, rttMedian));
+    const offsetLimit = this.outlierThreshold * Math.max(this.minDeviation, robustDeviation(offsets, offsetMedian));
+
+    // Unusually LOW RTT is the best kind of sample, never an outlier
+    return this.samples.filter((sample) =>
+      sample.rtt - rttMedian <= rttLimit && Math.abs(sample.offset - offsetMedian) <= offsetLimit);
+  }
+
+  /**
+   * Offset estimate from the lowest-RTT candidates, with its uncertainty
+   * @param {Array<Object>} candidates - Samples that passed filtering
+   */
+  estimateOffset(candidates) {
+    const best = [...candidates].sort((a, b) => a.rtt - b.rtt).slice(0, this.bestSamples);
+    const offsets = best.map((sample) => sample.offset);
+    const mean = offsets.reduce((a, b) => a + b, 0) / offsets.length;
+
+    this.offsetEstimate = mean;
+    this.offsetMaxError = best[0].rtt / 2;
+
+    if (best.length < 2) {
+      // No spread to measure: fall back to the hard bound
+      this.offsetMargin = this.offsetMaxError;
+    } else {
+      const variance = offsets.reduce((sum, offset) => sum + (offset - mean) ** 2, 0) / (offsets.length - 1);
+      this.offsetMargin = 1.96 * Math.sqrt(variance / offsets.length);
+    }
   }
 
   /**
@@ -131,7 +357,7 @@ class TimeSync {
    * @param {number} newOffset - New offset measurement
    */
   updateClockOffset(newOffset) {
-    if (this.clockOffset === 0) {
+    if (this.samplesAccepted + this.samplesRejected === 1) {
       // First measurement: accept immediately
       this.clockOffset = newOffset;
     } else {
@@ -147,21 +373,37 @@ class TimeSync {
   }
 
   /**
-   * Update clock drift estimation
-   * @param {number} currentOffset - Current offset measurement
+   * Update clock drift estimation: weighted regression of offset over time
+   * @param {Object} sample - Accepted { offset, rtt, time }
    */
-  updateClockDrift(currentOffset) {
-    const now = Date.now();
-    const elapsed = (now - this.lastDriftCheckTime) / 1000; // seconds
-    
-    // Only update drift estimate after sufficient time has passed
-    if (elapsed > 10) {
-      const offsetDelta = currentOffset - this.lastDriftOffset;
-      this.clockDrift = offsetDelta / elapsed; // ms per second
-      
-      this.lastDriftCheckTime = now;
-      this.lastDriftOffset = currentOffset;
+  updateClockDrift(sample) {
+    this.driftHistory.push(sample);
+    if (this.driftHistory.length > this.driftWindow) {
+      this.driftHistory.shift();
     }
+    if (this.driftHistory.length < this.minDriftSamples) return;
+
+    const start = this.driftHistory[0].time;
+    const { slope, meanX, meanY } = weightedFit(this.driftHistory.map(({ offset, rtt, time }) => ({
+      x: (time - start) / 1000, // seconds
+      y: offset,
+      weight: 1 / Math.max(1, rtt) ** 2
+    })));
+
+    const limit = this.maxDrift / 1000; // ppm → ms per second
+    this.clockDrift = Math.max(-limit, Math.min(limit, slope)); // ms per second
+    this.driftFit = { time: start + meanX * 1000, offset: meanY };
+  }
+
+  /**
+   * Clock offset at a local time: on the fitted drift line once there is
+   * one, the smoothed clockOffset before that
+   * @param {number} localTime - Local timestamp
+   * @returns {number} Client clock - server clock at that time (ms)
+   */
+  getOffsetAt(localTime) {
+    if (!this.driftFit) return this.clockOffset;
+    return this.driftFit.offset + this.clockDrift * ((localTime - this.driftFit.time) / 1000);
   }
 
   /**
@@ -169,7 +411,7 @@ class TimeSync {
    * @returns {number} Timestamp in milliseconds
    */
   getLocalTime() {
-    return Date.now();
+    return this.clock.now();
   }
 
   /**
@@ -178,11 +420,7 @@ class TimeSync {
    */
   getServerTime() {
     const localTime = this.getLocalTime();
-    const timeSinceSync = localTime - this.lastSyncTime;
-    
-    // Apply clock offset and drift correction
-    const driftCorrection = this.clockDrift * (timeSinceSync / 1000);
-    return localTime - this.clockOffset - driftCorrection;
+    return localTime - this.getOffsetAt(localTime);
   }
 
   /**
@@ -190,10 +428,29 @@ class TimeSync {
    * @returns {number} Server tick
    */
   getServerTick() {
-    const serverTime = this.getServerTime();
-    const timeSinceSync = serverTime - (this.lastSyncTime - this.clockOffset);
-    const ticksSinceSync = Math.floor(timeSinceSync / this.tickDuration);
-    return this.serverTick + ticksSinceSync;
+    return Math.floor(this.getExactServerTick());
+  }
+
+  /**
+   * Get estimated current server tick, including the elapsed part of it
+   * @returns {number} Fractional server tick
+   */
+  getExactServerTick() {
+    // Both on the server clock: the response's flight time counts as elapsed
+    const timeSinceSync = this.getServerTime() - this.serverTickTime;
+    return this.serverTick + timeSinceSync / this.tickDuration;
+  }
+
+  /**
+   * Rate to run the client clock at to converge on the target tick: above 1
+   * to catch up, below 1 to fall back. Proportional to the error, so the
+   * client settles on the target instead of overshooting it.
+   * @param {number} tickError - Target tick minus the client's tick (fractional)
+   * @returns {number} Time scale factor within 1 ± maxTimeScaleDelta
+   */
+  getTimeScale(tickError) {
+    const correction = (tickError * this.tickDuration) / this.timeScaleConvergence;
+    return 1 + Math.max(-this.maxTimeScaleDelta, Math.min(this.maxTimeScaleDelta, correction));
   }
 
   /**
@@ -202,7 +459,7 @@ class TimeSync {
    * @returns {number} Corresponding server tick
    */
   localTimeToServerTick(localTimestamp) {
-    const serverTime = localTimestamp - this.clockOffset;
+    const serverTime = localTimestamp - this.getOffsetAt(localTimestamp);
     return Math.floor(serverTime / this.tickDuration);
   }
 
@@ -216,15 +473,39 @@ class TimeSync {
   }
 
   /**
-   * Get synchronization quality metrics
+   * 95% confidence interval for the offset estimate.
+   * The statistical margin only covers measurement noise; a consistently
+   * asymmetric path can shift the offset by up to maxError.
+   * @returns {Object|null} { offset, lower, upper, margin, maxError }, null before any sample
+   */
+  getOffsetConfidence() {
+    if (this.offsetEstimate === null) return null;
+
+    return {
+      offset: this.offsetEstimate,
+      lower: this.offsetEstimate - this.offsetMargin,
+      upper: this.offsetEstimate + this.offsetMargin,
+      margin: this.offsetMargin,
+      maxError: this.offsetMaxError
+    };
+  }
+
+  /**
+   * Get synchronization quality metrics. clockOffset is the offset
+   * getServerTime() applies right now.
    * @returns {Object} Sync quality stats
    */
   getSyncQuality() {
     return {
       smoothedRtt: this.smoothedRtt,
       jitter: this.jitter,
-      clockOffset: this.clockOffset,
+      clockOffset: this.getOffsetAt(this.clock.now()),
+      smoothedOffset: this.clockOffset,
       clockDrift: this.clockDrift,
+      driftPpm: this.clockDrift * 1000,
+      offsetConfidence: this.getOffsetConfidence(),
+      samplesAccepted: this.samplesAccepted,
+      samplesRejected: this.samplesRejected,
       quality: this.calculateQuality()
     };
   }
@@ -270,61 +551,99 @@ class TimeSync {
 function demonstrateTimeSync() {
   console.log('=== Time Synchronization Demo ===\n');
   
-  // Create client and server instances
+  // Create client and server instances; the server's clock is 250ms behind
   const clientSync = new TimeSync({ tickRate: 60 });
-  const serverSync = new TimeSync({ tickRate: 60 });
+  const serverSync = new TimeSync({ tickRate: 60, clock: { now: () => defaultClock.now() - 250 } });
+
+  clientSync.on('syncUpdated', ({ rtt, processingTime, clockOffset, accepted }) => {
+    const status = accepted ? '' : ' ✗ outlier, ignored';
+    console.log(`🕐 Time sync: RTT=${rtt.toFixed(1)}ms (server held it ${processingTime.toFixed(1)}ms), ` +
+      `Offset=${clockOffset.toFixed(1)}ms${status}`);
+  });
   
-  // Simulate network with variable latency
-  function simulateNetwork(packet, callback, latencyMs = 50) {
-    setTimeout(() => callback(packet), latencyMs + Math.random() * 20);
-  }
+  // 50-70ms each way, seeded (see LinkConditioner.js)
+  const { LinkConditioner } = require('./LinkConditioner');
+  const toServer = new LinkConditioner({ seed: 1, latency: 60, jitter: 10 });
+  const toClient = new LinkConditioner({ seed: 2, latency: 60, jitter: 10 });
   
   let serverTickCounter = 0;
   
-  // Perform sync cycle
-  function performSync() {
-    console.log(`\n--- Sync #${clientSync.syncCount + 1} ---`);
-    
+  // Perform sync cycle (serverHold: time the request waits for the server's
+  // next tick; queueDelay: extra time the response sits in a router queue)
+  function performSync(serverHold, queueDelay = 0) {
     // Client: Create sync request
     const request = clientSync.createSyncRequest();
-    console.log('Client → Server: Sync request sent');
     
     // Simulate network delay to server
-    simulateNetwork(request, (req) => {
-      // Server: Handle request and create response
-      serverTickCounter += 3; // Simulate server advancing
-      const response = serverSync.handleSyncRequest(req, serverTickCounter);
-      console.log(`Server: Processing sync (tick ${serverTickCounter})`);
-      
-      // Simulate network delay back to client
-      simulateNetwork(response, (res) => {
-        // Client: Process response
-        clientSync.processSyncResponse(res);
-        
-        // Show results
-        const quality = clientSync.getSyncQuality();
-        console.log(`Client estimated server tick: ${clientSync.getServerTick()}`);
-        console.log(`Sync quality: ${(quality.quality * 100).toFixed(0)}%`);
-      }, 50);
-    }, 50);
+    toServer.send(request, (req) => {
+      // Server: stamp arrival now, answer when the request is processed
+      const receiveTime = serverSync.getLocalTime();
+      setTimeout(() => {
+        serverTickCounter += 3; // Simulate server advancing
+        const response = serverSync.handleSyncRequest(req, serverTickCounter, receiveTime);
+
+        // Simulate network delay back to client
+        setTimeout(() => toClient.send(response, (res) => clientSync.processSyncResponse(res)), queueDelay);
+      }, serverHold);
+    });
   }
   
-  // Perform multiple syncs
-  performSync();
-  setTimeout(() => performSync(), 500);
-  setTimeout(() => performSync(), 1000);
-  setTimeout(() => performSync(), 1500);
+  // Eight syncs, each held 0-30ms by the server (subtracted out by the four
+  // timestamps); the sixth response is delayed 150ms on the way back, which
+  // would skew a naive offset by 75ms
+  for (let i = 0; i < 8; i++) {
+    setTimeout(() => performSync((i * 13) % 31, i === 5 ? 150 : 0), i * 250);
+  }
   
   // Show final stats
   setTimeout(() => {
     console.log('\n=== Final Statistics ===');
     const quality = clientSync.getSyncQuality();
+    const { offset, lower, upper, maxError } = quality.offsetConfidence;
     console.log(`Smoothed RTT: ${quality.smoothedRtt.toFixed(1)}ms`);
     console.log(`Jitter: ${quality.jitter.toFixed(1)}ms`);
-    console.log(`Clock offset: ${quality.clockOffset.toFixed(1)}ms`);
+    console.log(`Clock offset: ${quality.clockOffset.toFixed(1)}ms (true offset 250ms)`);
+    console.log(`Offset estimate: ${offset.toFixed(1)}ms, 95% CI [${lower.toFixed(1)}, ${upper.toFixed(1)}], worst case ±${maxError.toFixed(1)}ms`);
+    console.log(`Samples: ${quality.samplesAccepted} accepted, ${quality.samplesRejected} rejected`);
     console.log(`Sync quality: ${(quality.quality * 100).toFixed(0)}%`);
     console.log(`Is reliable: ${clientSync.isSyncReliable()}`);
-  }, 2000);
+
+    simulateDrift();
+  }, 2400);
+
+  // A minute of syncs in virtual time; the server's clock runs 200ppm slow
+  function simulateDrift() {
+    const { VirtualClock } = require('./Clock');
+    const { createRandom } = require('./LinkConditioner');
+    const { silentLogger } = require('./Logger');
+
+    console.log('\n=== Clock Drift (virtual time) ===');
+    const clock = new VirtualClock();
+    const serverClock = { now: () => clock.now() * (1 - 200e-6) - 250 };
+    const client = new TimeSync({ tickRate: 60, clock, logger: silentLogger });
+    const server = new TimeSync({ tickRate: 60, clock: serverClock, logger: silentLogger });
+    const random = createRandom(3);
+
+    for (let i = 1; i <= 60; i++) {
+      const start = clock.now();
+      const request = client.createSyncRequest();
+      clock.advance(40 + random() * 6);
+      const response = server.handleSyncRequest(request, 0);
+      clock.advance(40 + random() * 6);
+      client.processSyncResponse(response);
+      if (i % 15 === 0) {
+        console.log(`After ${i} syncs: drift ${client.getSyncQuality().driftPpm.toFixed(0)}ppm (true 200ppm)`);
+      }
+      clock.set(start + 1000);
+    }
+
+    // Extrapolate across a 30s gap in syncs
+    clock.advance(30000);
+    const error = client.getServerTime() - serverClock.now();
+    const withoutDrift = clock.now() - client.clockOffset - serverClock.now();
+    console.log(`30s after the last sync: server time off by ${error.toFixed(1)}ms ` +
+      `(${withoutDrift.toFixed(1)}ms ignoring drift)`);
+  }
 }
 
 // Run demo if executed directly
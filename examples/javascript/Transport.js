@@ -0,0 +1,369 @@
+/**
+ * Transport Adapters
+ *
+ * NetworkProtocol and Connection only produce and consume datagrams; a
+ * transport moves them. Every adapter has the same shape, so client and
+ * server code runs unchanged over real UDP, WebSockets or in memory:
+ *
+ *   transport.send(data: Buffer, address)
+ *   transport.close()
+ *   transport.on('message', (data: Buffer, address) => ...)
+ *   transport.on('disconnect', (address) => ...)   // connection-based transports only
+ *   transport.on('error', (error) => ...)          // optional: errors are logged either way
+ *   transport.on('close', () => ...)
+ *
+ * Addresses are opaque to everything above the transport; addressKey()
+ * turns one into a string for use as a Map key.
+ *
+ * ConnectionServer.js puts Connections on top of any adapter.
+ *
+ * Adapters:
+ * - UdpTransport: Node dgram socket (native games, dedicated servers)
+ * - WebSocketTransport: one browser/Node WebSocket to the server (client side)
+ * - WebSocketServerTransport: a WebSocket server's sockets as addresses (server side)
+ * - LoopbackNetwork / LoopbackTransport: in-memory, for tests and demos
+ *
+ * WebSocket objects are injected (browser WebSocket, or the `ws` package in
+ * Node), so nothing here depends on a WebSocket library. Note WebSockets run
+ * over TCP: packets arrive reliably and in order, so loss-hiding techniques
+ * still work but head-of-line blocking can add latency.
+ */
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { createLogger } = require('./Logger');
+
+/**
+ * Stable string key for a transport address
+ * @param {*} address - { address, port }, string or number
+ * @returns {string} Key
+ */
+function addressKey(address) {
+  if (address && typeof address === 'object') {
+    return `${address.address}:${address.port}`;
+  }
+  return String(address);
+}
+
+/**
+ * Normalize WebSocket message data to a Buffer
+ * @param {*} data - ArrayBuffer, typed array or Buffer
+ * @returns {Buffer|null} Bytes, or null for a text (or other non-binary) frame
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (data instanceof ArrayBuffer) return Buffer.from(data);
+  if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
+/**
+ * UDP datagrams over a Node dgram socket
+ */
+class UdpTransport extends EventEmitter {
+  /**
+   * @param {Object} config
+   * @param {string} [config.type] - 'udp4' (default) or 'udp6'
+   * @param {Object} [config.socket] - Existing dgram socket to use instead
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger || createLogger({ name: 'UdpTransport' });
+    this.socket = config.socket || dgram.createSocket(config.type || 'udp4');
+
+    this.socket.on('message', (data, rinfo) => {
+      this.emit('message', data, { address: rinfo.address, port: rinfo.port });
+    });
+    this.socket.on('error', (error) => {
+      this.logger.error('Socket error', { error: error.message });
+      // Already logged; with nobody listening, emitting would crash the process
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    this.socket.on('close', () => this.emit('close'));
+  }
+
+  /**
+   * Bind to a local port (servers: a known port; clients: 0 for any)
+   * @param {number} [port] - Local port
+   * @param {string} [host] - Local interface
+   * @returns {Promise<Object>} Bound { address, port }
+   */
+  bind(port = 0, host = undefined) {
+    return new Promise((resolve, reject) => {
+      this.socket.once('error', reject);
+      this.socket.bind(port, host, () => {
+        this.socket.removeListener('error', reject);
+        const { address, port: boundPort } = this.socket.address();
+        resolve({ address, port: boundPort });
+      });
+    });
+  }
+
+  /**
+   * @param {Buffer} data - Datagram
+   * @param {Object} address - { address, port }
+   */
+  send(data, address) {
+    this.socket.send(data, address.port, address.address, (error) => {
+      if (error) {
+        this.logger.warn('Send failed', { to: addressKey(address), error: error.message });
+      }
+    });
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Client side of a WebSocket: a single peer, the server
+ */
+class WebSocketTransport extends EventEmitter {
+  /**
+   * @param {Object} socket - Browser WebSocket or `ws` WebSocket
+   * @param {Object} [config]
+   * @param {*} [config.remoteAddress] - Address reported for the server (default 'server')
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(socket, config = {}) {
+    super();
+
+    this.socket = socket;
+    this.remoteAddress = config.remoteAddress || 'server';
+    this.logger = config.logger || createLogger({ name: 'WebSocketTransport' });
+    this.socket.binaryType = 'arraybuffer';
+
+    this.socket.addEventListener('message', (event) => {
+      const data = toBuffer(event.data);
+      if (!data) {
+        // Only binary frames carry datagrams; anything else is the peer's bug, not ours
+        this.logger.warn('Non-binary WebSocket frame dropped', { from: addressKey(this.remoteAddress), type: typeof event.data });
+        return;
+      }
+      this.emit('message', data, this.remoteAddress);
+    });
+    this.socket.addEventListener('error', (event) => {
+      const error = event.error || new Error('WebSocket error');
+      this.logger.error('Socket error', { from: addressKey(this.remoteAddress), error: error.message });
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    this.socket.addEventListener('close', () => {
+      this.emit('disconnect', this.remoteAddress);
+      this.emit('close');
+    });
+  }
+
+  /**
+   * @param {Buffer} data - Datagram
+   */
+  send(data) {
+    // 1 = OPEN; frames sent while connecting or closing are dropped like lost datagrams
+    if (this.socket.readyState === 1) {
+      this.socket.send(data);
+    }
+  }
+
+  close() {
+    this.socket.close();
+  }
+}
+
+/**
+ * Server side of WebSockets: each accepted socket becomes an address
+ */
+class WebSocketServerTransport extends EventEmitter {
+  /**
+   * @param {Object} server - WebSocket server emitting 'connection' (socket), e.g. `new ws.WebSocketServer()`
+   * @param {Object} [config]
+   * @param {Object} [config.logger] - Logger with debug/info/warn/error (see Logger.js)
+   */
+  constructor(server, config = {}) {
+    super();
+
+    this.server = server;
+    this.logger = config.logger || createLogger({ name: 'WebSocketServerTransport' });
+    this.sockets = new Map(); // address → socket
+    this.nextAddress = 1;
+
+    this.server.on('connection', (socket) => this.accept(socket));
+  }
+
+  /**
+   * Register a newly connected socket
+   * @param {Object} socket - `ws` WebSocket
+   * @returns {number} Address assigned to it
+   */
+  accept(socket) {
+    const address = this.nextAddress++;
+    this.sockets.set(address, socket);
+    const client = new WebSocketTransport(socket, { remoteAddress: address, logger: this.logger });
+
+    client.on('message', (data) => this.emit('message', data, address));
+    client.on('error', (error) => {
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+    });
+    client.on('disconnect', () => {
+      this.sockets.delete(address);
+      this.emit('disconnect', address);
+    });
+    socket.transport = client;
+    return address;
+  }
+
+  /**
+   * @param {Buffer} data - Datagram
+   * @param {number} address - Socket address from 'message'
+   */
+  send(data, address) {
+    const socket = this.sockets.get(address);
+    if (socket) {
+      socket.transport.send(data);
+    }
+  }
+
+  close() {
+    for (const socket of this.sockets.values()) {
+      socket.close();
+    }
+    this.server.close();
+    this.emit('close');
+  }
+}
+
+/**
+ * In-memory network connecting LoopbackTransports by address.
+ * Delivery is asynchronous (next turn of the event loop), like a real
+ * network, and can be intercepted with a conditioner.
+ */
+class LoopbackNetwork {
+  /**
+   * @param {Object} [config]
+   * @param {Function} [config.conditioner] - (data, deliver) → void; call deliver(data) zero or more times, whenever
+   */
+  constructor(config = {}) {
+    this.transports = new Map(); // key → LoopbackTransport
+    this.conditioner = config.conditioner || null;
+  }
+
+  /**
+   * Create a transport reachable at an address
+   * @param {*} address - Any address (string, number, { address, port })
+   * @returns {LoopbackTransport} Transport
+   */
+  bind(address) {
+    const key = addressKey(address);
+    if (this.transports.has(key)) {
+      throw new Error(`Loopback address in use: ${key}`);
+    }
+    const transport = new LoopbackTransport(this, address);
+    this.transports.set(key, transport);
+    return transport;
+  }
+
+  /**
+   * Carry a datagram between transports
+   * @param {Buffer} data - Datagram
+   * @param {*} from - Sender address
+   * @param {*} to - Destination address
+   */
+  route(data, from, to) {
+    // Copy: the sender may reuse its buffer
+    const copy = Buffer.from(data);
+    const deliver = (payload) => {
+      const target = this.transports.get(addressKey(to));
+      if (target) target.emit('message', payload, from);
+    };
+
+    if (this.conditioner) {
+      this.conditioner(copy, deliver);
+    } else {
+      setImmediate(deliver, copy);
+    }
+  }
+}
+
+/**
+ * One endpoint on a LoopbackNetwork
+ */
+class LoopbackTransport extends EventEmitter {
+  /**
+   * @param {LoopbackNetwork} network - Network this endpoint is attached to
+   * @param {*} address - This endpoint's address
+   */
+  constructor(network, address) {
+    super();
+    this.network = network;
+    this.address = address;
+  }
+
+  /**
+   * @param {Buffer} data - Datagram
+   * @param {*} address - Destination address
+   */
+  send(data, address) {
+    this.network.route(data, this.address, address);
+  }
+
+  close() {
+    this.network.transports.delete(addressKey(this.address));
+    this.emit('close');
+  }
+}
+
+// ============================================
+// USAGE EXAMPLE
+// ============================================
+
+async function demonstrateTransports() {
+  console.log('=== Transport Adapters Demo ===');
+
+  // Same ping/pong over any adapter
+  async function pingPong(label, server, serverAddress, client) {
+    server.on('message', (data, address) => server.send(Buffer.from(`pong ${data.toString().slice(5)}`), address));
+
+    const replies = [];
+    client.on('message', (data) => replies.push(data.toString()));
+    for (let i = 1; i <= 3; i++) {
+      client.send(Buffer.from(`ping ${i}`), serverAddress);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    console.log(`${label}: ${replies.join(', ')}`);
+    server.close();
+    client.close();
+  }
+
+  const network = new LoopbackNetwork();
+  await pingPong('Loopback', network.bind('server'), 'server', network.bind('client'));
+
+  // A conditioner sees every datagram (see LinkConditioner.js)
+  const { LinkConditioner } = require('./LinkConditioner');
+  const lossy = new LoopbackNetwork({ conditioner: new LinkConditioner({ seed: 6, latency: 10, loss: 0.5 }).asConditioner() });
+  await pingPong('Loopback, 50% loss', lossy.bind('server'), 'server', lossy.bind('client'));
+
+  const udpServer = new UdpTransport();
+  const udpClient = new UdpTransport();
+  const bound = await udpServer.bind(0, '127.0.0.1');
+  await udpClient.bind(0, '127.0.0.1');
+  await pingPong(`UDP ${addressKey(bound)}`, udpServer, bound, udpClient);
+
+  console.log('\nWebSocket: new WebSocketTransport(new WebSocket(url)) on the client,');
+  console.log('new WebSocketServerTransport(new ws.WebSocketServer({ port })) on the server.');
+}
+
+// Run demo if executed directly
+if (require.main === module) {
+  demonstrateTransports();
+}
+
+module.exports = {
+  UdpTransport,
+  WebSocketTransport,
+  WebSocketServerTransport,
+  LoopbackNetwork,
+  LoopbackTransport,
+  addressKey
+};
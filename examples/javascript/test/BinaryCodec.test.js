@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BitWriter, BitReader, Types, encodeValue, decodeValue } = require('../BinaryCodec');
+const { NetworkProtocol } = require('../NetworkProtocol');
+const { silentLogger } = require('../Logger');
+
+function roundTrip(schema, value) {
+  const writer = new BitWriter();
+  encodeValue(writer, schema, value);
+  return decodeValue(new BitReader(writer.finish()), schema);
+}
+
+// A bare length prefix with nothing behind it
+function lengthPrefix(length) {
+  const writer = new BitWriter();
+  writer.writeVarUint(length);
+  return new BitReader(writer.finish());
+}
+
+test('every schema type round-trips', () => {
+  const schema = Types.object({
+    flag: Types.bool,
+    count: Types.uint,
+    delta: Types.int,
+    ratio: Types.float64,
+    name: Types.string,
+    key: Types.bytes,
+    small: Types.bits(5),
+    x: Types.quantized(-1000, 1000, 0.01),
+    team: Types.enumOf(['red', 'blue']),
+    extra: Types.partial({ hp: Types.uint, mp: Types.uint }),
+    list: Types.array(Types.int),
+    maybe: Types.optional(Types.string)
+  });
+  const value = {
+    flag: true,
+    count: 300,
+    delta: -42,
+    ratio: 0.1,
+    name: 'héllo',
+    key: Buffer.from([1, 2, 255]),
+    small: 31,
+    x: -12.34,
+    team: 'blue',
+    extra: { mp: 7 },
+    list: [0, -1, 1000000]
+  };
+
+  assert.deepStrictEqual(roundTrip(schema, value), value);
+});
+
+test('quantized floats clamp to their range and land on the grid', () => {
+  const schema = Types.quantized(0, 10, 0.5);
+
+  assert.strictEqual(roundTrip(schema, 3.3), 3.5);
+  assert.strictEqual(roundTrip(schema, -4), 0);
+  assert.strictEqual(roundTrip(schema, 99), 10);
+});
+
+test('a length prefix longer than the packet throws before allocating', () => {
+  for (const schema of [Types.bytes, Types.string, Types.array(Types.uint), Types.array(Types.object({}))]) {
+    assert.throws(() => decodeValue(lengthPrefix(300_000_000), schema), RangeError);
+  }
+
+  // Items of a known minimum size count against the rest of the packet too
+  const writer = new BitWriter();
+  writer.writeVarUint(3);
+  writer.writeFloat64(1);
+  writer.writeFloat64(2);
+  assert.throws(() => decodeValue(new BitReader(writer.finish()), Types.array(Types.float64)), RangeError);
+});
+
+test('a forged CLIENT_HELLO key length is rejected without allocating it', () => {
+  const proto = new NetworkProtocol({ logger: silentLogger });
+
+  // Claims a 300 MB key but carries none of it
+  const forgedKey = { length: 300_000_000, *[Symbol.iterator]() {} };
+  const bytes = proto.serialize(proto.createClientHello('p', 'P', { publicKey: forgedKey }));
+  assert.ok(bytes.length < 40);
+
+  const before = process.memoryUsage().arrayBuffers;
+  assert.throws(() => proto.deserialize(bytes), RangeError);
+  assert.ok(process.memoryUsage().arrayBuffers - before < 1_000_000);
+});
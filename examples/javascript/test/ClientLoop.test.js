@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClientLoop = require('../ClientLoop');
+const ClientPrediction = require('../ClientPrediction');
+const TimeSync = require('../TimeSync');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+// 100Hz server, 40ms RTT with 5ms jitter; the server tick can be shifted to fake a resync
+function setup(config = {}) {
+  const clock = new VirtualClock(0);
+  let tickShift = 0;
+  const scales = [];
+  const timeSync = {
+    clock,
+    tickDuration: 10,
+    smoothedRtt: 40,
+    jitter: 5,
+    getExactServerTick: () => clock.now() / 10 + tickShift,
+    getTimeScale: (tickError) => {
+      scales.push(tickError);
+      return tickError > 0 ? 1.05 : tickError < 0 ? 0.95 : 1;
+    }
+  };
+  const prediction = new ClientPrediction({ clock, logger: silentLogger });
+  const loop = new ClientLoop({
+    prediction,
+    timeSync,
+    sampleInput: () => ({ moveX: 1, moveY: 0 }),
+    logger: silentLogger,
+    ...config
+  });
+  return { clock, loop, prediction, scales, shiftServerTick: (ticks) => { tickShift += ticks; } };
+}
+
+test('the client runs ahead of the server by RTT/2 plus a jitter margin', () => {
+  const { clock, loop, prediction } = setup();
+  clock.set(1000);
+
+  assert.strictEqual(loop.update(), 0);
+  // (20ms one way + 2 × 5ms jitter + 5ms safety) / 10ms → 4 ticks
+  assert.strictEqual(loop.inputLead, 4);
+  assert.strictEqual(prediction.clientTick, 104);
+
+  clock.advance(75);
+  assert.strictEqual(loop.update(), 7);
+  assert.strictEqual(prediction.clientTick, 111);
+  assert.strictEqual(prediction.nextInputSequence, 8);
+  assert.strictEqual(loop.getAlpha(), 0.5);
+});
+
+test('a small offset correction is absorbed by the time scale, not a jump', () => {
+  const { clock, loop, prediction, scales, shiftServerTick } = setup();
+  const resyncs = [];
+  loop.on('resync', (event) => resyncs.push(event));
+  loop.update();
+
+  shiftServerTick(3);
+  clock.advance(10);
+  loop.update();
+
+  assert.deepStrictEqual(resyncs, []);
+  assert.strictEqual(scales.at(-1), 3);
+  assert.strictEqual(loop.timeScale, 1.05);
+  assert.strictEqual(prediction.clientTick, 5);
+});
+
+test('an error beyond resyncThreshold jumps straight to the target', () => {
+  const { clock, loop, prediction, shiftServerTick } = setup({ resyncThreshold: 5 });
+  const resyncs = [];
+  loop.on('resync', (event) => resyncs.push(event));
+  loop.update();
+
+  shiftServerTick(20);
+  clock.advance(10);
+  loop.update();
+
+  assert.deepStrictEqual(resyncs, [{ from: 4, to: 25 }]);
+  assert.strictEqual(prediction.clientTick, 25);
+  assert.strictEqual(loop.getStats().resyncs, 1);
+});
+
+test('a long stall simulates at most maxStepsPerUpdate ticks but stays on target', () => {
+  const { clock, loop, prediction } = setup({ maxStepsPerUpdate: 8 });
+  loop.update();
+
+  clock.advance(1000);
+  assert.strictEqual(loop.update(), 8);
+  assert.strictEqual(prediction.clientTick, 104);
+  assert.strictEqual(loop.getStats().ticksSimulated, 8);
+});
+
+test('a sync moving the server tick is absorbed by the TimeSync time scale', () => {
+  // Real TimeSync, 60Hz, client clock 250ms ahead, 40ms each way
+  const clock = new VirtualClock(10000);
+  const serverClock = { now: () => clock.now() - 250 };
+  const timeSync = new TimeSync({ tickRate: 60, clock, logger: silentLogger });
+  const server = new TimeSync({ tickRate: 60, clock: serverClock, logger: silentLogger });
+
+  // One exchange; `wait` lets time pass while the packets are in flight
+  const sync = (tickShift, wait = (ms) => clock.advance(ms)) => {
+    const request = timeSync.createSyncRequest();
+    wait(40);
+    const response = server.handleSyncRequest(request, serverClock.now() / timeSync.tickDuration + tickShift);
+    wait(40);
+    timeSync.processSyncResponse(response);
+  };
+  sync(0);
+
+  const prediction = new ClientPrediction({ clock, logger: silentLogger });
+  const loop = new ClientLoop({ prediction, timeSync, sampleInput: () => ({ moveX: 1, moveY: 0 }), logger: silentLogger });
+  const resyncs = [];
+  loop.on('resync', (event) => resyncs.push(event));
+  // 8ms render frames
+  const scales = [];
+  const steps = [];
+  const frames = (ms) => {
+    for (let t = 0; t < ms; t += 8) {
+      clock.advance(8);
+      steps.push(loop.update());
+      scales.push(loop.timeScale);
+    }
+  };
+  frames(1000);
+  assert.ok(Math.abs(loop.getTickError()) < 0.01);
+
+  // The server turns out to be 3 ticks further along
+  sync(3, frames);
+  const shift = scales.length;
+  frames(4000);
+  const after = scales.slice(shift);
+
+  assert.deepStrictEqual(resyncs, []);
+  assert.ok(steps.every((count) => count <= 1), 'no burst of catch-up ticks');
+  assert.strictEqual(Math.max(...after), 1.03);
+  assert.ok(Math.min(...after) > 0.9999, 'catching up, never overshooting');
+  assert.ok(Math.abs(loop.getTickError()) < 0.1);
+});
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { execFileSync } = require('node:child_process');
+const ClientPrediction = require('../ClientPrediction');
+const { FixedPoint } = require('../FixedPoint');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+// Deterministic client after one input, and the server's state shifted along x
+function correctedBy(shift) {
+  const client = new ClientPrediction({ deterministic: true, clock: new VirtualClock(), logger: silentLogger });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  const input = { moveX: 1, moveY: 0 };
+  client.applyInput(input);
+  const state = ClientPrediction.createState(ClientPrediction.PointMassSchema);
+  ClientPrediction.fixedPointMassStep(state, input, client.dt);
+  state.x = FixedPoint.add(state.x, FixedPoint.fromFloat(shift));
+
+  // No checksum: the divergence is compared against the thresholds
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state });
+  return { client, mispredictions };
+}
+
+test('deterministic thresholds are in state units, not raw Q16.16', () => {
+  const client = new ClientPrediction({ deterministic: true, reconciliationThreshold: 0.5, snapDistance: 8, logger: silentLogger });
+  assert.strictEqual(client.reconciliationThreshold, FixedPoint.fromFloat(0.5));
+  assert.strictEqual(client.snapDistance, FixedPoint.fromFloat(8));
+});
+
+test('a small deterministic correction is smoothed, not a misprediction', () => {
+  const { client, mispredictions } = correctedBy(0.05);
+
+  assert.strictEqual(mispredictions.length, 0);
+  assert.ok(client.visualOffset);
+  assert.strictEqual(client.visualOffset.x, -FixedPoint.fromFloat(0.05));
+});
+
+test('a deterministic correction past snapDistance snaps', () => {
+  const smoothed = correctedBy(10);
+  assert.strictEqual(smoothed.mispredictions.length, 1);
+  assert.ok(smoothed.client.visualOffset);
+
+  const snapped = correctedBy(60);
+  assert.strictEqual(snapped.mispredictions.length, 1);
+  assert.strictEqual(snapped.client.visualOffset, null);
+});
+
+test('the demo prints its documented EXPECTED OUTPUT', () => {
+  const file = path.join(__dirname, '..', 'ClientPrediction.js');
+  const documented = fs.readFileSync(file, 'utf8').match(/EXPECTED OUTPUT:\n\n([\s\S]*?)\n\nKEY CONCEPTS/)[1];
+  // The demo warns on stderr: read both streams in the order they were written
+  const printed = execFileSync('/bin/sh', ['-c', `"${process.execPath}" "${file}" 2>&1`], { encoding: 'utf8' });
+
+  assert.strictEqual(printed.trimEnd(), documented);
+});
+
+test('a zero reconciliation threshold and snap distance are honoured', () => {
+  const client = new ClientPrediction({
+    reconciliationThreshold: 0,
+    snapDistance: 0,
+    clock: new VirtualClock(),
+    logger: silentLogger
+  });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  client.applyInput({ moveX: 1, moveY: 0 });
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { x: 5.01, y: 0, velocityX: 5, velocityY: 0 } });
+
+  assert.strictEqual(client.reconciliationThreshold, 0);
+  assert.strictEqual(mispredictions.length, 1);
+  assert.strictEqual(client.getVisualState().x, 5.01); // Snapped, not smoothed
+});
+
+test('a custom step and schema drive prediction and divergence', () => {
+  const schema = { position: { default: 0, weight: 1 }, fuel: { default: 10, weight: 0 } };
+  const step = (state, input) => {
+    state.position += input.thrust;
+    state.fuel -= 1;
+  };
+  const client = new ClientPrediction({ schema, step, clock: new VirtualClock(), logger: silentLogger });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  client.applyInput({ thrust: 2 });
+  client.applyInput({ thrust: 2 });
+  assert.deepStrictEqual(client.predictedState, { position: 4, fuel: 8 });
+
+  // Weight 0: disagreeing about fuel alone is no divergence
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { position: 2, fuel: 3 } });
+  assert.strictEqual(mispredictions.length, 0);
+
+  client.onServerSnapshot({ tick: 2, lastAckedInput: 2, state: { position: 5, fuel: 8 } });
+  assert.deepStrictEqual(mispredictions.map((event) => event.divergence), [1]);
+  assert.deepStrictEqual(client.predictedState, { position: 5, fuel: 8 });
+});
+
+test('compareState and cloneState replace the schema defaults', () => {
+  const compared = [];
+  const client = new ClientPrediction({
+    initialState: { cells: [0, 0] },
+    step: (state, input) => { state.cells[input.cell]++; },
+    cloneState: (state) => ({ cells: [...state.cells] }),
+    compareState: (predicted, server) => {
+      compared.push([predicted.cells, server.cells]);
+      return predicted.cells.filter((cell, i) => cell !== server.cells[i]).length;
+    },
+    reconciliationThreshold: 0.5,
+    clock: new VirtualClock(),
+    logger: silentLogger
+  });
+
+  client.applyInput({ cell: 1 });
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { cells: [1, 0] } });
+
+  assert.deepStrictEqual(compared, [[[0, 1], [1, 0]]]);
+  assert.deepStrictEqual(client.predictedState, { cells: [1, 0] });
+});
+
+test('a snapshot is compared with the prediction after the input it acknowledges', () => {
+  const client = new ClientPrediction({ clock: new VirtualClock(), logger: silentLogger });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  for (let i = 0; i < 4; i++) {
+    client.applyInput({ moveX: 1, moveY: 0 });
+  }
+  assert.strictEqual(client.getPredictedState(2).x, 10);
+  assert.strictEqual(client.predictedState.x, 20);
+
+  // Matches what we predicted after input 2, although we are now at input 4
+  client.onServerSnapshot({ tick: 50, lastAckedInput: 2, state: { x: 10, y: 0, velocityX: 5, velocityY: 0 } });
+  assert.strictEqual(mispredictions.length, 0);
+  assert.strictEqual(client.predictedState.x, 20);
+});
+
+test('history older than historySize is adopted, not compared', () => {
+  const client = new ClientPrediction({ historySize: 4, clock: new VirtualClock(), logger: silentLogger });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  for (let i = 0; i < 6; i++) {
+    client.applyInput({ moveX: 1, moveY: 0 });
+  }
+  assert.strictEqual(client.getPredictedState(1), null); // Overwritten by input 5
+
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { x: 100, y: 0, velocityX: 5, velocityY: 0 } });
+  assert.strictEqual(mispredictions.length, 0);
+  assert.strictEqual(client.predictedState.x, 125); // Server state plus inputs 2-6
+});
+
+test('a correction is exact in the simulation and decays on screen', () => {
+  const clock = new VirtualClock(1000);
+  const client = new ClientPrediction({ visualHalfLife: 100, clock, logger: silentLogger });
+  client.applyInput({ moveX: 1, moveY: 0 });
+  client.applyInput({ moveX: 1, moveY: 0 });
+
+  // Server puts us 4 units back after input 1
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { x: 1, y: 0, velocityX: 5, velocityY: 0 } });
+  assert.strictEqual(client.predictedState.x, 6);
+  assert.strictEqual(client.getVisualState().x, 10); // Nothing jumps yet
+
+  clock.advance(100);
+  assert.strictEqual(client.getVisualState().x, 8);
+  clock.advance(100);
+  assert.strictEqual(client.getVisualState().x, 7);
+
+  clock.advance(1000);
+  assert.strictEqual(client.getVisualState().x, 6);
+  assert.strictEqual(client.visualOffset, null);
+});
+
+test('a second correction blends from what is on screen', () => {
+  const clock = new VirtualClock(1000);
+  const client = new ClientPrediction({ visualHalfLife: 100, clock, logger: silentLogger });
+  client.applyInput({ moveX: 1, moveY: 0 });
+  client.applyInput({ moveX: 1, moveY: 0 });
+
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 1, state: { x: 1, y: 0, velocityX: 5, velocityY: 0 } });
+  clock.advance(100);
+  const shown = client.getVisualState().x;
+
+  client.onServerSnapshot({ tick: 2, lastAckedInput: 2, state: { x: 4, y: 0, velocityX: 5, velocityY: 0 } });
+  assert.strictEqual(client.predictedState.x, 4);
+  assert.strictEqual(client.getVisualState().x, shown);
+});
+
+test('inputs are acknowledged by lastAckedInput, whatever the server tick', () => {
+  const client = new ClientPrediction({ clock: new VirtualClock(), logger: silentLogger });
+  const sent = [];
+  client.on('send', (data) => sent.push(data.inputs.map((buffered) => buffered.sequence)));
+  for (let i = 0; i < 3; i++) {
+    client.applyInput({ moveX: 1, moveY: 0 });
+  }
+
+  client.onServerSnapshot({ tick: 9000, lastAckedInput: 2, state: { x: 10, y: 0, velocityX: 5, velocityY: 0 } });
+  assert.strictEqual(client.lastAckedInput, 2);
+  assert.deepStrictEqual(client.inputBuffer.map((buffered) => buffered.sequence), [3]);
+
+  // Acknowledged inputs are no longer repeated
+  client.applyInput({ moveX: 1, moveY: 0 });
+  assert.deepStrictEqual(sent.at(-1), [3, 4]);
+});
+
+test('snapshots arriving out of order are ignored', () => {
+  const client = new ClientPrediction({ clock: new VirtualClock(), logger: silentLogger });
+  for (let i = 0; i < 3; i++) {
+    client.applyInput({ moveX: 1, moveY: 0 });
+  }
+  client.onServerSnapshot({ tick: 20, lastAckedInput: 2, state: { x: 10, y: 0, velocityX: 5, velocityY: 0 } });
+
+  client.onServerSnapshot({ tick: 19, lastAckedInput: 2, state: { x: 99, y: 0, velocityX: 5, velocityY: 0 } });
+  client.onServerSnapshot({ tick: 21, lastAckedInput: 1, state: { x: 99, y: 0, velocityX: 5, velocityY: 0 } });
+
+  assert.strictEqual(client.serverTick, 20);
+  assert.strictEqual(client.serverState.x, 10);
+  assert.strictEqual(client.predictedState.x, 15);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MonotonicClock, VirtualClock, defaultClock } = require('../Clock');
+const { NetworkProtocol, MessageType } = require('../NetworkProtocol');
+const TimeSync = require('../TimeSync');
+const ClientPrediction = require('../ClientPrediction');
+const { Connection } = require('../Connection');
+const { silentLogger } = require('../Logger');
+
+// Read `clock` many times; true if it never went backwards
+function neverDecreases(clock, reads = 10000) {
+  let previous = clock.now();
+  for (let i = 0; i < reads; i++) {
+    const now = clock.now();
+    if (now < previous) return false;
+    previous = now;
+  }
+  return true;
+}
+
+test('a virtual clock only moves when told to, and only forward', () => {
+  const clock = new VirtualClock(1000);
+  assert.strictEqual(clock.now(), 1000);
+  assert.strictEqual(clock.now(), 1000);
+
+  assert.strictEqual(clock.advance(16.5), 1016.5);
+  clock.set(2000);
+  assert.strictEqual(clock.now(), 2000);
+
+  assert.throws(() => clock.advance(-1), RangeError);
+  assert.throws(() => clock.set(1999), /A clock cannot go backwards/);
+  assert.strictEqual(clock.now(), 2000);
+  assert.strictEqual(new VirtualClock().now(), 0);
+});
+
+test('the monotonic clock starts near wall time and ignores later adjustments', (t) => {
+  const clock = new MonotonicClock();
+  assert.ok(Math.abs(clock.now() - Date.now()) < 1000);
+  assert.ok(neverDecreases(clock));
+
+  // The OS clock is set back an hour
+  const wall = Date.now();
+  t.mock.method(Date, 'now', () => wall - 3600 * 1000);
+  assert.ok(neverDecreases(clock));
+  assert.ok(clock.now() > wall - 1000);
+});
+
+test('without performance.now the monotonic clock falls back to hrtime', (t) => {
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'performance');
+  Object.defineProperty(globalThis, 'performance', { value: undefined, configurable: true });
+  let clock;
+  try {
+    clock = new MonotonicClock();
+  } finally {
+    Object.defineProperty(globalThis, 'performance', descriptor);
+  }
+
+  const wall = Date.now();
+  assert.ok(Math.abs(clock.now() - wall) < 1000);
+  t.mock.method(Date, 'now', () => wall - 3600 * 1000);
+  assert.ok(neverDecreases(clock));
+  assert.ok(clock.now() > wall - 1000);
+});
+
+test('time-keeping modules read the injected clock', () => {
+  const clock = new VirtualClock(5000);
+
+  const protocol = new NetworkProtocol({ clock, logger: silentLogger });
+  assert.strictEqual(protocol.createPacket(MessageType.SERVER_EVENT, { name: 'a' }).timestamp, 5000);
+  assert.strictEqual(protocol.createTimeSyncRequest().payload.clientSendTime, 5000);
+
+  const sync = new TimeSync({ clock, logger: silentLogger });
+  clock.advance(10);
+  assert.strictEqual(sync.getLocalTime(), 5010);
+
+  const prediction = new ClientPrediction({ clock, logger: silentLogger });
+  prediction.applyInput({ moveX: 1, moveY: 0 });
+  assert.strictEqual(prediction.inputBuffer[0].timestamp, 5010);
+
+  // A connection's protocol clock is what its prediction runs on
+  const connection = new Connection({ protocol, logger: silentLogger, send: () => {} });
+  assert.strictEqual(new ClientPrediction({ connection, logger: silentLogger }).clock, clock);
+});
+
+test('modules default to the shared monotonic clock', () => {
+  assert.ok(defaultClock instanceof MonotonicClock);
+  assert.strictEqual(new NetworkProtocol({ logger: silentLogger }).clock, defaultClock);
+  assert.strictEqual(new TimeSync({ logger: silentLogger }).clock, defaultClock);
+  assert.strictEqual(new ClientPrediction({ logger: silentLogger }).clock, defaultClock);
+});
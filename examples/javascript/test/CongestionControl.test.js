@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CongestionController } = require('../CongestionControl');
+const { NetworkProtocol, MessageType } = require('../NetworkProtocol');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+// Controller on a protocol whose delivery reports the test makes up
+function setup(config = {}) {
+  const clock = new VirtualClock();
+  const protocol = new NetworkProtocol({ clock, logger: silentLogger });
+  const controller = new CongestionController({ protocol, logger: silentLogger, ...config });
+  const changes = [];
+  controller.on('budgetChanged', (event) => changes.push(event));
+  controller.update();
+
+  // One interval: `delivered` datagrams at `rtt`, `undelivered` lost
+  const interval = (delivered, undelivered = 0, rtt = 50) => {
+    for (let i = 0; i < delivered; i++) protocol.emit('delivered', { rtt });
+    for (let i = 0; i < undelivered; i++) protocol.emit('undelivered', {});
+    clock.advance(controller.interval);
+    controller.update();
+  };
+  return { clock, protocol, controller, changes, interval };
+}
+
+test('the RTO follows measured RTT and variance within its bounds', () => {
+  const proto = new NetworkProtocol({ logger: silentLogger });
+  assert.strictEqual(proto.rto, 250);
+
+  proto.updateRtt(100);
+  assert.strictEqual(proto.rttVariance, 50);
+  assert.strictEqual(proto.rto, 300); // 100 + 4 × 50
+
+  // A steady fast link settles at the floor, a slow one well above its RTT
+  for (let i = 0; i < 100; i++) proto.updateRtt(20);
+  assert.strictEqual(proto.rto, 50);
+  for (let i = 0; i < 100; i++) proto.updateRtt(150);
+  assert.ok(proto.rto > 150 && proto.rto < 160, `rto ${proto.rto}`);
+
+  // Wild samples hit the ceiling
+  proto.updateRtt(5000);
+  assert.strictEqual(proto.rto, 2000);
+});
+
+test('each retry of a packet waits twice as long, then it is given up', () => {
+  const clock = new VirtualClock();
+  const proto = new NetworkProtocol({ clock, initialRto: 100, maxRetries: 3, logger: silentLogger });
+  const timeouts = [];
+  proto.on('retransmit', ({ timeout }) => timeouts.push([timeout, clock.now()]));
+  const lost = [];
+  proto.on('packetLost', () => lost.push(clock.now()));
+
+  proto.serialize(proto.createPacket(MessageType.SERVER_EVENT, { name: 'goal' }, 'reliable'));
+  for (let t = 0; t < 2000; t++) {
+    clock.advance(1);
+    proto.getRetransmissions();
+  }
+
+  assert.deepStrictEqual(timeouts, [[100, 101], [200, 302], [400, 703]]);
+  assert.deepStrictEqual(lost, [1504]); // After a fourth, 800ms wait
+  assert.strictEqual(proto.getStats().packetsLost, 1);
+});
+
+test('loss above the threshold cuts the budget, and the snapshot rate first', () => {
+  const { controller, changes, interval } = setup();
+  interval(30);
+  assert.deepStrictEqual(changes, []);
+
+  interval(24, 6); // 20% loss
+  assert.strictEqual(controller.lossRate, 0.2);
+  assert.deepStrictEqual(changes, [{ bandwidth: 45875, snapshotRate: 24, maxSnapshotBytes: 1911, reason: 'loss' }]);
+
+  // Random loss below the threshold is not congestion
+  interval(28, 2);
+  assert.strictEqual(changes.at(-1).reason, 'recovery');
+});
+
+test('RTT rising above the base RTT cuts the budget', () => {
+  const { controller, changes, interval } = setup();
+  interval(30, 0, 40);
+  interval(30, 0, 60); // Within 40 × 1.5 + 10
+  assert.deepStrictEqual(changes, []);
+
+  interval(30, 0, 90);
+  assert.deepStrictEqual(changes.map(({ reason }) => reason), ['latency']);
+  assert.strictEqual(controller.getBaseRtt(), 40);
+  assert.strictEqual(controller.getStats().decreases, 1);
+});
+
+test('the budget recovers additively and never leaves its bounds', () => {
+  const { controller, interval } = setup({ minBandwidth: 8000, maxBandwidth: 28000 });
+  for (let i = 0; i < 20; i++) interval(10, 10);
+  assert.deepStrictEqual(controller.getBudget(), { bandwidth: 8000, snapshotRate: 10, maxSnapshotBytes: 800 });
+
+  interval(30);
+  assert.strictEqual(controller.bandwidth, 9000); // (28000 - 8000) / 20 per clean interval
+  for (let i = 0; i < 30; i++) interval(30);
+  assert.deepStrictEqual(controller.getBudget(), { bandwidth: 28000, snapshotRate: 30, maxSnapshotBytes: 933 });
+});
+
+test('an interval with too few datagrams is extended, not judged', () => {
+  const { clock, controller, changes, interval } = setup();
+  interval(5, 5);
+  assert.deepStrictEqual(changes, []);
+
+  // Same interval, now with enough samples: 5 of 20 lost
+  interval(10);
+  assert.strictEqual(controller.lossRate, 0.25);
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(controller.windowStart, clock.now());
+});
+
+test('snapshots are paced at the budget rate without bursting after a stall', () => {
+  const { clock, controller } = setup({ maxSnapshotRate: 20 });
+  const sentAt = [];
+  const tick = (ticks) => {
+    for (let i = 0; i < ticks; i++) {
+      if (controller.shouldSendSnapshot()) sentAt.push(clock.now());
+      clock.advance(16);
+    }
+  };
+
+  // 16ms ticks, 50ms period: no drift from rounding up to the next tick
+  tick(13);
+  assert.deepStrictEqual(sentAt, [0, 64, 112, 160]);
+
+  sentAt.length = 0;
+  clock.advance(1000);
+  tick(5);
+  assert.deepStrictEqual(sentAt, [1208, 1272]);
+});
+
+test('a fixed budget (min === max) keeps the full snapshot rate', () => {
+  const clock = new VirtualClock();
+  const protocol = new NetworkProtocol({ clock, logger: silentLogger });
+  const controller = new CongestionController({
+    protocol,
+    minBandwidth: 16 * 1024,
+    maxBandwidth: 16 * 1024,
+    maxSnapshotRate: 20,
+    logger: silentLogger
+  });
+
+  assert.deepStrictEqual(controller.getBudget(), { bandwidth: 16 * 1024, snapshotRate: 20, maxSnapshotBytes: 819 });
+
+  // Heavy loss cannot shrink it, and nothing turns NaN
+  controller.update();
+  for (let i = 0; i < 30; i++) {
+    protocol.emit(i % 2 ? 'undelivered' : 'delivered', { rtt: 50 });
+  }
+  clock.advance(1000);
+  controller.update();
+
+  assert.strictEqual(controller.lossRate, 0.5);
+  assert.strictEqual(controller.getSnapshotRate(), 20);
+  assert.deepStrictEqual(controller.getBudget(), { bandwidth: 16 * 1024, snapshotRate: 20, maxSnapshotBytes: 819 });
+  assert.strictEqual(controller.shouldSendSnapshot(), true);
+});
@@ -0,0 +1,297 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { Connection, ConnectionState } = require('../Connection');
+const { ConnectionServer } = require('../ConnectionServer');
+const { NetworkProtocol, MessageType, DisconnectReason } = require('../NetworkProtocol');
+const { framePlaintext, HandshakeCookies } = require('../PacketSecurity');
+const { silentLogger } = require('../Logger');
+
+// Transport stand-in that records what the server sends
+function fakeTransport() {
+  const transport = new EventEmitter();
+  transport.sent = [];
+  transport.send = (data, address) => transport.sent.push({ data, address });
+  transport.close = () => {};
+  return transport;
+}
+
+// Client and server Connections joined by in-memory queues
+function link(clientConfig = {}, serverConfig = {}) {
+  const toServer = [];
+  const toClient = [];
+  const client = new Connection({ playerId: 'p1', logger: silentLogger, send: (data) => toServer.push(data), ...clientConfig });
+  const server = new Connection({ role: 'server', logger: silentLogger, send: (data) => toClient.push(data), ...serverConfig });
+  const step = (now) => {
+    toServer.splice(0).forEach((data) => server.receive(data, now));
+    toClient.splice(0).forEach((data) => client.receive(data, now));
+    client.update(now);
+    server.update(now);
+  };
+  return { client, server, step, toServer, toClient };
+}
+
+// Plaintext CLIENT_HELLO as an attacker would craft it
+function forgedHello(options) {
+  const protocol = new NetworkProtocol({ logger: silentLogger });
+  return framePlaintext(protocol.serialize(protocol.createClientHello('attacker', 'x', options)));
+}
+
+function decodeReply(datagram) {
+  return new NetworkProtocol({ logger: silentLogger }).deserialize(datagram.subarray(1));
+}
+
+const badKeys = {
+  'wrong length': Buffer.alloc(12, 1),
+  'not a point on the curve': Buffer.concat([Buffer.from([0x04]), Buffer.alloc(64, 1)])
+};
+
+test('handshake connects both ends with sealed traffic', () => {
+  const { client, server, step } = link();
+  client.connect(0);
+  for (let now = 20; now <= 100; now += 20) step(now);
+
+  assert.strictEqual(client.state, ConnectionState.CONNECTED);
+  assert.strictEqual(server.state, ConnectionState.CONNECTED);
+  assert.ok(client.session && server.session);
+});
+
+test('the client walks connecting → challenge → connected on the newest shared version', () => {
+  const { client, server, step } = link({ protocolVersion: 3, minProtocolVersion: 1 }, { protocolVersion: 2 });
+  const states = [];
+  client.on('stateChange', ({ to }) => states.push(to));
+  const connected = [];
+  client.on('connected', (event) => connected.push(event));
+
+  client.connect(0);
+  for (let now = 20; now <= 100; now += 20) step(now);
+
+  assert.deepStrictEqual(states, [ConnectionState.CONNECTING, ConnectionState.CHALLENGE, ConnectionState.CONNECTED]);
+  assert.strictEqual(connected.length, 1);
+  assert.strictEqual(connected[0].protocolVersion, 2);
+  assert.strictEqual(server.getStats().protocolVersion, 2);
+});
+
+test('disjoint protocol ranges are refused with PROTOCOL_MISMATCH', () => {
+  const { client, server, step } = link({ protocolVersion: 1 }, { protocolVersion: 3, minProtocolVersion: 2 });
+  const events = [];
+  client.on('disconnected', (event) => events.push(event));
+
+  client.connect(0);
+  step(20);
+
+  assert.strictEqual(client.state, ConnectionState.DISCONNECTED);
+  assert.strictEqual(server.state, ConnectionState.DISCONNECTED);
+  assert.strictEqual(events.length, 1);
+  assert.strictEqual(events[0].reason, DisconnectReason.PROTOCOL_MISMATCH);
+  assert.strictEqual(events[0].remote, true);
+});
+
+test('a handshake nobody answers times out', () => {
+  const { client, toServer } = link({ connectTimeout: 1000, handshakeRetryInterval: 250 });
+  const events = [];
+  client.on('disconnected', (event) => events.push(event));
+
+  client.connect(0);
+  for (let now = 50; now <= 1000; now += 50) client.update(now);
+  assert.strictEqual(client.state, ConnectionState.CONNECTING);
+  assert.strictEqual(toServer.length, 5); // First hello plus a resend every 250ms
+
+  client.update(1050);
+  assert.strictEqual(client.state, ConnectionState.DISCONNECTED);
+  assert.deepStrictEqual(events.map(({ reason }) => reason), [DisconnectReason.TIMEOUT]);
+});
+
+test('keep-alives hold an idle connection open; a silent peer is dropped', () => {
+  const { client, server, step, toClient } = link({ keepAliveInterval: 100, timeout: 500 }, { keepAliveInterval: 100, timeout: 500 });
+  client.connect(0);
+  for (let now = 20; now <= 100; now += 20) step(now);
+
+  // Nothing but keep-alives for well past the timeout
+  for (let now = 120; now <= 2000; now += 20) step(now);
+  assert.strictEqual(client.state, ConnectionState.CONNECTED);
+  assert.strictEqual(server.state, ConnectionState.CONNECTED);
+
+  // The server goes quiet: the client notices after `timeout`
+  const events = [];
+  client.on('disconnected', (event) => events.push(event));
+  const lastHeard = client.lastReceiveTime;
+  let now = 2000;
+  while (client.state === ConnectionState.CONNECTED) {
+    now += 20;
+    toClient.length = 0;
+    client.update(now);
+  }
+  assert.strictEqual(now, lastHeard + 520); // First update more than 500ms after the last packet
+  assert.strictEqual(client.state, ConnectionState.DISCONNECTING);
+  for (let i = 0; i < client.disconnectRedundancy; i++) client.update(now += 20);
+  assert.strictEqual(client.state, ConnectionState.DISCONNECTED);
+  assert.deepStrictEqual(events.map(({ reason, remote }) => ({ reason, remote })), [{ reason: DisconnectReason.TIMEOUT, remote: false }]);
+});
+
+test('a kick reaches the client with its reason and message', () => {
+  const { client, server, step } = link();
+  client.connect(0);
+  for (let now = 20; now <= 100; now += 20) step(now);
+
+  const clientEvents = [];
+  const serverEvents = [];
+  client.on('disconnected', (event) => clientEvents.push(event));
+  server.on('disconnected', (event) => serverEvents.push(event));
+  server.kick(DisconnectReason.BANNED, 'Cheating detected', 110);
+  assert.strictEqual(server.state, ConnectionState.DISCONNECTING);
+  for (let now = 120; now <= 200; now += 20) step(now);
+
+  assert.deepStrictEqual(clientEvents, [{ reason: DisconnectReason.BANNED, message: 'Cheating detected', remote: true }]);
+  assert.deepStrictEqual(serverEvents, [{ reason: DisconnectReason.BANNED, message: 'Cheating detected', remote: false }]);
+  assert.strictEqual(client.state, ConnectionState.DISCONNECTED);
+  assert.strictEqual(server.state, ConnectionState.DISCONNECTED);
+});
+
+for (const [label, publicKey] of Object.entries(badKeys)) {
+  test(`server refuses a hello whose public key is ${label}`, () => {
+    const transport = fakeTransport();
+    const server = new ConnectionServer({ transport, logger: silentLogger });
+
+    assert.doesNotThrow(() => transport.emit('message', forgedHello({ publicKey }), 'attacker'));
+    assert.doesNotThrow(() => transport.emit('message', forgedHello({ publicKey, challengeResponse: 1 }), 'attacker'));
+
+    for (const { data } of transport.sent) {
+      const reply = decodeReply(data);
+      assert.strictEqual(reply.type, MessageType.SERVER_KICK);
+      assert.strictEqual(reply.payload.reason, DisconnectReason.HANDSHAKE_FAILED);
+    }
+    assert.strictEqual(transport.sent.length, 2);
+    assert.strictEqual(server.connections.size, 0);
+  });
+
+  test(`client fails the handshake when the server's public key is ${label}`, () => {
+    const { client, toServer } = link();
+    const events = [];
+    client.on('disconnected', (event) => events.push(event));
+    client.connect(0);
+    toServer.length = 0;
+
+    const fakeServer = new NetworkProtocol({ role: 'server', logger: silentLogger });
+    const challenge = fakeServer.serialize(fakeServer.createServerHello({ challenge: 42, publicKey }));
+    assert.doesNotThrow(() => client.receive(framePlaintext(challenge), 10));
+    for (let now = 20; client.state !== ConnectionState.DISCONNECTED && now < 1000; now += 20) client.update(now);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].reason, DisconnectReason.HANDSHAKE_FAILED);
+  });
+}
+
+test('spoofed hellos leave no per-client state on the server', () => {
+  const transport = fakeTransport();
+  const server = new ConnectionServer({ transport, maxClients: 4, logger: silentLogger });
+  const { client } = link();
+  client.connect(0);
+  const publicKey = client.keyExchange.publicKey;
+
+  for (let i = 0; i < 2000; i++) {
+    transport.emit('message', forgedHello({ publicKey }), `spoofed-${i}`);
+  }
+
+  assert.strictEqual(transport.sent.length, 2000); // Each answered with a challenge
+  assert.strictEqual(server.connections.size, 0);
+  assert.deepStrictEqual(server.getStats(), { clients: 0, pending: 0, datagramsIgnored: 0 });
+});
+
+test('a challenge only works from the address it was issued to', () => {
+  const transport = fakeTransport();
+  const server = new ConnectionServer({ transport, logger: silentLogger });
+  const { client, toServer } = link();
+  client.connect(0);
+
+  // Challenge for 'alice', replayed from 'mallory'
+  transport.emit('message', toServer.shift(), 'alice');
+  client.receive(transport.sent.shift().data);
+  const response = toServer.shift();
+  transport.emit('message', response, 'mallory');
+  assert.strictEqual(decodeReply(transport.sent.shift().data).payload.reason, DisconnectReason.HANDSHAKE_FAILED);
+  assert.strictEqual(server.getClientCount(), 0);
+
+  transport.emit('message', response, 'alice');
+  assert.strictEqual(server.getClientCount(), 1);
+  transport.sent.splice(0).forEach(({ data }) => client.receive(data));
+  assert.strictEqual(client.state, ConnectionState.CONNECTED);
+});
+
+test('pending connections are capped', () => {
+  const transport = fakeTransport();
+  const server = new ConnectionServer({ transport, maxPending: 2, logger: silentLogger });
+
+  // Connect three clients, then kick them: they stay while their notices go out
+  for (let i = 0; i < 3; i++) {
+    const { client, toServer } = link();
+    client.connect(0);
+    transport.emit('message', toServer.shift(), `c${i}`);
+    client.receive(transport.sent.pop().data);
+    transport.emit('message', toServer.shift(), `c${i}`);
+  }
+  assert.strictEqual(server.getClientCount(), 3);
+  for (const { connection } of server.connections.values()) {
+    connection.kick(DisconnectReason.KICKED, undefined, 0);
+  }
+
+  const before = transport.sent.length;
+  transport.emit('message', forgedHello({}), 'newcomer');
+  assert.strictEqual(transport.sent.length, before);
+  assert.strictEqual(server.getStats().datagramsIgnored, 1);
+});
+
+test('a replayed handshake cannot resurrect a session or its data', () => {
+  const cookies = new HandshakeCookies();
+  const recorded = [];
+  const toClient = [];
+  const client = new Connection({ playerId: 'p1', logger: silentLogger, send: (data) => recorded.push(data) });
+  const original = new Connection({ role: 'server', cookies, address: 'alice', logger: silentLogger, send: (data) => toClient.push(data) });
+  const originalMessages = [];
+  original.on('message', (message) => originalMessages.push(message));
+
+  // Record everything the client sends to the original server
+  let delivered = 0;
+  const step = (now) => {
+    while (delivered < recorded.length) original.receive(recorded[delivered++], now);
+    toClient.splice(0).forEach((data) => client.receive(data, now));
+  };
+  client.connect(0);
+  for (let now = 10; now <= 50; now += 10) step(now);
+  assert.strictEqual(client.state, ConnectionState.CONNECTED);
+  client.send(client.protocol.createInput(1, { moveX: 1, moveY: 0 }, 60, 1), 60);
+  step(70);
+  assert.strictEqual(originalMessages.length, 1);
+  const originalKey = original.session.sendKey;
+  client.disconnect(DisconnectReason.NONE, undefined, 80);
+  for (let now = 90; client.state !== ConnectionState.DISCONNECTED; now += 10) {
+    client.update(now);
+    step(now);
+  }
+
+  // Within the cookie's lifetime, a new server sees the same datagrams again
+  const replayed = new Connection({ role: 'server', cookies, address: 'alice', logger: silentLogger, send: () => {} });
+  const replayedMessages = [];
+  replayed.on('message', (message) => replayedMessages.push(message));
+  recorded.forEach((data) => replayed.receive(data, 200));
+
+  assert.deepStrictEqual(replayedMessages, []);
+  assert.ok(replayed.packetsRejected > 0);
+  assert.ok(replayed.session, 'the handshake itself is accepted again');
+  assert.ok(!replayed.session.sendKey.equals(originalKey), 'but with fresh keys');
+});
+
+test('an exception in a message listener reaches the application', () => {
+  const { client, server, step } = link();
+  client.connect(0);
+  for (let now = 20; now <= 100; now += 20) step(now);
+
+  server.on('message', () => {
+    throw new Error('listener bug');
+  });
+  const sealed = [];
+  client.transmit = (data) => sealed.push(data);
+  client.send(client.protocol.createInput(1, { moveX: 1, moveY: 0 }, 110, 1), 110);
+
+  assert.throws(() => server.receive(sealed[0], 120), /listener bug/);
+});
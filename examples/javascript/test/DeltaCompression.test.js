@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClientPrediction = require('../ClientPrediction');
+const PredictedWorld = require('../PredictedWorld');
+const SnapshotInterpolation = require('../SnapshotInterpolation');
+const { DeltaEncoder, DeltaDecoder } = require('../DeltaCompression');
+const { NetworkProtocol, MessageType, decodeInputBatch } = require('../NetworkProtocol');
+const { silentLogger } = require('../Logger');
+
+// Stands in for Connection: records what the client sends
+function fakeConnection(protocol) {
+  const sent = [];
+  return { protocol, sent, isConnected: () => true, send: (packet) => sent.push(packet) };
+}
+
+test('delta snapshots reach a PredictedWorld through the protocol and are acknowledged back', () => {
+  const serverProto = new NetworkProtocol({ logger: silentLogger });
+  const clientProto = new NetworkProtocol({ logger: silentLogger });
+  const encoder = new DeltaEncoder({ logger: silentLogger });
+  const connection = fakeConnection(clientProto);
+  const world = new PredictedWorld({ localEntityIds: [1], connection, logger: silentLogger });
+
+  // Server world: our player (1) plus a crate (2) that drifts on its own schedule
+  const server = {
+    entities: [
+      { id: 1, x: 0, y: 0, velocityX: 0, velocityY: 0 },
+      { id: 2, x: 50, y: 0, velocityX: 0, velocityY: 0 }
+    ]
+  };
+  let lastProcessed = 0;
+  const deltas = [];
+
+  const sendSnapshot = (tick) => {
+    const { state, isDelta } = encoder.encode(tick, structuredClone(server));
+    deltas.push(isDelta);
+    const bytes = serverProto.serialize(serverProto.createSnapshot(tick, state, isDelta, lastProcessed));
+    world.onServerSnapshot(clientProto.deserialize(bytes).payload);
+  };
+
+  sendSnapshot(0);
+
+  const mispredictions = [];
+  world.on('misprediction', (event) => mispredictions.push(event));
+
+  for (let tick = 1; tick <= 8; tick++) {
+    world.applyInput({ moveX: 1, moveY: 0 });
+
+    // Server reads the batch: runs new inputs and learns the client's baseline
+    const batch = serverProto.deserialize(clientProto.serialize(connection.sent.pop())).payload;
+    for (const entry of decodeInputBatch(batch)) {
+      if (entry.sequence <= lastProcessed) continue;
+      ClientPrediction.pointMassStep(server.entities[0], entry.input, 0);
+      lastProcessed = entry.sequence;
+    }
+    encoder.acknowledge(batch.snapshotAck);
+
+    if (tick === 5) server.entities[1].x = 60;
+    sendSnapshot(tick);
+  }
+
+  assert.deepStrictEqual(deltas, [false, true, true, true, true, true, true, true, true]);
+  assert.strictEqual(world.decoder.getAck(), 8);
+  assert.strictEqual(world.decoder.missingBaselines, 0);
+  // Only the crate move the client could not predict
+  assert.deepStrictEqual(mispredictions, [{ ackedInput: 5, serverTick: 5, divergence: 10 }]);
+  assert.strictEqual(world.getEntity(1).x, 40);
+  assert.strictEqual(world.getEntity(2).x, 60);
+});
+
+test('a delta without its baseline is dropped instead of reconciled', () => {
+  const world = new PredictedWorld({ logger: silentLogger, decoder: new DeltaDecoder({ logger: silentLogger }) });
+
+  world.onServerSnapshot({
+    tick: 4,
+    isDelta: true,
+    lastAckedInput: 0,
+    state: { baselineTick: 2, added: [{ id: 3, x: 1, y: 0 }], changed: [], removed: [] }
+  });
+
+  assert.strictEqual(world.serverTick, 0);
+  assert.deepStrictEqual(world.getEntityIds(), []);
+  assert.strictEqual(world.decoder.missingBaselines, 1);
+});
+
+test('input batches acknowledge the snapshot decoder shared with interpolation', () => {
+  const serverProto = new NetworkProtocol({ logger: silentLogger });
+  const clientProto = new NetworkProtocol({ logger: silentLogger });
+  const decoder = new DeltaDecoder({ logger: silentLogger });
+  const connection = fakeConnection(clientProto);
+  const prediction = new ClientPrediction({ connection, decoder, logger: silentLogger });
+  const timeSync = { getServerTime: () => 0, serverTickToTime: (tick) => tick * 50 };
+  const interpolation = new SnapshotInterpolation({ timeSync, decoder, logger: silentLogger });
+
+  // Nothing received yet: the batch carries no ack
+  prediction.applyInput({ moveX: 1, moveY: 0 });
+  assert.strictEqual(connection.sent[0].type, MessageType.CLIENT_INPUT);
+  assert.strictEqual(connection.sent[0].payload.snapshotAck, undefined);
+
+  const packet = serverProto.createSnapshot(12, { entities: [{ id: 7, x: 1, y: 2 }] });
+  interpolation.onPacket(clientProto.deserialize(serverProto.serialize(packet)));
+
+  prediction.applyInput({ moveX: 1, moveY: 0 });
+  assert.strictEqual(connection.sent[1].payload.snapshotAck, 12);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FixedPoint, checksum } = require('../FixedPoint');
+const ClientPrediction = require('../ClientPrediction');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+const { fromFloat, fromInt, toFloat, add, sub, mul, div, sqrt, round, vec, vnormalize } = FixedPoint;
+
+test('arithmetic is exact on the Q16.16 grid', () => {
+  assert.strictEqual(fromInt(3), 3 * 65536);
+  assert.strictEqual(toFloat(add(fromFloat(0.25), fromFloat(0.5))), 0.75);
+  assert.strictEqual(toFloat(sub(fromInt(1), fromFloat(1.5))), -0.5);
+  assert.strictEqual(toFloat(mul(fromFloat(-2.5), fromFloat(1.5))), -3.75);
+  assert.strictEqual(toFloat(div(fromInt(7), fromInt(2))), 3.5);
+  assert.strictEqual(toFloat(sqrt(fromInt(9))), 3);
+  assert.strictEqual(toFloat(round(fromFloat(2.5))), 3);
+  assert.strictEqual(toFloat(round(fromFloat(-2.25))), -2);
+});
+
+test('results round predictably and wrap to 32 bits', () => {
+  // mul rounds toward negative infinity, div toward zero
+  const third = div(fromInt(1), fromInt(3));
+  assert.strictEqual(third, 21845);
+  assert.strictEqual(mul(third, fromInt(-1)), -21845);
+  assert.strictEqual(mul(-1, 1), -1); // -2^-16 × 2^-16 floors to one step below zero
+  assert.strictEqual(div(fromInt(-1), fromInt(3)), -21845);
+
+  assert.strictEqual(add(0x7fffffff, 1), -0x80000000);
+  assert.throws(() => div(fromInt(1), 0), RangeError);
+});
+
+test('vectors normalize to unit length within a step', () => {
+  const unit = vnormalize(vec(fromInt(3), fromInt(4)));
+  assert.deepStrictEqual(unit, { x: fromFloat(0.6) - 1, y: fromFloat(0.8) - 1 });
+  assert.deepStrictEqual(vnormalize(vec(0, 0)), { x: 0, y: 0 });
+});
+
+test('checksums ignore key order but see every bit', () => {
+  const a = { x: fromInt(5), y: fromInt(2), tags: ['a', true, null] };
+  const b = { tags: ['a', true, null], y: fromInt(2), x: fromInt(5) };
+
+  assert.strictEqual(checksum(a), checksum(b));
+  assert.notStrictEqual(checksum(a), checksum({ ...a, x: a.x + 1 }));
+  assert.notStrictEqual(checksum({ v: 1 }), checksum({ v: 1 + Number.EPSILON }));
+  assert.notStrictEqual(checksum({ v: 1 }), checksum({ v: '1' }));
+});
+
+test('deterministic prediction is verified by checksum, bit for bit', () => {
+  const client = new ClientPrediction({ deterministic: true, clock: new VirtualClock(), logger: silentLogger });
+  const mispredictions = [];
+  client.on('misprediction', (event) => mispredictions.push(event));
+
+  const server = ClientPrediction.createState(ClientPrediction.PointMassSchema);
+  for (const input of [{ moveX: 1, moveY: 0 }, { moveX: 0.7, moveY: 0.7 }]) {
+    client.applyInput(input);
+    ClientPrediction.fixedPointMassStep(server, input, client.dt);
+  }
+  assert.strictEqual(client.getChecksum(2), checksum(server));
+
+  client.onServerSnapshot({ tick: 1, lastAckedInput: 2, state: server, checksum: checksum(server) });
+  assert.deepStrictEqual(mispredictions, []);
+
+  // One raw unit off: far below any distance threshold, still a desync
+  const skewed = { ...server, x: server.x + 1 };
+  client.applyInput({ moveX: 1, moveY: 0 });
+  ClientPrediction.fixedPointMassStep(skewed, { moveX: 1, moveY: 0 }, client.dt);
+  client.onServerSnapshot({ tick: 2, lastAckedInput: 3, state: skewed, checksum: checksum(skewed) });
+
+  assert.strictEqual(mispredictions.length, 1);
+  assert.deepStrictEqual(mispredictions[0].checksum, { expected: checksum(skewed), actual: checksum({ ...skewed, x: skewed.x - 1 }) });
+  assert.strictEqual(client.getChecksum(3), checksum(skewed));
+});
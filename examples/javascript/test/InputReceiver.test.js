@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const InputReceiver = require('../InputReceiver');
+const ClientPrediction = require('../ClientPrediction');
+const { NetworkProtocol } = require('../NetworkProtocol');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+// Client batches go over the wire; `lost` lists the input messages that never arrive
+function transmit(inputs, lost, redundancy = 3) {
+  const clientProto = new NetworkProtocol({ logger: silentLogger });
+  const serverProto = new NetworkProtocol({ logger: silentLogger });
+  const client = new ClientPrediction({ inputRedundancy: redundancy, clock: new VirtualClock(), logger: silentLogger });
+  const receiver = new InputReceiver();
+
+  let message = 0;
+  client.on('send', ({ inputs: batch }) => {
+    message++;
+    if (lost.includes(message)) return;
+    const wire = clientProto.serialize(clientProto.createInputBatch(batch));
+    receiver.receive(serverProto.deserialize(wire).payload);
+  });
+  inputs.forEach((input) => client.applyInput(input));
+  return receiver;
+}
+
+test('redundant batches cover lost input messages', () => {
+  const inputs = [1, 0, -1, 1, 1, 0].map((moveX) => ({ moveX, moveY: 0 }));
+  const receiver = transmit(inputs, [2, 3]);
+
+  const received = receiver.takeInputsForTick(Infinity);
+  assert.deepStrictEqual(received.map((entry) => entry.sequence), [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(received.map((entry) => entry.input.moveX), [1, 0, -1, 1, 1, 0]);
+  assert.strictEqual(receiver.getStats().duplicatesDropped, 4);
+});
+
+test('a gap longer than the redundancy loses inputs', () => {
+  const inputs = Array.from({ length: 6 }, () => ({ moveX: 1, moveY: 0 }));
+  const receiver = transmit(inputs, [1, 2, 3], 2);
+
+  assert.deepStrictEqual(receiver.takeInputsForTick(Infinity).map((entry) => entry.sequence), [3, 4, 5, 6]);
+});
+
+test('inputs are handed out by tick, late ones still applied', () => {
+  const receiver = new InputReceiver();
+  receiver.receive({ sequence: 1, tick: 10, input: { moveX: 1 }, snapshotAck: 4 });
+  receiver.receive({ sequence: 2, tick: 11, input: { moveX: 0 }, snapshotAck: 3 });
+  receiver.receive({ sequence: 3, tick: 13, input: { moveX: -1 } });
+
+  assert.deepStrictEqual(receiver.takeInputsForTick(9), []);
+  assert.deepStrictEqual(receiver.takeInputsForTick(12).map((entry) => entry.sequence), [1, 2]);
+  assert.strictEqual(receiver.lastProcessedInput, 2);
+  assert.deepStrictEqual(receiver.lastInput, { moveX: 0 });
+
+  const stats = receiver.getStats();
+  assert.strictEqual(stats.lateInputs, 2);
+  assert.strictEqual(stats.queued, 1);
+  assert.strictEqual(stats.snapshotAck, 4); // An older ack never moves it back
+});
+
+test('the queue is bounded', () => {
+  const receiver = new InputReceiver({ maxQueued: 3 });
+  for (let sequence = 1; sequence <= 5; sequence++) {
+    receiver.receive({ sequence, tick: sequence, input: { moveX: 1 } });
+  }
+
+  assert.deepStrictEqual(receiver.queue.map((entry) => entry.sequence), [3, 4, 5]);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { LinkConditioner, LinkPresets } = require('../LinkConditioner');
+const { VirtualClock } = require('../Clock');
+
+// Which of 200 datagrams a lossy link drops
+function lossPattern(seed) {
+  const link = new LinkConditioner({ seed, loss: 0.3, timers: false, clock: new VirtualClock() });
+  const dropped = [];
+  link.on('drop', ({ data }) => dropped.push(data));
+  for (let i = 0; i < 200; i++) {
+    link.send(i, () => {});
+  }
+  return dropped;
+}
+
+// Send `count` datagrams 10ms apart and record [index, arrival time] until all have landed
+function arrivals(config, count = 100) {
+  const clock = new VirtualClock();
+  const link = new LinkConditioner({ ...config, timers: false, clock });
+  const arrived = [];
+  for (let i = 0; i < count; i++) {
+    link.send(Buffer.alloc(config.size || 0), () => arrived.push([i, clock.now()]));
+    link.update();
+    clock.advance(10);
+  }
+  for (let t = 0; t < 1000; t++) {
+    link.update();
+    clock.advance(10);
+  }
+  return { arrived, link };
+}
+
+// Lengths of the runs of consecutive losses
+function lossRuns(config, count) {
+  const link = new LinkConditioner({ ...config, timers: false, clock: new VirtualClock() });
+  const runs = [];
+  let run = 0;
+  let lost = false;
+  link.on('drop', () => {
+    lost = true;
+  });
+  for (let i = 0; i < count; i++) {
+    lost = false;
+    link.send(i, () => {});
+    if (lost) {
+      run++;
+    } else if (run > 0) {
+      runs.push(run);
+      run = 0;
+    }
+  }
+  return { runs, stats: link.getStats() };
+}
+
+test('seed 0 is a seed of its own, not the default', () => {
+  assert.strictEqual(new LinkConditioner({ seed: 0 }).seed, 0);
+  assert.strictEqual(new LinkConditioner().seed, 1);
+  assert.notDeepStrictEqual(lossPattern(0), lossPattern(1));
+  assert.deepStrictEqual(lossPattern(0), lossPattern(0));
+});
+
+test('send and update read the injected clock', () => {
+  const clock = new VirtualClock(1000);
+  const link = new LinkConditioner({ latency: 50, timers: false, clock });
+  const arrived = [];
+
+  link.send('a', (data) => arrived.push([data, clock.now()]));
+  clock.advance(49);
+  link.update();
+  assert.deepStrictEqual(arrived, []);
+
+  clock.advance(1);
+  link.update();
+  assert.deepStrictEqual(arrived, [['a', 1050]]);
+});
+
+test('the same seed replays the same delays, losses, duplicates and reorderings', () => {
+  const config = { ...LinkPresets.DEGRADED, duplicate: 0.05, reorder: 0.05, seed: 42 };
+  const first = arrivals(config);
+  const second = arrivals(config);
+
+  assert.deepStrictEqual(first.arrived, second.arrived);
+  assert.deepStrictEqual(first.link.getStats(), second.link.getStats());
+  assert.notDeepStrictEqual(arrivals({ ...config, seed: 43 }).arrived, first.arrived);
+});
+
+test('independent and burst losses both average the configured rate', () => {
+  const independent = lossRuns({ loss: 0.1, seed: 3 }, 20000);
+  assert.ok(Math.abs(independent.stats.lossRate - 0.1) < 0.01);
+  assert.strictEqual(independent.stats.drops.burst, 0);
+
+  const bursty = lossRuns({ loss: 0.1, burstLength: 4, seed: 3 }, 20000);
+  assert.ok(Math.abs(bursty.stats.lossRate - 0.1) < 0.02);
+  const meanRun = bursty.runs.reduce((sum, run) => sum + run, 0) / bursty.runs.length;
+  assert.ok(meanRun > 3.5 && meanRun < 4.5, `mean burst ${meanRun}`);
+  // Each burst opens with a 'loss' drop; the rest of it counts as 'burst'
+  assert.ok(Math.abs(bursty.stats.drops.loss - bursty.runs.length) <= 1);
+  assert.ok(bursty.stats.drops.burst > bursty.stats.drops.loss);
+});
+
+test('jitter alone never reorders; held-back datagrams are overtaken', () => {
+  const inOrder = arrivals({ latency: 30, jitter: 25, seed: 5 }).arrived;
+  assert.deepStrictEqual(inOrder.map(([i]) => i), inOrder.map(([i]) => i).sort((a, b) => a - b));
+  assert.ok(inOrder.every(([i, at]) => at - i * 10 >= 5));
+
+  const { arrived, link } = arrivals({ latency: 30, reorder: 0.2, reorderDelay: 50, seed: 5 });
+  const order = arrived.map(([i]) => i);
+  assert.notDeepStrictEqual(order, [...order].sort((a, b) => a - b));
+  assert.strictEqual(arrived.length, 100);
+  assert.ok(link.getStats().datagramsReordered > 0);
+});
+
+test('jitter distributions have the documented shape', () => {
+  const samples = (jitterDistribution) => {
+    const link = new LinkConditioner({ jitter: 10, jitterDistribution, seed: 9 });
+    return Array.from({ length: 20000 }, () => link.sampleJitter());
+  };
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const uniform = samples('uniform');
+  assert.ok(uniform.every((value) => value >= -10 && value <= 10));
+  assert.ok(Math.abs(mean(uniform)) < 0.3);
+
+  const normal = samples('normal');
+  const within = normal.filter((value) => Math.abs(value) <= 10).length / normal.length;
+  assert.ok(within > 0.94 && within < 0.96, `${within} within ±jitter`);
+
+  const exponential = samples('exponential');
+  assert.ok(exponential.every((value) => value >= 0));
+  assert.ok(Math.abs(mean(exponential) - 10) < 0.5);
+  assert.ok(Math.max(...exponential) > 50);
+});
+
+test('every datagram is delivered twice at duplicate: 1', () => {
+  const { arrived, link } = arrivals({ latency: 20, duplicate: 1 }, 10);
+  const counts = new Map();
+  arrived.forEach(([i]) => counts.set(i, (counts.get(i) || 0) + 1));
+
+  assert.deepStrictEqual([...counts.values()], Array(10).fill(2));
+  assert.strictEqual(link.getStats().datagramsDelivered, 20);
+});
+
+test('a bandwidth cap queues datagrams, then tail-drops them', () => {
+  // 100-byte datagrams every 10ms on a 5000 B/s link: each occupies it for 20ms
+  const { arrived, link } = arrivals({ bandwidth: 5000, maxQueueDelay: 100, size: 100 }, 30);
+
+  assert.deepStrictEqual(arrived.slice(0, 4).map(([, at]) => at), [0, 20, 40, 60]);
+  const stats = link.getStats();
+  assert.ok(stats.drops.queue > 0);
+  assert.strictEqual(stats.datagramsDelivered + stats.drops.queue, 30);
+  for (let k = 1; k < arrived.length; k++) {
+    assert.ok(arrived[k][1] - arrived[k - 1][1] >= 20);
+  }
+});
+
+test('a wrapped transport conditions what it sends and passes events through', () => {
+  const clock = new VirtualClock();
+  const link = new LinkConditioner({ latency: 40, timers: false, clock });
+  const inner = new EventEmitter();
+  inner.sent = [];
+  inner.send = (data, address) => inner.sent.push([data, address, clock.now()]);
+  inner.remoteAddress = 'server';
+
+  const transport = link.wrap(inner);
+  const received = [];
+  transport.on('message', (data, address) => received.push([data, address]));
+  inner.emit('message', 'hello', 'server');
+
+  transport.send('input', 'server');
+  assert.deepStrictEqual(inner.sent, []);
+  clock.advance(40);
+  link.update();
+
+  assert.deepStrictEqual(inner.sent, [['input', 'server', 40]]);
+  assert.deepStrictEqual(received, [['hello', 'server']]);
+  assert.strictEqual(transport.remoteAddress, 'server');
+});
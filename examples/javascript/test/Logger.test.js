@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger, silentLogger } = require('../Logger');
+const { NetworkProtocol, MessageType } = require('../NetworkProtocol');
+
+// Sink recording every line with its level
+function recorder() {
+  const lines = [];
+  const sink = {};
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    sink[method] = (text) => lines.push([method, text]);
+  }
+  return { lines, sink };
+}
+
+test('messages below the level are dropped', () => {
+  const { lines, sink } = recorder();
+  const logger = createLogger({ level: 'warn', sink });
+
+  logger.debug('a');
+  logger.info('b');
+  logger.warn('c');
+  logger.error('d');
+
+  assert.deepStrictEqual(lines, [['warn', 'c'], ['error', 'd']]);
+});
+
+test('fields render as key=value pairs after a module prefix', () => {
+  const { lines, sink } = recorder();
+  const logger = createLogger({ name: 'Net', sink });
+
+  logger.info('Packet lost', { sequenceId: 12, rtt: 41.23456, peer: { port: 9 } });
+
+  assert.deepStrictEqual(lines, [['info', '[Net] Packet lost sequenceId=12 rtt=41.235 peer={"port":9}']]);
+});
+
+test('child loggers keep the level and sink under a new name', () => {
+  const { lines, sink } = recorder();
+  const child = createLogger({ level: 'error', name: 'Parent', sink }).child('Child');
+
+  child.warn('hidden');
+  child.error('shown');
+
+  assert.strictEqual(child.level, 'error');
+  assert.deepStrictEqual(lines, [['error', '[Child] shown']]);
+});
+
+test('an unknown level is rejected', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level: verbose/);
+});
+
+test('the silent logger discards everything', () => {
+  for (const method of ['debug', 'info', 'warn', 'error']) {
+    assert.strictEqual(silentLogger[method]('anything', { a: 1 }), undefined);
+  }
+});
+
+test('modules report through the injected logger and events, not the console', (t) => {
+  const { lines, sink } = recorder();
+  const proto = new NetworkProtocol({ logger: createLogger({ name: 'NetworkProtocol', sink }) });
+  const consoleWarn = t.mock.method(console, 'warn', () => {});
+
+  const dropped = [];
+  proto.on('fragmentDropped', (event) => dropped.push(event));
+  proto.addFragment({ packetId: 1, index: 5, count: 2, data: Buffer.alloc(1) });
+
+  assert.strictEqual(consoleWarn.mock.callCount(), 0);
+  assert.deepStrictEqual(lines.map(([method]) => method), ['warn']);
+  assert.match(lines[0][1], /^\[NetworkProtocol\] Invalid fragment ignored packetId=1 index=5 count=2/);
+
+  // Events carry the same facts for code that reacts to them
+  const sender = new NetworkProtocol({ logger: silentLogger });
+  proto.processPacket(proto.deserialize(sender.serialize(sender.createPacket(MessageType.FRAGMENT, {
+    packetId: 2, index: 0, count: 2, data: Buffer.alloc(4)
+  }))));
+  proto.reassembly.get(2).firstSeen -= proto.fragmentTimeout + 1;
+  proto.pruneFragments();
+  assert.deepStrictEqual(dropped, [{ packetId: 2, received: 1, count: 2, reason: 'timeout' }]);
+});
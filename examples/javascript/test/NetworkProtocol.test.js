@@ -0,0 +1,326 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NetworkProtocol, MessageType, DeliveryMode } = require('../NetworkProtocol');
+const { silentLogger } = require('../Logger');
+const { VirtualClock } = require('../Clock');
+
+function protocol(config = {}) {
+  return new NetworkProtocol({ logger: silentLogger, ...config });
+}
+
+// FRAGMENT datagrams whose pieces are well-formed but join into `data`
+function fragmentsOf(sender, data, count) {
+  const size = Math.ceil(data.length / count);
+  const datagrams = [];
+  for (let index = 0; index < count; index++) {
+    datagrams.push(sender.serialize(sender.createPacket(MessageType.FRAGMENT, {
+      packetId: 500,
+      index,
+      count,
+      data: data.subarray(index * size, (index + 1) * size)
+    })));
+  }
+  return datagrams;
+}
+
+test('fragments that reassemble into garbage are dropped, not thrown', () => {
+  const sender = protocol();
+  const receiver = protocol();
+  const dropped = [];
+  receiver.on('fragmentDropped', (event) => dropped.push(event));
+
+  const garbage = Buffer.alloc(64, 0xff);
+  const results = fragmentsOf(sender, garbage, 3).map((datagram) =>
+    receiver.processPacket(receiver.deserialize(datagram)));
+
+  assert.deepStrictEqual(results.map((result) => result.messages.length), [0, 0, 0]);
+  assert.deepStrictEqual(dropped, [{ packetId: 500, received: 3, count: 3, reason: 'malformed' }]);
+  const stats = receiver.getStats();
+  assert.strictEqual(stats.fragmentedPacketsDropped, 1);
+  assert.strictEqual(stats.packetsReassembled, 0);
+  assert.strictEqual(receiver.reassembly.size, 0);
+  assert.strictEqual(receiver.reassemblyBytes, 0);
+});
+
+test('a fragmented packet still reassembles after a malformed one', () => {
+  const sender = protocol({ maxPacketSize: 200 });
+  const receiver = protocol();
+  fragmentsOf(sender, Buffer.alloc(64, 0xff), 2).forEach((datagram) =>
+    receiver.processPacket(receiver.deserialize(datagram)));
+
+  const text = 'x'.repeat(600);
+  const datagrams = sender.packetize(sender.createPacket(MessageType.SERVER_EVENT, { name: 'motd', text }));
+  assert.ok(datagrams.length > 1);
+  const messages = datagrams.flatMap((datagram) =>
+    receiver.processPacket(receiver.deserialize(datagram)).messages);
+
+  assert.deepStrictEqual(messages.map((message) => message.payload.text), [text]);
+});
+
+test('a fragment disagreeing with its packet\'s count is ignored', () => {
+  const sender = protocol();
+  const receiver = protocol();
+  const event = sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: 'motd', text: 'x'.repeat(90) }));
+  const [first, second, third] = fragmentsOf(sender, event, 3);
+  const deliver = (datagram) => receiver.processPacket(receiver.deserialize(datagram)).messages;
+
+  deliver(first);
+  // Valid on its own terms (index 3 of 5), but the packet has 3 pieces
+  const forged = sender.serialize(sender.createPacket(MessageType.FRAGMENT, {
+    packetId: 500, index: 3, count: 5, data: Buffer.alloc(10)
+  }));
+  deliver(forged);
+  assert.strictEqual(receiver.reassembly.get(500).count, 3);
+  assert.strictEqual(receiver.reassembly.get(500).received, 1);
+
+  deliver(second);
+  assert.deepStrictEqual(deliver(third).map((message) => message.payload.name), ['motd']);
+});
+
+test('late fragments of a reassembled packet do not time out as a new one', () => {
+  const clock = new VirtualClock(0);
+  const sender = protocol({ clock });
+  const receiver = protocol({ clock });
+  const dropped = [];
+  receiver.on('fragmentDropped', (event) => dropped.push(event));
+  const event = sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: 'motd', text: 'x'.repeat(90) }));
+  const deliver = (datagram) => receiver.processPacket(receiver.deserialize(datagram)).messages;
+
+  const delivered = fragmentsOf(sender, event, 3).flatMap(deliver);
+  assert.strictEqual(delivered.length, 1);
+
+  // Retransmitted copies of the same pieces arrive after reassembly
+  const late = fragmentsOf(sender, event, 3).slice(0, 2).flatMap(deliver);
+  assert.deepStrictEqual(late, []);
+  assert.strictEqual(receiver.reassembly.size, 0);
+
+  clock.advance(5000);
+  deliver(sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: 'later' })));
+  assert.deepStrictEqual(dropped, []);
+  assert.strictEqual(receiver.getStats().packetsReassembled, 1);
+});
+
+test('oversized packets travel as fragments and reassemble in any order', () => {
+  const sender = protocol();
+  const receiver = protocol();
+  const entities = Array.from({ length: 300 }, (_, id) => ({ id, x: id * 1.5, y: -id, velocityX: 1, velocityY: 0 }));
+
+  assert.strictEqual(sender.packetize(sender.createSnapshot(1, { entities: entities.slice(0, 2) })).length, 1);
+
+  const datagrams = sender.packetize(sender.createSnapshot(2, { entities }));
+  assert.ok(datagrams.length > 1);
+  assert.ok(datagrams.every((datagram) => datagram.length <= sender.maxPacketSize));
+
+  const results = datagrams.reverse().map((datagram) => receiver.processPacket(receiver.deserialize(datagram)));
+  const snapshots = results.filter((result) => result.payload);
+  assert.strictEqual(snapshots.length, 1);
+  assert.strictEqual(snapshots[0].payload.tick, 2);
+  assert.strictEqual(snapshots[0].payload.state.entities.length, 300);
+  assert.strictEqual(snapshots[0].payload.state.entities[299].x, 448.5);
+  assert.strictEqual(receiver.getStats().packetsReassembled, 1);
+});
+
+test('fragments of a reliable packet are retransmitted one by one', () => {
+  const clock = new VirtualClock(0);
+  const sender = protocol({ clock, maxPacketSize: 200 });
+  const receiver = protocol({ clock });
+  const packet = sender.createPacket(MessageType.SERVER_EVENT, { name: 'motd', text: 'x'.repeat(500) }, 'events');
+
+  const datagrams = sender.packetize(packet);
+  assert.ok(datagrams.length > 2);
+  assert.ok(!sender.pendingAcks.has(packet.sequenceId));
+  assert.strictEqual(sender.pendingAcks.size, datagrams.length);
+
+  // The second piece is lost; the others are acked
+  const deliver = (datagram) => receiver.processPacket(receiver.deserialize(datagram)).messages;
+  datagrams.filter((_, index) => index !== 1).forEach(deliver);
+  sender.processPacket(sender.deserialize(receiver.serialize(receiver.createAck())));
+  assert.strictEqual(sender.pendingAcks.size, 1);
+
+  clock.advance(1000);
+  const retransmits = sender.getRetransmissions();
+  assert.strictEqual(retransmits.length, 1);
+  assert.strictEqual(retransmits[0].payload.index, 1);
+  assert.deepStrictEqual(deliver(sender.serialize(retransmits[0])).map((message) => message.payload.name), ['motd']);
+});
+
+test('reassembly memory is capped by dropping the oldest partial packet', () => {
+  const sender = protocol({ maxPacketSize: 200 });
+  const packets = [0, 1, 2].map((n) => {
+    const packet = sender.createPacket(MessageType.SERVER_EVENT, { name: `e${n}`, text: 'x'.repeat(500) });
+    return { id: packet.sequenceId, datagrams: sender.packetize(packet) };
+  });
+
+  // Room for two pieces each of two packets, not three
+  const pieceBytes = protocol().deserialize(packets[0].datagrams[0]).payload.data.length;
+  const receiver = protocol({ maxReassemblyBytes: 5 * pieceBytes });
+  const dropped = [];
+  receiver.on('fragmentDropped', (event) => dropped.push(event));
+
+  for (const { datagrams } of packets) {
+    datagrams.slice(0, 2).forEach((datagram) => receiver.processPacket(receiver.deserialize(datagram)));
+  }
+
+  assert.deepStrictEqual(dropped.map(({ packetId, reason }) => [packetId, reason]), [[packets[0].id, 'memory']]);
+  assert.deepStrictEqual([...receiver.reassembly.keys()], [packets[1].id, packets[2].id]);
+  assert.strictEqual(receiver.reassemblyBytes, 4 * pieceBytes);
+});
+
+test('a packet needing more than maxFragments pieces is refused', () => {
+  const sender = protocol({ maxPacketSize: 100, maxFragments: 4 });
+  const packet = sender.createPacket(MessageType.SERVER_EVENT, { name: 'big', text: 'x'.repeat(1000) });
+  assert.throws(() => sender.packetize(packet), /needs \d+ fragments \(max 4\)/);
+});
+
+test('a full ordered channel leaves overflow unacked until there is room', () => {
+  const sender = protocol();
+  const receiver = protocol({ maxOrderedBuffer: 2 });
+  const datagrams = [0, 1, 2, 3, 4].map((n) =>
+    sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: `e${n}` }, 'events')));
+  const deliver = (datagram) => receiver.processPacket(receiver.deserialize(datagram));
+  const names = (result) => result.messages.map((message) => message.payload.name);
+
+  // 0 is lost: 1 and 2 are held, 3 and 4 do not fit
+  assert.deepStrictEqual(names(deliver(datagrams[1])), []);
+  assert.deepStrictEqual(names(deliver(datagrams[2])), []);
+  assert.strictEqual(deliver(datagrams[3]), null);
+  assert.strictEqual(deliver(datagrams[4]), null);
+
+  sender.processPacket(sender.deserialize(receiver.serialize(receiver.createAck())));
+  assert.deepStrictEqual([...sender.pendingAcks.keys()], [0, 3, 4]);
+
+  // Retransmissions fill the gap, then find room
+  assert.deepStrictEqual(names(deliver(datagrams[0])), ['e0', 'e1', 'e2']);
+  assert.deepStrictEqual(names(deliver(datagrams[3])), ['e3']);
+  assert.deepStrictEqual(names(deliver(datagrams[4])), ['e4']);
+  sender.processPacket(sender.deserialize(receiver.serialize(receiver.createAck())));
+  assert.strictEqual(sender.pendingAcks.size, 0);
+});
+
+test('createPacket still accepts the requiresAck boolean', () => {
+  const sender = protocol();
+  const reliable = sender.createPacket(MessageType.SERVER_EVENT, { name: 'a' }, true);
+  const unreliable = sender.createPacket(MessageType.SERVER_EVENT, { name: 'b' }, false);
+
+  assert.strictEqual(reliable.channel, 'reliable');
+  assert.strictEqual(reliable.requiresAck, true);
+  assert.strictEqual(unreliable.channel, 'unreliable');
+  assert.strictEqual(unreliable.requiresAck, false);
+  assert.throws(() => sender.createPacket(MessageType.SERVER_EVENT, { name: 'c' }, 'nope'), /Unknown channel/);
+});
+
+test('stats are numbers before anything was sent', () => {
+  const stats = protocol().getStats();
+  for (const [name, value] of Object.entries(stats)) {
+    if (typeof value === 'number') {
+      assert.ok(Number.isFinite(value), `${name} is ${value}`);
+    }
+  }
+  assert.strictEqual(stats.packetLossRate, 0);
+});
+
+test('packet loss rate is measured over acked and given-up datagrams', () => {
+  const sender = protocol();
+  const receiver = protocol();
+
+  // Ten unreliable datagrams, two of them lost on the way
+  for (let n = 0; n < 10; n++) {
+    const datagram = sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: `e${n}` }, 'unreliable'));
+    if (n !== 2 && n !== 4) receiver.processPacket(receiver.deserialize(datagram));
+  }
+  // Any packet back carries the ack header
+  sender.processPacket(sender.deserialize(receiver.serialize(receiver.createKeepAlive())));
+
+  const stats = sender.getStats();
+  assert.strictEqual(stats.datagramsDelivered, 8);
+  assert.strictEqual(stats.datagramsUndelivered, 2);
+  assert.strictEqual(stats.packetsLost, 0); // Nothing reliable was given up
+  assert.strictEqual(stats.packetLossRate, 0.2);
+});
+
+// Five SERVER_EVENTs on one channel, received in the given order
+function receiveOnChannel(channel, order, config = {}) {
+  const sender = protocol(config);
+  const receiver = protocol(config);
+  const datagrams = [0, 1, 2, 3, 4].map((n) =>
+    sender.serialize(sender.createPacket(MessageType.SERVER_EVENT, { name: `e${n}` }, channel)));
+  return order.map((n) => {
+    const result = receiver.processPacket(receiver.deserialize(datagrams[n]));
+    return result ? result.messages.map((message) => message.payload.name) : null;
+  });
+}
+
+test('reliable-ordered channels hold packets back until the gap is filled', () => {
+  assert.deepStrictEqual(receiveOnChannel('events', [1, 2, 0, 4, 3]), [[], [], ['e0', 'e1', 'e2'], [], ['e3', 'e4']]);
+});
+
+test('reliable-unordered channels deliver at once, each packet only once', () => {
+  assert.deepStrictEqual(receiveOnChannel('inputs', [1, 2, 0, 4, 3]), [['e1'], ['e2'], ['e0'], ['e4'], ['e3']]);
+});
+
+test('unreliable-sequenced channels drop anything older than the newest', () => {
+  assert.deepStrictEqual(receiveOnChannel('snapshots', [1, 0, 3, 2, 4]), [['e1'], null, ['e3'], null, ['e4']]);
+});
+
+test('extra channels are configured by name and delivery mode', () => {
+  const config = { channels: { voice: DeliveryMode.UNRELIABLE_SEQUENCED } };
+  assert.deepStrictEqual(receiveOnChannel('voice', [2, 1, 3], config), [['e2'], null, ['e3']]);
+  assert.throws(() => protocol({ channels: { voice: 'sometimes' } }), /Unknown delivery mode for channel voice/);
+});
+
+test('a retransmission arriving after its original is delivered once', () => {
+  const clock = new VirtualClock(0);
+  const sender = protocol({ clock });
+  const receiver = protocol({ clock });
+  const original = sender.createPacket(MessageType.SERVER_EVENT, { name: 'goal' }, 'inputs');
+  const first = sender.serialize(original);
+
+  clock.advance(1000);
+  const [retransmit] = sender.getRetransmissions();
+  assert.notStrictEqual(retransmit.sequenceId, original.sequenceId);
+
+  const names = [first, sender.serialize(retransmit)].map((datagram) => {
+    const result = receiver.processPacket(receiver.deserialize(datagram));
+    return result && result.messages.map((message) => message.payload.name);
+  });
+  assert.deepStrictEqual(names, [['goal'], null]);
+});
+
+test('acks ride in the header of whatever goes back', () => {
+  const client = protocol();
+  const server = protocol();
+  const delivered = [];
+  client.on('delivered', ({ sequenceId }) => delivered.push(sequenceId));
+
+  // Reliable packets 0-4; 2 is lost
+  for (let n = 0; n < 5; n++) {
+    const datagram = client.serialize(client.createPacket(MessageType.SERVER_EVENT, { name: `e${n}` }, 'inputs'));
+    if (n !== 2) server.processPacket(server.deserialize(datagram));
+  }
+  assert.ok(server.createAck()); // Nothing sent back yet: a standalone ACK is due
+
+  // An ordinary reply carries the acks: newest = 4, bits for 3, 1 and 0
+  const reply = client.deserialize(server.serialize(server.createPacket(MessageType.SERVER_EVENT, { name: 'reply' })));
+  assert.strictEqual(reply.ack, 4);
+  assert.strictEqual(reply.ackBits, 0b1101);
+  assert.strictEqual(server.createAck(), null);
+
+  client.processPacket(reply);
+  assert.deepStrictEqual(delivered.sort(), [0, 1, 3, 4]);
+  assert.deepStrictEqual([...client.pendingAcks.keys()], [2]);
+});
+
+test('a lost ack is covered by the bits of the next one', () => {
+  const client = protocol();
+  const server = protocol();
+  const send = (name) => server.processPacket(server.deserialize(
+    client.serialize(client.createPacket(MessageType.SERVER_EVENT, { name }, 'inputs'))));
+  const ackBack = () => server.serialize(server.createKeepAlive());
+
+  send('a');
+  ackBack(); // Lost
+  send('b');
+  client.processPacket(client.deserialize(ackBack()));
+
+  assert.strictEqual(client.pendingAcks.size, 0);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  KeyExchange,
+  HandshakeCookies,
+  SecureSession,
+  FrameMode,
+  SEAL_OVERHEAD,
+  createServerNonce
+} = require('../PacketSecurity');
+
+// Client and server sessions from one completed key exchange
+function sessions(config = {}) {
+  const client = new KeyExchange();
+  const server = new KeyExchange();
+  const nonce = createServerNonce();
+  const clientKeys = client.deriveKeys(server.publicKey, 42, nonce);
+  const serverKeys = server.deriveKeys(client.publicKey, 42, nonce);
+  return {
+    client: new SecureSession({ sendKey: clientKeys.clientToServer, receiveKey: clientKeys.serverToClient, ...config }),
+    server: new SecureSession({ sendKey: serverKeys.serverToClient, receiveKey: serverKeys.clientToServer, ...config })
+  };
+}
+
+test('both sides derive the same keys, one per direction, fresh per nonce', () => {
+  const client = new KeyExchange();
+  const server = new KeyExchange();
+  const nonce = createServerNonce();
+
+  const clientKeys = client.deriveKeys(server.publicKey, 7, nonce);
+  const serverKeys = server.deriveKeys(client.publicKey, 7, nonce);
+  assert.ok(clientKeys.clientToServer.equals(serverKeys.clientToServer));
+  assert.ok(clientKeys.serverToClient.equals(serverKeys.serverToClient));
+  assert.ok(!clientKeys.clientToServer.equals(clientKeys.serverToClient));
+
+  // A replayed handshake meets a new nonce
+  assert.ok(!server.deriveKeys(client.publicKey, 7, createServerNonce()).clientToServer.equals(serverKeys.clientToServer));
+
+  assert.strictEqual(server.deriveKeys(Buffer.alloc(65, 7), 7, nonce), null);
+  assert.strictEqual(server.deriveKeys(client.publicKey, 7, Buffer.alloc(3)), null);
+});
+
+test('sealed datagrams open on the other side, in clear or encrypted', () => {
+  const data = Buffer.from('input: moveX=1');
+
+  const plain = sessions();
+  const authenticated = plain.client.seal(data);
+  assert.strictEqual(authenticated.length, data.length + SEAL_OVERHEAD);
+  assert.strictEqual(authenticated[0], FrameMode.AUTHENTICATED);
+  assert.ok(authenticated.includes(data));
+  assert.deepStrictEqual(plain.server.open(authenticated), data);
+
+  const secret = sessions({ encrypt: true });
+  const encrypted = secret.client.seal(data);
+  assert.strictEqual(encrypted[0], FrameMode.ENCRYPTED);
+  assert.ok(!encrypted.includes(data));
+  assert.deepStrictEqual(secret.server.open(encrypted), data);
+});
+
+test('tampered, truncated and reflected datagrams are rejected', () => {
+  const { client, server } = sessions();
+  const sealed = client.seal(Buffer.from('snapshot'));
+
+  // Mode byte, counter, body and tag are all covered
+  for (const offset of [0, 3, 10, sealed.length - 1]) {
+    const forged = Buffer.from(sealed);
+    forged[offset] ^= 1;
+    assert.strictEqual(server.open(forged), null, `byte ${offset}`);
+  }
+  assert.strictEqual(server.open(sealed.subarray(0, SEAL_OVERHEAD - 1)), null);
+  assert.strictEqual(client.open(client.seal(Buffer.from('echo'))), null);
+  assert.strictEqual(server.getStats().authFailures, 5);
+
+  // Forgeries do not poison the replay window for the genuine datagram
+  assert.deepStrictEqual(server.open(sealed), Buffer.from('snapshot'));
+});
+
+test('repeats and datagrams behind the window are rejected, reordering is not', () => {
+  const { client, server } = sessions({ replayWindow: 8 });
+  const sealed = Array.from({ length: 20 }, (_, i) => client.seal(Buffer.from([i])));
+
+  assert.ok(server.open(sealed[5]));
+  assert.ok(server.open(sealed[2])); // Late but within the window
+  assert.strictEqual(server.open(sealed[5]), null);
+  assert.strictEqual(server.open(sealed[2]), null);
+
+  assert.ok(server.open(sealed[19]));
+  assert.ok(server.open(sealed[12]));
+  assert.strictEqual(server.open(sealed[11]), null); // 19 - 8: left the window
+
+  const stats = server.getStats();
+  assert.strictEqual(stats.packetsOpened, 4);
+  assert.strictEqual(stats.replaysRejected, 3);
+  assert.strictEqual(stats.authFailures, 0);
+});
+
+test('challenge cookies are bound to address, key and time', () => {
+  const cookies = new HandshakeCookies({ lifetime: 1000 });
+  const key = new KeyExchange().publicKey;
+  const other = new KeyExchange().publicKey;
+
+  const { challenge, publicKey } = cookies.issue('alice', key, 500);
+  const keyExchange = cookies.verify('alice', key, challenge, 1900);
+  assert.ok(keyExchange);
+  assert.ok(keyExchange.publicKey.equals(publicKey));
+
+  assert.strictEqual(cookies.verify('mallory', key, challenge, 600), null);
+  assert.strictEqual(cookies.verify('alice', other, challenge, 600), null);
+  assert.strictEqual(cookies.verify('alice', key, challenge + 1, 600), null);
+  assert.strictEqual(cookies.verify('alice', key, challenge, 2000), null); // Two buckets later
+
+  // Every handshake of a bucket shares one server key pair
+  assert.ok(cookies.issue('bob', other, 900).publicKey.equals(publicKey));
+});
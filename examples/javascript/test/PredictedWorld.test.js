@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PredictedWorld = require('../PredictedWorld');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+const { FixedPoint } = require('../FixedPoint');
+
+test('ClientPrediction options pass through to the world', () => {
+  const clock = new VirtualClock(5000);
+  const world = new PredictedWorld({
+    clock,
+    visualHalfLife: 40,
+    snapDistance: 12,
+    inputRedundancy: 2,
+    tickRate: 30,
+    logger: silentLogger
+  });
+
+  assert.strictEqual(world.clock, clock);
+  assert.strictEqual(world.visualHalfLife, 40);
+  assert.strictEqual(world.snapDistance, 12);
+  assert.strictEqual(world.inputRedundancy, 2);
+  assert.strictEqual(world.tickRate, 30);
+  assert.deepStrictEqual(world.predictedState, { entities: {} });
+});
+
+test('spawns and despawns adopt the server world without a misprediction', () => {
+  const world = new PredictedWorld({ localEntityIds: ['player'], logger: silentLogger });
+  const mispredictions = [];
+  world.on('misprediction', (event) => mispredictions.push(event));
+
+  world.onServerSnapshot({ tick: 0, lastAckedInput: 0, state: { entities: [{ id: 'player', x: 0, y: 0 }] } });
+  world.applyInput({ moveX: 1, moveY: 0 });
+  world.applyInput({ moveX: 1, moveY: 0 });
+
+  // Input 1 as predicted, plus a crate the client could not know about
+  world.onServerSnapshot({
+    tick: 1,
+    lastAckedInput: 1,
+    state: { entities: [{ id: 'player', x: 5, y: 0, velocityX: 5 }, { id: 'crate', x: 30, y: 0 }] }
+  });
+  assert.deepStrictEqual(world.getEntityIds(), ['player', 'crate']);
+  assert.strictEqual(world.getEntity('player').x, 10); // Input 2 replayed
+
+  // The crate goes away again
+  world.onServerSnapshot({
+    tick: 2,
+    lastAckedInput: 2,
+    state: { entities: [{ id: 'player', x: 10, y: 0, velocityX: 5 }] }
+  });
+  assert.deepStrictEqual(world.getEntityIds(), ['player']);
+  assert.deepStrictEqual(mispredictions, []);
+});
+
+test('a wrong shared entity is still a misprediction when another one spawns', () => {
+  const world = new PredictedWorld({ localEntityIds: ['player'], logger: silentLogger });
+  const mispredictions = [];
+  world.on('misprediction', (event) => mispredictions.push(event));
+
+  world.onServerSnapshot({ tick: 0, lastAckedInput: 0, state: { entities: [{ id: 'player', x: 0, y: 0 }] } });
+  world.applyInput({ moveX: 1, moveY: 0 });
+  world.onServerSnapshot({
+    tick: 1,
+    lastAckedInput: 1,
+    state: { entities: [{ id: 'player', x: 2, y: 0, velocityX: 5 }, { id: 'crate', x: 30, y: 0 }] }
+  });
+
+  assert.deepStrictEqual(mispredictions, [{ ackedInput: 1, serverTick: 1, divergence: 3 }]);
+  assert.strictEqual(world.getEntity('player').x, 2);
+});
+
+test('deterministic worlds step every entity in fixed point', () => {
+  const world = new PredictedWorld({ deterministic: true, localEntityIds: ['player'], logger: silentLogger });
+  const drift = FixedPoint.fromFloat(0.1);
+  const mispredictions = [];
+  world.on('misprediction', (event) => mispredictions.push(event));
+
+  world.onServerSnapshot({
+    tick: 0,
+    lastAckedInput: 0,
+    state: { entities: [{ id: 'player', x: 0, y: 0 }, { id: 'crate', x: 0, y: 0, velocityX: drift }] }
+  });
+  for (let i = 0; i < 3; i++) {
+    world.applyInput({ moveX: 1, moveY: 0 });
+  }
+
+  assert.strictEqual(world.entityStep, PredictedWorld.fixedPointEntityStep);
+  assert.strictEqual(world.getEntity('player').x, FixedPoint.fromInt(15));
+  assert.strictEqual(world.getEntity('crate').x, FixedPoint.add(FixedPoint.add(drift, drift), drift));
+
+  // The server ran the same integer math: agreement is exact
+  world.onServerSnapshot({
+    tick: 1,
+    lastAckedInput: 1,
+    state: {
+      entities: [
+        { id: 'player', x: FixedPoint.fromInt(5), y: 0, velocityX: FixedPoint.fromInt(5) },
+        { id: 'crate', x: drift, y: 0, velocityX: drift }
+      ]
+    }
+  });
+  assert.deepStrictEqual(mispredictions, []);
+  assert.strictEqual(world.getEntity('crate').x, FixedPoint.add(FixedPoint.add(drift, drift), drift));
+});
+
+test('a rollback resimulates entities the local player pushed', () => {
+  // The player pushes the crate along whenever they overlap
+  const push = (entities) => {
+    const { player, crate } = entities;
+    if (player && crate && crate.x - player.x < 10) crate.x = player.x + 10;
+  };
+  const world = new PredictedWorld({ localEntityIds: ['player'], interact: push, logger: silentLogger });
+  const rollbacks = [];
+  world.on('rollback', (event) => rollbacks.push(event));
+
+  world.onServerSnapshot({ tick: 0, lastAckedInput: 0, state: { entities: [{ id: 'player', x: 0, y: 0 }, { id: 'crate', x: 12, y: 0 }] } });
+  for (let i = 0; i < 3; i++) {
+    world.applyInput({ moveX: 1, moveY: 0 });
+  }
+  assert.strictEqual(world.getEntity('crate').x, 25);
+
+  // The server held the player back at input 1: the crate was never pushed
+  world.onServerSnapshot({
+    tick: 1,
+    lastAckedInput: 1,
+    state: { entities: [{ id: 'player', x: 0, y: 0 }, { id: 'crate', x: 12, y: 0 }] }
+  });
+  assert.deepStrictEqual(rollbacks.map((event) => event.replayed), [0, 2]);
+  assert.strictEqual(world.getEntity('player').x, 10);
+  assert.strictEqual(world.getEntity('crate').x, 20);
+  assert.strictEqual(world.serverEntities.get('crate').state.x, 12);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SnapshotInterpolation = require('../SnapshotInterpolation');
+const { DeltaEncoder, DeltaDecoder } = require('../DeltaCompression');
+const { NetworkProtocol } = require('../NetworkProtocol');
+const { silentLogger } = require('../Logger');
+
+// Snapshots are 50ms apart on the server clock
+const timeSync = { getServerTime: () => 0, serverTickToTime: (tick) => tick * 50 };
+
+function worldAt(tick) {
+  return {
+    entities: [
+      { id: 1, x: tick * 10, y: 0 },
+      { id: 2, x: 100, y: tick * 4 }
+    ]
+  };
+}
+
+// Server encodes and serializes; the client deserializes into interpolation
+function pipeline(decoder) {
+  const serverProto = new NetworkProtocol({ logger: silentLogger });
+  const clientProto = new NetworkProtocol({ logger: silentLogger });
+  const encoder = new DeltaEncoder({ logger: silentLogger });
+  const interpolation = new SnapshotInterpolation({ timeSync, decoder, logger: silentLogger });
+
+  const send = (tick, { lost = false } = {}) => {
+    const { state, isDelta } = encoder.encode(tick, worldAt(tick));
+    const packet = serverProto.createSnapshot(tick, state, isDelta);
+    packet.payload.timestamp = tick * 50;
+    const received = clientProto.deserialize(serverProto.serialize(packet));
+    if (lost) return isDelta;
+    interpolation.onPacket(received);
+    encoder.acknowledge(interpolation.decoder.getAck());
+    return isDelta;
+  };
+  return { interpolation, encoder, send };
+}
+
+test('delta snapshots round-trip through interpolation', () => {
+  const { interpolation, encoder, send } = pipeline();
+
+  const kinds = [1, 2, 3, 4].map((tick) => send(tick));
+
+  assert.deepStrictEqual(kinds, [false, true, true, true]);
+  assert.strictEqual(encoder.getStats().deltaSnapshots, 3);
+  assert.strictEqual(interpolation.snapshotsReceived, 4);
+  assert.deepStrictEqual(interpolation.getEntityState(1, 125), { x: 25, y: 0 });
+  assert.deepStrictEqual(interpolation.getEntityState(2, 175), { x: 100, y: 14 });
+});
+
+test('a lost delta does not break the ones after it', () => {
+  const { interpolation, send } = pipeline();
+
+  send(1);
+  send(2);
+  assert.strictEqual(send(3, { lost: true }), true);
+  send(4);
+
+  const ticks = interpolation.buffers.get('1').map((sample) => sample.tick);
+  assert.deepStrictEqual(ticks, [1, 2, 4]);
+  assert.deepStrictEqual(interpolation.getEntityState(1, 150), { x: 30, y: 0 });
+});
+
+test('a delta against an unknown baseline is dropped, not thrown', () => {
+  const decoder = new DeltaDecoder({ logger: silentLogger });
+  const interpolation = new SnapshotInterpolation({ timeSync, decoder, logger: silentLogger });
+
+  assert.doesNotThrow(() => interpolation.onPacket(new NetworkProtocol({ logger: silentLogger })
+    .createSnapshot(5, { baselineTick: 3, added: [], changed: [{ id: 1, x: 1 }], removed: [] }, true)));
+
+  assert.strictEqual(interpolation.snapshotsDropped, 1);
+  assert.strictEqual(decoder.missingBaselines, 1);
+  assert.strictEqual(interpolation.buffers.size, 0);
+});
+
+// Full snapshots straight into the buffer; render time = server time - 100ms
+function buffered(config = {}) {
+  let serverTime = 0;
+  const clockedSync = { getServerTime: () => serverTime, serverTickToTime: (tick) => tick * 50 };
+  const interpolation = new SnapshotInterpolation({ timeSync: clockedSync, logger: silentLogger, ...config });
+  return { interpolation, setServerTime: (time) => { serverTime = time; } };
+}
+
+test('remote entities are rendered between the two snapshots around render time', () => {
+  const { interpolation, setServerTime } = buffered();
+  for (const tick of [1, 2, 3]) {
+    interpolation.addSnapshot({ tick, state: worldAt(tick) });
+  }
+
+  setServerTime(175); // Render time 75: halfway between ticks 1 and 2
+  assert.deepStrictEqual(interpolation.getRenderStates(), new Map([
+    ['1', { x: 15, y: 0 }],
+    ['2', { x: 100, y: 6 }]
+  ]));
+  assert.strictEqual(interpolation.getStats().extrapolatedFrames, 0);
+});
+
+test('late and duplicate snapshots are slotted in or dropped', () => {
+  const { interpolation } = buffered();
+  interpolation.addSnapshot({ tick: 1, state: worldAt(1) });
+  interpolation.addSnapshot({ tick: 3, state: worldAt(3) });
+  interpolation.addSnapshot({ tick: 2, state: worldAt(2) }); // Late, still inside the buffer
+  interpolation.addSnapshot({ tick: 2, state: worldAt(2) }); // Duplicate
+
+  assert.deepStrictEqual(interpolation.buffers.get('1').map((sample) => sample.tick), [1, 2, 3]);
+  assert.strictEqual(interpolation.getStats().snapshotsDropped, 2); // One per entity
+});
+
+test('extrapolation past the newest snapshot is bounded', () => {
+  const { interpolation } = buffered({ maxExtrapolation: 100 });
+  interpolation.addSnapshot({ tick: 1, state: worldAt(1) });
+  interpolation.addSnapshot({ tick: 2, state: worldAt(2) });
+
+  assert.deepStrictEqual(interpolation.getEntityState(1, 150), { x: 30, y: 0 });
+  assert.deepStrictEqual(interpolation.getEntityState(1, 10000), { x: 40, y: 0 }); // Held at +100ms
+  assert.strictEqual(interpolation.getStats().extrapolatedFrames, 2);
+});
+
+test('excluded and stale entities are not rendered', () => {
+  const { interpolation, setServerTime } = buffered({ excludeIds: [2], staleTimeout: 500 });
+  interpolation.addSnapshot({ tick: 1, state: worldAt(1) });
+  assert.deepStrictEqual([...interpolation.buffers.keys()], ['1']);
+
+  setServerTime(50 + 100 + 501);
+  assert.strictEqual(interpolation.getRenderStates().size, 0);
+  assert.strictEqual(interpolation.getStats().entities, 0);
+});
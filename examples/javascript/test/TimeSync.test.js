@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TimeSync = require('../TimeSync');
+const { NetworkProtocol } = require('../NetworkProtocol');
+const { VirtualClock } = require('../Clock');
+const { silentLogger } = require('../Logger');
+
+const TICK_RATE = 60;
+const TICK = 1000 / TICK_RATE;
+
+// Client clock runs 250ms ahead of the server's; the server ticks from 0
+function setup() {
+  const clock = new VirtualClock(10000);
+  const serverClock = { now: () => clock.now() - 250 };
+  const client = new TimeSync({ tickRate: TICK_RATE, clock, logger: silentLogger });
+  const server = new TimeSync({ tickRate: TICK_RATE, clock: serverClock, logger: silentLogger });
+  const trueTick = () => serverClock.now() / TICK;
+
+  // One exchange: uplink, server hold and downlink (ms)
+  const sync = (up, hold, down) => {
+    const request = client.createSyncRequest();
+    clock.advance(up);
+    const receiveTime = server.getLocalTime();
+    clock.advance(hold);
+    const response = server.handleSyncRequest(request, trueTick(), receiveTime);
+    clock.advance(down);
+    client.processSyncResponse(response);
+  };
+  return { clock, client, trueTick, sync };
+}
+
+test('tick estimate is exact on a symmetric path', () => {
+  const { clock, client, trueTick, sync } = setup();
+
+  sync(40, 10, 40);
+  assert.ok(Math.abs(client.getExactServerTick() - trueTick()) < 1e-9);
+
+  clock.advance(500);
+  assert.ok(Math.abs(client.getExactServerTick() - trueTick()) < 1e-9);
+});
+
+test('tick estimate under asymmetric delay is off only by the offset error', () => {
+  const { clock, client, trueTick, sync } = setup();
+  const up = 10;
+  const down = 70;
+
+  for (let i = 0; i < 5; i++) {
+    sync(up, 5, down);
+    clock.advance(200);
+  }
+
+  // The four timestamps cannot see asymmetry: the offset is off by half of it,
+  // and the tick estimate must not be off by more (not the whole downlink)
+  const expectedError = (up - down) / 2 / TICK;
+  const error = client.getExactServerTick() - trueTick();
+  assert.ok(Math.abs(error - expectedError) < 1e-6, `error ${error} ticks, expected ${expectedError}`);
+  assert.ok(Math.abs(error) * TICK <= client.getOffsetConfidence().maxError);
+
+  // And it agrees with getServerTime()
+  assert.ok(Math.abs(client.getExactServerTick() - client.getServerTime() / TICK) < 1e-6);
+});
+
+test('offset between syncs follows the fitted drift line', () => {
+  const clock = new VirtualClock(10000);
+  // Server clock runs 200ppm slow
+  const serverClock = { now: () => clock.now() * (1 - 200e-6) - 250 };
+  const client = new TimeSync({ tickRate: TICK_RATE, clock, logger: silentLogger });
+  const server = new TimeSync({ tickRate: TICK_RATE, clock: serverClock, logger: silentLogger });
+
+  for (let i = 0; i < 20; i++) {
+    const request = client.createSyncRequest();
+    clock.advance(40);
+    const response = server.handleSyncRequest(request, 0);
+    clock.advance(40);
+    client.processSyncResponse(response);
+    clock.advance(920);
+  }
+  assert.ok(Math.abs(client.getSyncQuality().driftPpm - 200) < 1e-3);
+
+  // Symmetric, noiseless samples lie exactly on the line: no lag behind it
+  clock.advance(30000);
+  assert.ok(Math.abs(client.getServerTime() - serverClock.now()) < 1e-6);
+});
+
+test('reported offset is the one getServerTime applies', () => {
+  const clock = new VirtualClock(10000);
+  // Server clock runs 200ppm slow
+  const serverClock = { now: () => clock.now() * (1 - 200e-6) - 250 };
+  const client = new TimeSync({ tickRate: TICK_RATE, clock, logger: silentLogger });
+  const server = new TimeSync({ tickRate: TICK_RATE, clock: serverClock, logger: silentLogger });
+  const events = [];
+  client.on('syncUpdated', (event) => events.push(event));
+
+  for (let i = 0; i < 20; i++) {
+    const request = client.createSyncRequest();
+    clock.advance(40);
+    const response = server.handleSyncRequest(request, 0);
+    clock.advance(40);
+    client.processSyncResponse(response);
+    const applied = clock.now() - client.getServerTime();
+    assert.ok(Math.abs(events[i].clockOffset - applied) < 1e-6);
+    clock.advance(920);
+  }
+
+  // The smoothed estimate lags the drifting clock; the reported offset does not
+  const quality = client.getSyncQuality();
+  assert.ok(Math.abs(quality.clockOffset - (clock.now() - client.getServerTime())) < 1e-6);
+  assert.ok(Math.abs(quality.smoothedOffset - quality.clockOffset) > 0.01);
+});
+
+test('one delayed response is rejected instead of skewing the offset', () => {
+  const { clock, client, sync } = setup();
+  const accepted = [];
+  client.on('syncUpdated', (event) => accepted.push(event.accepted));
+
+  for (const down of [40, 41, 39, 40, 42, 40]) {
+    sync(40, 5, down);
+    clock.advance(1000);
+  }
+  const before = client.getSyncQuality();
+  assert.ok(Math.abs(before.offsetConfidence.offset - 250) < 1);
+
+  // 300ms stuck in a queue on the way back: offset sample off by 150ms
+  sync(40, 5, 340);
+  const after = client.getSyncQuality();
+  assert.deepStrictEqual(accepted, [true, true, true, true, true, true, false]);
+  assert.strictEqual(after.samplesRejected, 1);
+  assert.strictEqual(after.offsetConfidence.offset, before.offsetConfidence.offset);
+  // Smoothing keeps converging on the estimate, not on the outlier
+  const target = before.offsetConfidence.offset;
+  assert.ok(Math.abs(after.smoothedOffset - target) < Math.abs(before.smoothedOffset - target));
+  assert.ok(!client.driftHistory.some((sample) => sample.rtt > 300));
+
+  // The latency was real, though: RTT statistics see it
+  assert.ok(after.smoothedRtt > before.smoothedRtt + 30);
+});
+
+test('the offset comes from the lowest-RTT samples', () => {
+  const { clock, client, sync } = setup();
+
+  // Fixed uplink, a downlink with varying queueing: the more delay, the
+  // further the sample's offset rises above the true 250ms
+  for (const down of [55, 30, 65, 31, 45, 60, 32, 50]) {
+    sync(30, 0, down);
+    clock.advance(1000);
+  }
+  assert.strictEqual(client.getSyncQuality().samplesRejected, 0);
+
+  const mean = client.samples.reduce((sum, sample) => sum + sample.offset, 0) / client.samples.length;
+  assert.ok(mean > 255);
+
+  // Best three (down 30, 31, 32) → 250, 250.5, 251
+  const confidence = client.getOffsetConfidence();
+  assert.strictEqual(confidence.offset, 250.5);
+  assert.ok(confidence.lower <= 250 && confidence.upper >= 250);
+  assert.ok(Math.abs(confidence.margin - 1.96 * 0.5 / Math.sqrt(3)) < 1e-9);
+  assert.strictEqual(confidence.maxError, 30); // Half the best round trip
+});
+
+test('an unusually fast response is never an outlier', () => {
+  const { clock, client, sync } = setup();
+  for (let i = 0; i < 6; i++) {
+    sync(40, 0, 40);
+    clock.advance(1000);
+  }
+
+  sync(5, 0, 5);
+  assert.strictEqual(client.getSyncQuality().samplesRejected, 0);
+  assert.strictEqual(client.getOffsetConfidence().maxError, 5);
+});
+
+test('the first few samples are taken as they come', () => {
+  const { clock, client, sync } = setup();
+  assert.strictEqual(client.getOffsetConfidence(), null);
+
+  for (const down of [40, 40, 400]) {
+    sync(40, 0, down);
+    clock.advance(1000);
+  }
+
+  assert.strictEqual(client.getSyncQuality().samplesRejected, 0);
+  // Too few to tell a bad sample from a changed network: it counts, and widens the margin
+  const confidence = client.getOffsetConfidence();
+  assert.strictEqual(confidence.offset, 310);
+  assert.ok(confidence.margin > 100);
+});
+
+test('the time scale is proportional to the tick error, within its band', () => {
+  const client = new TimeSync({ tickRate: 50, logger: silentLogger });
+
+  assert.strictEqual(client.getTimeScale(0), 1);
+  // 0.5 tick = 10ms, worked off over 500ms → 2% fast
+  assert.ok(Math.abs(client.getTimeScale(0.5) - 1.02) < 1e-12);
+  assert.ok(Math.abs(client.getTimeScale(-0.5) - 0.98) < 1e-12);
+  assert.strictEqual(client.getTimeScale(40), 1.03);
+  assert.strictEqual(client.getTimeScale(-40), 0.97);
+
+  const gentle = new TimeSync({ tickRate: 50, maxTimeScaleDelta: 0.01, timeScaleConvergence: 1000, logger: silentLogger });
+  assert.ok(Math.abs(gentle.getTimeScale(0.25) - 1.005) < 1e-12);
+  assert.strictEqual(gentle.getTimeScale(5), 1.01);
+});
+
+test('time the request waits on the server is neither RTT nor offset', () => {
+  const { client, sync } = setup();
+  const events = [];
+  client.on('syncUpdated', (event) => events.push(event));
+
+  // Held 200ms until the next server frame
+  sync(30, 200, 30);
+
+  assert.strictEqual(events[0].rtt, 60);
+  assert.strictEqual(events[0].processingTime, 200);
+  assert.strictEqual(client.getOffsetConfidence().offset, 250);
+  assert.strictEqual(client.smoothedRtt, 60);
+});
+
+test('the four timestamps survive the wire', () => {
+  const clock = new VirtualClock(10000);
+  const serverClock = new VirtualClock(0);
+  const client = new TimeSync({ tickRate: TICK_RATE, clock, logger: silentLogger });
+  const clientProto = new NetworkProtocol({ clock, logger: silentLogger });
+  const serverProto = new NetworkProtocol({ role: 'server', clock: serverClock, logger: silentLogger });
+  const tick = (ms) => {
+    clock.advance(ms);
+    serverClock.advance(ms);
+  };
+
+  const request = serverProto.deserialize(clientProto.serialize(clientProto.createTimeSyncRequest()));
+  tick(25);
+  const receivedAt = serverClock.now();
+  tick(12); // Queued behind the server tick
+  const reply = serverProto.createTimeSyncResponse(request.payload.clientSendTime, 42, receivedAt);
+  const response = clientProto.deserialize(serverProto.serialize(reply));
+  tick(25);
+
+  assert.deepStrictEqual(response.payload, {
+    clientSendTime: 10000,
+    serverReceiveTime: 25,
+    serverSendTime: 37,
+    serverTick: 42
+  });
+  const events = [];
+  client.on('syncUpdated', (event) => events.push(event));
+  client.processSyncResponse(response.payload);
+  assert.strictEqual(events[0].rtt, 50);
+  assert.strictEqual(events[0].clockOffset, 10000);
+
+  // Answered on arrival: receive and send time coincide
+  const immediate = serverProto.createTimeSyncResponse(0, 43).payload;
+  assert.strictEqual(immediate.serverReceiveTime, immediate.serverSendTime);
+});
+
+test('drift waits for enough samples, ignores outliers and is clamped', () => {
+  const clock = new VirtualClock(10000);
+  let rate = 1 - 100e-6; // Server clock 100ppm slow
+  let serverBase = 0;
+  let anchor = 10000;
+  const serverClock = { now: () => serverBase + (clock.now() - anchor) * rate - 250 };
+  const client = new TimeSync({ tickRate: TICK_RATE, clock, logger: silentLogger });
+  const server = new TimeSync({ tickRate: TICK_RATE, clock: serverClock, logger: silentLogger });
+  const sync = (down = 40) => {
+    const request = client.createSyncRequest();
+    clock.advance(40);
+    const response = server.handleSyncRequest(request, 0);
+    clock.advance(down);
+    client.processSyncResponse(response);
+    clock.advance(1000);
+  };
+
+  for (let i = 0; i < client.minDriftSamples - 1; i++) sync();
+  assert.strictEqual(client.clockDrift, 0);
+  assert.strictEqual(client.driftFit, null);
+
+  for (let i = 0; i < 10; i++) sync();
+  const drift = client.getSyncQuality().driftPpm;
+  assert.ok(Math.abs(drift - 100) < 1e-3);
+
+  // A response stuck in a queue is rejected and leaves the line alone
+  sync(400);
+  assert.strictEqual(client.getSyncQuality().driftPpm, drift);
+
+  // An implausible rate is capped at maxDrift
+  serverBase = serverClock.now() + 250;
+  anchor = clock.now();
+  rate = 1 - 5000e-6;
+  for (let i = 0; i < 40; i++) sync();
+  assert.strictEqual(client.getSyncQuality().driftPpm, client.maxDrift);
+});
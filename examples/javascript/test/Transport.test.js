@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const { WebSocketTransport, WebSocketServerTransport, UdpTransport, LoopbackNetwork, addressKey } = require('../Transport');
+const { ConnectionServer, connectClient } = require('../ConnectionServer');
+const { createLogger, silentLogger } = require('../Logger');
+
+// Browser-style WebSocket stand-in: addEventListener, readyState, send
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.sent = [];
+  }
+
+  addEventListener(type, listener) {
+    this.on(type, listener);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {
+    this.readyState = 3;
+    this.emit('close', {});
+  }
+
+  receive(data) {
+    this.emit('message', { data });
+  }
+}
+
+// One turn of the event loop: loopback deliveries land
+const nextTurn = () => new Promise((resolve) => setImmediate(resolve));
+
+// Logger that records warnings and errors
+function recordingLogger() {
+  const lines = [];
+  const record = (...args) => lines.push(args.join(' '));
+  const logger = createLogger({ level: 'warn', sink: { debug: record, info: record, warn: record, error: record } });
+  return { logger, lines };
+}
+
+test('WebSocketTransport delivers binary frames as Buffers', () => {
+  const socket = new FakeSocket();
+  const transport = new WebSocketTransport(socket, { logger: silentLogger });
+  const received = [];
+  transport.on('message', (data, address) => received.push([data, address]));
+
+  const bytes = new Uint8Array([9, 1, 2, 3]);
+  socket.receive(bytes.buffer);
+  socket.receive(bytes.subarray(1));
+  socket.receive(Buffer.from([7]));
+
+  assert.strictEqual(socket.binaryType, 'arraybuffer');
+  assert.deepStrictEqual(received, [
+    [Buffer.from([9, 1, 2, 3]), 'server'],
+    [Buffer.from([1, 2, 3]), 'server'],
+    [Buffer.from([7]), 'server']
+  ]);
+});
+
+test('WebSocketTransport logs and drops text frames', () => {
+  const socket = new FakeSocket();
+  const { logger, lines } = recordingLogger();
+  const transport = new WebSocketTransport(socket, { logger });
+  const received = [];
+  transport.on('message', (data) => received.push(data));
+
+  assert.doesNotThrow(() => socket.receive('hello'));
+  socket.receive(new Uint8Array([1]).buffer);
+
+  assert.deepStrictEqual(received, [Buffer.from([1])]);
+  assert.strictEqual(lines.length, 1);
+  assert.match(lines[0], /Non-binary WebSocket frame dropped/);
+});
+
+test('WebSocketTransport only sends while open and reports close as disconnect', () => {
+  const socket = new FakeSocket();
+  const transport = new WebSocketTransport(socket, { logger: silentLogger });
+  const events = [];
+  transport.on('disconnect', (address) => events.push(`disconnect ${address}`));
+  transport.on('close', () => events.push('close'));
+
+  socket.readyState = 0;
+  transport.send(Buffer.from([1]));
+  socket.readyState = 1;
+  transport.send(Buffer.from([2]));
+  transport.close();
+  transport.send(Buffer.from([3]));
+
+  assert.deepStrictEqual(socket.sent, [Buffer.from([2])]);
+  assert.deepStrictEqual(events, ['disconnect server', 'close']);
+});
+
+test('WebSocketServerTransport gives each socket an address', () => {
+  const server = new EventEmitter();
+  server.close = () => {};
+  const transport = new WebSocketServerTransport(server, { logger: silentLogger });
+  const received = [];
+  const disconnected = [];
+  transport.on('message', (data, address) => received.push([data.toString(), address]));
+  transport.on('disconnect', (address) => disconnected.push(address));
+
+  const first = new FakeSocket();
+  const second = new FakeSocket();
+  server.emit('connection', first);
+  server.emit('connection', second);
+  second.receive(Buffer.from('b'));
+  first.receive(Buffer.from('a'));
+  first.receive('text');
+  transport.send(Buffer.from('to second'), 2);
+
+  assert.deepStrictEqual(received, [['b', 2], ['a', 1]]);
+  assert.deepStrictEqual(second.sent, [Buffer.from('to second')]);
+
+  first.close();
+  transport.send(Buffer.from('gone'), 1);
+  assert.deepStrictEqual(disconnected, [1]);
+  assert.deepStrictEqual(first.sent, []);
+});
+
+test('socket errors without an error listener are logged, not thrown', () => {
+  const socket = new FakeSocket();
+  const { logger, lines } = recordingLogger();
+  new WebSocketTransport(socket, { logger });
+  assert.doesNotThrow(() => socket.emit('error', { error: new Error('reset') }));
+
+  const udpSocket = new EventEmitter();
+  new UdpTransport({ socket: udpSocket, logger });
+  assert.doesNotThrow(() => udpSocket.emit('error', new Error('EADDRINUSE')));
+
+  assert.strictEqual(lines.length, 2);
+  assert.match(lines[0], /reset/);
+  assert.match(lines[1], /EADDRINUSE/);
+});
+
+test('loopback delivers a copy on the next turn, from the sender address', async () => {
+  const network = new LoopbackNetwork();
+  const a = network.bind({ address: '10.0.0.1', port: 7 });
+  const b = network.bind('b');
+  const received = [];
+  b.on('message', (data, address) => received.push([data, address]));
+
+  const data = Buffer.from([1, 2, 3]);
+  a.send(data, 'b');
+  data[0] = 9;
+  assert.deepStrictEqual(received, []);
+
+  await nextTurn();
+  assert.deepStrictEqual(received, [[Buffer.from([1, 2, 3]), { address: '10.0.0.1', port: 7 }]]);
+  assert.strictEqual(addressKey(received[0][1]), '10.0.0.1:7');
+});
+
+test('loopback addresses are exclusive until closed', async () => {
+  const network = new LoopbackNetwork();
+  const sender = network.bind('a');
+  const first = network.bind('b');
+  assert.throws(() => network.bind('b'), /Loopback address in use: b/);
+
+  const received = [];
+  first.on('message', () => received.push('first'));
+  sender.send(Buffer.from([1]), 'b');
+  first.close();
+  await nextTurn();
+  assert.deepStrictEqual(received, []);
+
+  const second = network.bind('b');
+  second.on('message', () => received.push('second'));
+  sender.send(Buffer.from([2]), 'b');
+  sender.send(Buffer.from([3]), 'nobody');
+  await nextTurn();
+  assert.deepStrictEqual(received, ['second']);
+});
+
+test('a loopback conditioner decides when and how often each datagram arrives', async () => {
+  const held = [];
+  const network = new LoopbackNetwork({
+    conditioner: (data, deliver) => {
+      if (data[0] === 0) return; // Lost
+      if (data[0] === 2) deliver(data); // Duplicated
+      held.push(() => deliver(data));
+    }
+  });
+  const sender = network.bind('a');
+  const receiver = network.bind('b');
+  const received = [];
+  receiver.on('message', (data) => received.push(data[0]));
+
+  for (const value of [0, 1, 2]) sender.send(Buffer.from([value]), 'b');
+  assert.deepStrictEqual(received, [2]);
+  held.reverse().forEach((deliver) => deliver());
+  assert.deepStrictEqual(received, [2, 2, 1]);
+});
+
+test('UdpTransport exchanges datagrams over localhost', async (t) => {
+  const server = new UdpTransport({ logger: silentLogger });
+  const client = new UdpTransport({ logger: silentLogger });
+  t.after(() => {
+    server.close();
+    client.close();
+  });
+  const serverAddress = await server.bind(0, '127.0.0.1');
+  const clientAddress = await client.bind(0, '127.0.0.1');
+
+  server.on('message', (data, address) => server.send(Buffer.from(`pong ${data}`), address));
+  const reply = new Promise((resolve) => client.once('message', (data, address) => resolve([data.toString(), address])));
+  client.send(Buffer.from('ping'), serverAddress);
+
+  const [text, from] = await reply;
+  assert.strictEqual(text, 'pong ping');
+  assert.deepStrictEqual(from, serverAddress);
+  assert.notStrictEqual(clientAddress.port, serverAddress.port);
+});
+
+test('connections run unchanged over the loopback transport', async () => {
+  const network = new LoopbackNetwork();
+  const server = new ConnectionServer({ transport: network.bind('server'), logger: silentLogger });
+  const client = connectClient(network.bind('client'), 'server', { playerId: 'p1', logger: silentLogger });
+  const messages = [];
+  server.on('message', (connection, { payload }) => messages.push(payload.sequence));
+
+  client.connect();
+  for (let turn = 0; turn < 20 && !client.isConnected(); turn++) {
+    await nextTurn();
+    server.update();
+    client.update();
+  }
+  assert.ok(client.isConnected());
+  assert.strictEqual(server.getClientCount(), 1);
+
+  client.send(client.protocol.createInput(1, { moveX: 1, moveY: 0 }, 0, 1));
+  await nextTurn();
+  assert.deepStrictEqual(messages, [1]);
+  server.close();
+});